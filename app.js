@@ -5,10 +5,22 @@ import heroController from './controllers/heroController.js'
 import userController from './controllers/userController.js'
 import fightController from './controllers/fightController.js'
 import authController from './controllers/authController.js'
-import jwt from 'jsonwebtoken'
 import bcrypt from 'bcryptjs'
 import userRepository from './repositories/userRepository.js'
 import teamController from './controllers/teamController.js'
+import { authenticateJWT } from './middleware/authMiddleware.js'
+import simulationController from './controllers/simulationController.js'
+import rulesController from './controllers/rulesController.js'
+import abilityController from './controllers/abilityController.js'
+import itemController from './controllers/itemController.js'
+import inventoryController from './controllers/inventoryController.js'
+import leaderboardController from './controllers/leaderboardController.js'
+import tournamentController from './controllers/tournamentController.js'
+import matchmakingController from './controllers/matchmakingController.js'
+import statsController from './controllers/statsController.js'
+import analyticsController from './controllers/analyticsController.js'
+import cityController from './controllers/cityController.js'
+import campaignController from './controllers/campaignController.js'
 import cors from 'cors'
 import mongoose from 'mongoose';
 import { MongoClient } from 'mongodb';
@@ -20,7 +32,6 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization'],
   credentials: false
 }))
-const JWT_SECRET = 'supersecretkey123' // En producción, usa variable de entorno
 
 app.use(express.json())
 
@@ -31,29 +42,28 @@ app.use('/api', authController)
 app.use('/api', userController)
 
 // Middleware de autenticación JWT (debe ir antes de las rutas protegidas)
-function authenticateJWT(req, res, next) {
+app.use((req, res, next) => {
   if (req.path === '/api/login' || req.path === '/api/users' || req.path.startsWith('/api-docs')) {
     return next()
   }
-  const authHeader = req.headers.authorization
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    const token = authHeader.split(' ')[1]
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-      if (err) {
-        return res.status(403).json({ error: 'Token inválido o expirado' })
-      }
-      req.user = user
-      next()
-    })
-  } else {
-    res.status(401).json({ error: 'Token no proporcionado' })
-  }
-}
-app.use(authenticateJWT)
+  authenticateJWT(req, res, next)
+})
 
 // Endpoints protegidos
 app.use('/api', fightController)
 app.use('/api', heroController)
+app.use('/api', abilityController)
+app.use('/api', itemController)
+app.use('/api', inventoryController)
+app.use('/api', simulationController)
+app.use('/api', rulesController)
+app.use('/api', leaderboardController)
+app.use('/api', tournamentController)
+app.use('/api', matchmakingController)
+app.use('/api', statsController)
+app.use('/api', analyticsController)
+app.use('/api', cityController)
+app.use('/api', campaignController)
 app.use('/api/equipos', teamController)
 
 // Swagger UI
@@ -72,7 +82,17 @@ app.get('/', (req, res) => {
       personajes: 'http://localhost:3000/api/personajes',
       personajesByTipo: 'http://localhost:3000/api/personajes/tipo/{tipo}',
       personajesByCiudad: 'http://localhost:3000/api/personajes/ciudad/{ciudad}',
+      items: 'http://localhost:3000/api/items',
       fights: 'http://localhost:3000/api/fights',
+      simulations: 'http://localhost:3000/api/simulations/matchup',
+      rules: 'http://localhost:3000/api/rules',
+      leaderboard: 'http://localhost:3000/api/leaderboard',
+      torneos: 'http://localhost:3000/api/torneos',
+      matchmaking: 'http://localhost:3000/api/matchmaking/queue',
+      analytics: 'http://localhost:3000/api/analytics/tipo',
+      ciudades: 'http://localhost:3000/api/ciudades',
+      mundo: 'http://localhost:3000/api/mundo',
+      campanas: 'http://localhost:3000/api/campanas',
       login: 'http://localhost:3000/api/login'
     }
   })
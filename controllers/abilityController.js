@@ -0,0 +1,215 @@
+import express from "express";
+import { check, validationResult } from 'express-validator';
+import abilityService from "../services/abilityService.js";
+import { EFECTOS_HABILIDAD, POTENCIA_MAXIMA_HABILIDAD, DURACION_MAXIMA_EFECTO } from "../models/Habilidad.js";
+import { autorizar } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+const validarHabilidad = (opcional) => {
+    const campo = nombre => (opcional ? check(nombre).optional() : check(nombre));
+    return [
+        campo('nombre').not().isEmpty().withMessage('El nombre es requerido'),
+        campo('efecto').isIn(EFECTOS_HABILIDAD).withMessage(`El efecto debe ser uno de: ${EFECTOS_HABILIDAD.join(', ')}`),
+        campo('potencia').isFloat({ min: 0, max: POTENCIA_MAXIMA_HABILIDAD }).withMessage(`La potencia debe ser un número entre 0 y ${POTENCIA_MAXIMA_HABILIDAD}`),
+        check('cooldown').optional().isInt({ min: 0 }).withMessage('El cooldown debe ser un entero mayor o igual a 0'),
+        check('nivelRequerido').optional().isInt({ min: 1 }).withMessage('El nivel requerido debe ser un entero positivo'),
+        check('duracion').optional().isInt({ min: 1, max: DURACION_MAXIMA_EFECTO }).withMessage(`La duración debe ser un entero entre 1 y ${DURACION_MAXIMA_EFECTO}`)
+    ];
+};
+
+/**
+ * @swagger
+ * /api/personajes/{id}/habilidades:
+ *   get:
+ *     summary: Obtener las habilidades de un personaje
+ *     tags: [Habilidades]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del personaje
+ *     responses:
+ *       200:
+ *         description: Lista de habilidades
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Habilidad'
+ *       404:
+ *         description: Personaje no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/personajes/:id/habilidades', async (req, res) => {
+    try {
+        const habilidades = await abilityService.getHabilidades(req.params.id);
+        if (!habilidades) {
+            return res.status(404).json({ error: 'Personaje no encontrado' });
+        }
+        res.json(habilidades);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/personajes/{id}/habilidades:
+ *   post:
+ *     summary: Añadir una habilidad a un personaje (solo administradores)
+ *     tags: [Habilidades]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del personaje
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Habilidad'
+ *     responses:
+ *       201:
+ *         description: Habilidad creada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Habilidad'
+ *       400:
+ *         description: Datos inválidos
+ *       404:
+ *         description: Personaje no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/responses/SoloAdmin'
+ */
+router.post('/personajes/:id/habilidades', autorizar('admin'), validarHabilidad(false), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const habilidad = await abilityService.addHabilidad(req.params.id, req.body);
+        if (!habilidad) {
+            return res.status(404).json({ error: 'Personaje no encontrado' });
+        }
+        res.status(201).json(habilidad);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/personajes/{id}/habilidades/{habilidadId}:
+ *   put:
+ *     summary: Modificar una habilidad de un personaje (solo administradores)
+ *     tags: [Habilidades]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del personaje
+ *       - in: path
+ *         name: habilidadId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID de la habilidad
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Habilidad'
+ *     responses:
+ *       200:
+ *         description: Habilidad actualizada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Habilidad'
+ *       404:
+ *         description: Personaje o habilidad no encontrados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/responses/SoloAdmin'
+ */
+router.put('/personajes/:id/habilidades/:habilidadId', autorizar('admin'), validarHabilidad(true), async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+        const habilidad = await abilityService.updateHabilidad(req.params.id, req.params.habilidadId, req.body);
+        if (!habilidad) {
+            return res.status(404).json({ error: 'Habilidad no encontrada' });
+        }
+        res.json(habilidad);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/personajes/{id}/habilidades/{habilidadId}:
+ *   delete:
+ *     summary: Eliminar una habilidad de un personaje (solo administradores)
+ *     tags: [Habilidades]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del personaje
+ *       - in: path
+ *         name: habilidadId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID de la habilidad
+ *     responses:
+ *       200:
+ *         description: Habilidad eliminada
+ *       404:
+ *         description: Personaje o habilidad no encontrados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/responses/SoloAdmin'
+ */
+router.delete('/personajes/:id/habilidades/:habilidadId', autorizar('admin'), async (req, res) => {
+    try {
+        const eliminado = await abilityService.deleteHabilidad(req.params.id, req.params.habilidadId);
+        if (!eliminado) {
+            return res.status(404).json({ error: 'Habilidad no encontrada' });
+        }
+        res.json(eliminado);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+export default router;
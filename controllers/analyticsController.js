@@ -0,0 +1,336 @@
+import express from "express";
+import { query, validationResult } from 'express-validator';
+import analyticsService from '../services/analyticsService.js';
+
+const router = express.Router();
+
+// Todas las consultas aceptan un rango de fechas sobre el `createdAt` de las peleas
+const validarFechas = [
+  query('desde').optional().isISO8601().withMessage('desde debe ser una fecha ISO 8601'),
+  query('hasta').optional().isISO8601().withMessage('hasta debe ser una fecha ISO 8601')
+];
+
+const validarFechasYTipo = [
+  ...validarFechas,
+  query('tipo').optional().isIn(['superheroe', 'villano']).withMessage('tipo debe ser superheroe o villano')
+];
+
+const fechas = req => ({ desde: req.query.desde, hasta: req.query.hasta });
+
+/**
+ * @swagger
+ * /api/analytics/tipo:
+ *   get:
+ *     summary: Tasa de victoria por tipo de personaje
+ *     description: Calculada sobre los 1 vs 1 terminados, con el desglose por nivel.
+ *     tags: [Analítica]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Desde'
+ *       - $ref: '#/components/parameters/Hasta'
+ *     responses:
+ *       200:
+ *         description: Resultado de la consulta
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   tipo:
+ *                     type: string
+ *                   peleas:
+ *                     type: integer
+ *                   victorias:
+ *                     type: integer
+ *                   tasaVictoria:
+ *                     type: number
+ *                   porNivel:
+ *                     type: array
+ *                     description: Desglose por el nivel que tenía el personaje al pelear (null si la pelea no tiene registro de progresión)
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         nivel:
+ *                           type: integer
+ *                           nullable: true
+ *                         peleas:
+ *                           type: integer
+ *                         victorias:
+ *                           type: integer
+ *                         tasaVictoria:
+ *                           type: number
+ *       400:
+ *         description: Parámetros inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/analytics/tipo', validarFechas, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array() });
+  }
+  try {
+    res.json(await analyticsService.getTasaVictoriaPorTipo(fechas(req)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/analytics/ciudad:
+ *   get:
+ *     summary: Tasa de victoria por ciudad
+ *     description: Calculada sobre los 1 vs 1 terminados con la ciudad actual de cada personaje.
+ *     tags: [Analítica]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Desde'
+ *       - $ref: '#/components/parameters/Hasta'
+ *       - in: query
+ *         name: tipo
+ *         schema:
+ *           type: string
+ *           enum: [superheroe, villano]
+ *         description: Contar solo los personajes de este tipo
+ *     responses:
+ *       200:
+ *         description: Resultado de la consulta
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   ciudad:
+ *                     type: string
+ *                   peleas:
+ *                     type: integer
+ *                   victorias:
+ *                     type: integer
+ *                   tasaVictoria:
+ *                     type: number
+ *       400:
+ *         description: Parámetros inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/analytics/ciudad', validarFechasYTipo, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array() });
+  }
+  try {
+    res.json(await analyticsService.getTasaVictoriaPorCiudad(fechas(req), req.query.tipo));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/analytics/equipo:
+ *   get:
+ *     summary: Tasa de victoria por equipo
+ *     description: Calculada sobre los 1 vs 1 terminados; cada pelea cuenta para todos los equipos a los que pertenece ahora el personaje.
+ *     tags: [Analítica]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Desde'
+ *       - $ref: '#/components/parameters/Hasta'
+ *       - in: query
+ *         name: tipo
+ *         schema:
+ *           type: string
+ *           enum: [superheroe, villano]
+ *         description: Contar solo los personajes de este tipo
+ *     responses:
+ *       200:
+ *         description: Resultado de la consulta
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   equipo:
+ *                     type: string
+ *                   peleas:
+ *                     type: integer
+ *                   victorias:
+ *                     type: integer
+ *                   tasaVictoria:
+ *                     type: number
+ *       400:
+ *         description: Parámetros inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/analytics/equipo', validarFechasYTipo, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array() });
+  }
+  try {
+    res.json(await analyticsService.getTasaVictoriaPorEquipo(fechas(req), req.query.tipo));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/analytics/diferencia-nivel:
+ *   get:
+ *     summary: Tasa de victoria según la diferencia de nivel con el rival
+ *     description: diferenciaNivel es el nivel propio menos el del rival al empezar la pelea. Solo cuentan las peleas con registro de progresión.
+ *     tags: [Analítica]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Desde'
+ *       - $ref: '#/components/parameters/Hasta'
+ *     responses:
+ *       200:
+ *         description: Resultado de la consulta
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   diferenciaNivel:
+ *                     type: integer
+ *                   peleas:
+ *                     type: integer
+ *                   victorias:
+ *                     type: integer
+ *                   tasaVictoria:
+ *                     type: number
+ *       400:
+ *         description: Parámetros inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/analytics/diferencia-nivel', validarFechas, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array() });
+  }
+  try {
+    res.json(await analyticsService.getTasaVictoriaPorDiferenciaNivel(fechas(req)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/analytics/duracion:
+ *   get:
+ *     summary: Distribución de la duración de las peleas 1 vs 1
+ *     tags: [Analítica]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Desde'
+ *       - $ref: '#/components/parameters/Hasta'
+ *     responses:
+ *       200:
+ *         description: Resultado de la consulta
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 peleas:
+ *                   type: integer
+ *                 media:
+ *                   type: number
+ *                 min:
+ *                   type: integer
+ *                 max:
+ *                   type: integer
+ *                 distribucion:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       turnos:
+ *                         type: integer
+ *                       peleas:
+ *                         type: integer
+ *       400:
+ *         description: Parámetros inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/analytics/duracion', validarFechas, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array() });
+  }
+  try {
+    res.json(await analyticsService.getDistribucionDuracion(fechas(req)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/analytics/peleas-por-dia:
+ *   get:
+ *     summary: Peleas creadas por día
+ *     description: Días en UTC. Incluye los 1 vs 1 y las peleas por equipos.
+ *     tags: [Analítica]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Desde'
+ *       - $ref: '#/components/parameters/Hasta'
+ *     responses:
+ *       200:
+ *         description: Resultado de la consulta
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   dia:
+ *                     type: string
+ *                     example: '2025-01-31'
+ *                   total:
+ *                     type: integer
+ *                   unoContraUno:
+ *                     type: integer
+ *                   equipos:
+ *                     type: integer
+ *       400:
+ *         description: Parámetros inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/analytics/peleas-por-dia', validarFechas, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array() });
+  }
+  try {
+    res.json(await analyticsService.getPeleasPorDia(fechas(req)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -1,16 +1,17 @@
 import express from "express";
-import jwt from "jsonwebtoken";
 import bcrypt from "bcryptjs";
 import userRepository from '../repositories/userRepository.js';
+import { firmarToken } from '../middleware/authMiddleware.js';
+import { rolDe } from '../models/Usuario.js';
 
 const router = express.Router();
-const JWT_SECRET = 'supersecretkey123';
 
 /**
  * @swagger
  * /api/login:
  *   post:
  *     summary: Iniciar sesión y obtener un token JWT
+ *     description: El token lleva el nombre y el rol del usuario. El primer administrador se crea con `node data/crearAdmin.js`.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -21,10 +22,10 @@ const JWT_SECRET = 'supersecretkey123';
  *             properties:
  *               name:
  *                 type: string
- *                 example: admin
+ *                 example: usuario1
  *               password:
  *                 type: string
- *                 example: 1234
+ *                 example: password123
  *     responses:
  *       200:
  *         description: Token JWT generado correctamente
@@ -35,6 +36,9 @@ const JWT_SECRET = 'supersecretkey123';
  *               properties:
  *                 token:
  *                   type: string
+ *                 rol:
+ *                   type: string
+ *                   enum: [admin, jugador]
  *       401:
  *         description: Credenciales inválidas
  *         content:
@@ -45,13 +49,11 @@ const JWT_SECRET = 'supersecretkey123';
 // POST /api/login
 router.post('/login', async (req, res) => {
   const { name, password } = req.body;
-  if (name === 'admin' && password === '1234') {
-    const token = jwt.sign({ name }, JWT_SECRET, { expiresIn: '2h' });
-    return res.json({ token });
+  if (!name || !password) {
+    return res.status(401).json({ error: 'Credenciales inválidas' });
   }
   // Buscar usuario en MongoDB
-  const users = await userRepository.getUsers();
-  const user = users.find(u => u.name === name);
+  const user = await userRepository.getUserByName(name);
   if (!user) {
     return res.status(401).json({ error: 'Credenciales inválidas' });
   }
@@ -59,8 +61,8 @@ router.post('/login', async (req, res) => {
   if (!valid) {
     return res.status(401).json({ error: 'Credenciales inválidas' });
   }
-  const token = jwt.sign({ name }, JWT_SECRET, { expiresIn: '2h' });
-  return res.json({ token });
+  const token = firmarToken(user);
+  return res.json({ token, rol: rolDe(user) });
 });
 
 export default router; 
\ No newline at end of file
@@ -0,0 +1,383 @@
+import express from "express";
+import { body, validationResult } from 'express-validator';
+import campaignService from '../services/campaignService.js';
+import combatEngine from '../services/combatEngine.js';
+import { autorizar } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/campanas:
+ *   get:
+ *     summary: Listar las campañas
+ *     tags: [Campañas]
+ *     responses:
+ *       200:
+ *         description: Lista de campañas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Campana'
+ */
+router.get('/campanas', async (req, res) => {
+  try {
+    res.json(await campaignService.getCampanas());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/campanas:
+ *   post:
+ *     summary: Crear una campaña (solo administradores)
+ *     description: Los capítulos se juegan en el orden enviado. Cada oponente debe ser un villano.
+ *     tags: [Campañas]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               nombre:
+ *                 type: string
+ *                 example: La noche de Gotham
+ *               descripcion:
+ *                 type: string
+ *               capitulos:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/CapituloCampana'
+ *             required:
+ *               - nombre
+ *               - capitulos
+ *     responses:
+ *       201:
+ *         description: Campaña creada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Campana'
+ *       400:
+ *         description: Datos inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/responses/SoloAdmin'
+ */
+router.post(
+  '/campanas',
+  autorizar('admin'),
+  [
+    body('nombre').not().isEmpty().withMessage('El nombre es requerido'),
+    body('capitulos').isArray({ min: 1, max: 50 }).withMessage('capitulos debe ser una lista de entre 1 y 50 capítulos'),
+    body('capitulos.*.oponenteId').isInt({ min: 1 }).withMessage('oponenteId debe ser un entero positivo'),
+    body('capitulos.*.nivelExtra').optional().isInt({ min: 0, max: 20 }).withMessage('nivelExtra debe ser un entero entre 0 y 20'),
+    body('capitulos.*.descanso').optional().isInt({ min: 0, max: 100 }).withMessage('descanso debe ser un porcentaje entre 0 y 100'),
+    body('capitulos.*.recompensa.experiencia').optional().isInt({ min: 0, max: 200 }).withMessage('La experiencia de la recompensa debe ser un entero entre 0 y 200'),
+    body('capitulos.*.recompensa.itemId').optional().isInt({ min: 1 }).withMessage('itemId debe ser un entero positivo')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array() });
+    }
+    try {
+      const { campana, errores } = await campaignService.addCampana(req.body, req.user.name);
+      if (errores) {
+        return res.status(400).json({ error: errores });
+      }
+      res.status(201).json(campana);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/campanas/{id}:
+ *   get:
+ *     summary: Obtener una campaña con sus capítulos
+ *     tags: [Campañas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Campaña
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Campana'
+ *       404:
+ *         description: Campaña no encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/campanas/:id', async (req, res) => {
+  try {
+    const campana = await campaignService.getCampanaById(req.params.id);
+    if (!campana) {
+      return res.status(404).json({ error: 'Campaña no encontrada' });
+    }
+    res.json(campana);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/campanas/{id}:
+ *   delete:
+ *     summary: Eliminar una campaña y el progreso de todos los usuarios en ella (solo administradores)
+ *     tags: [Campañas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Campaña eliminada
+ *       404:
+ *         description: Campaña no encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/responses/SoloAdmin'
+ */
+router.delete('/campanas/:id', autorizar('admin'), async (req, res) => {
+  try {
+    const eliminada = await campaignService.deleteCampana(req.params.id);
+    if (!eliminada) {
+      return res.status(404).json({ error: 'Campaña no encontrada' });
+    }
+    res.json(eliminada);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/campanas/{id}/progreso:
+ *   get:
+ *     summary: Progreso del usuario autenticado en una campaña
+ *     tags: [Campañas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Progreso guardado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProgresoCampana'
+ *       404:
+ *         description: Campaña no encontrada o sin empezar
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/campanas/:id/progreso', async (req, res) => {
+  try {
+    const campana = await campaignService.getCampanaById(req.params.id);
+    if (!campana) {
+      return res.status(404).json({ error: 'Campaña no encontrada' });
+    }
+    const progreso = await campaignService.getProgreso(campana, req.user.name);
+    if (!progreso) {
+      return res.status(404).json({ error: 'No has empezado esta campaña' });
+    }
+    res.json(progreso);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/campanas/{id}/progreso:
+ *   post:
+ *     summary: Empezar una campaña con un superhéroe
+ *     description: Empieza en el capítulo 1 con la vida llena. Si ya hay una campaña en curso hay que enviar reiniciar.
+ *     tags: [Campañas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               heroeId:
+ *                 type: integer
+ *                 example: 1
+ *               reiniciar:
+ *                 type: boolean
+ *                 default: false
+ *             required:
+ *               - heroeId
+ *     responses:
+ *       201:
+ *         description: Progreso creado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProgresoCampana'
+ *       400:
+ *         description: Datos inválidos o el personaje no es un superhéroe
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Campaña o personaje no encontrados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Ya hay una campaña en curso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/campanas/:id/progreso',
+  [
+    body('heroeId').isInt({ min: 1 }).withMessage('heroeId debe ser un entero positivo'),
+    body('reiniciar').optional().isBoolean().withMessage('reiniciar debe ser booleano')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array() });
+    }
+    try {
+      const campana = await campaignService.getCampanaById(req.params.id);
+      if (!campana) {
+        return res.status(404).json({ error: 'Campaña no encontrada' });
+      }
+      const reiniciar = req.body.reiniciar === true || req.body.reiniciar === 'true';
+      const resultado = await campaignService.iniciarProgreso(campana, Number(req.body.heroeId), req.user.name, reiniciar);
+      if (resultado.error) {
+        return res.status(resultado.status).json({ error: resultado.error });
+      }
+      res.status(201).json(resultado.progreso);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/campanas/{id}/progreso/jugar:
+ *   post:
+ *     summary: Jugar el siguiente capítulo desbloqueado
+ *     description: |
+ *       El héroe pelea con la vida que le quedó del capítulo anterior (más la curación del descanso del capítulo, si tiene).
+ *       Si gana recibe la recompensa y se desbloquea el siguiente capítulo; si pierde (o empata), la campaña termina y hay que reiniciarla.
+ *       La recompensa de cada capítulo se cobra una sola vez por héroe: al rejugarlo tras reiniciar no se recibe de nuevo.
+ *     tags: [Campañas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               seed:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Resultado del encuentro y progreso actualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 encuentro:
+ *                   $ref: '#/components/schemas/EncuentroCampana'
+ *                 historia:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EventoTurno'
+ *                 progreso:
+ *                   $ref: '#/components/schemas/ProgresoCampana'
+ *       400:
+ *         description: La campaña ya terminó
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Campaña no encontrada o sin empezar
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/campanas/:id/progreso/jugar',
+  [
+    body('seed').optional().isInt({ min: 0, max: 4294967295 }).withMessage('seed debe ser un entero entre 0 y 4294967295')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array() });
+    }
+    try {
+      const campana = await campaignService.getCampanaById(req.params.id);
+      if (!campana) {
+        return res.status(404).json({ error: 'Campaña no encontrada' });
+      }
+      const seed = req.body.seed !== undefined ? Number(req.body.seed) : combatEngine.generarSemilla();
+      const resultado = await campaignService.jugarCapitulo(campana, req.user.name, seed);
+      if (resultado.error) {
+        return res.status(resultado.status).json({ error: resultado.error });
+      }
+      res.json(resultado);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,173 @@
+import express from "express";
+import { body, validationResult } from 'express-validator';
+import cityService from '../services/cityService.js';
+import { autorizar } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/ciudades:
+ *   get:
+ *     summary: Listar las ciudades y el bando que controla cada una
+ *     tags: [Ciudades]
+ *     responses:
+ *       200:
+ *         description: Lista de ciudades
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Ciudad'
+ */
+router.get('/ciudades', async (req, res) => {
+  try {
+    res.json(await cityService.getCiudades());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/ciudades:
+ *   post:
+ *     summary: Registrar una ciudad (solo administradores)
+ *     description: Empieza disputada, con la influencia repartida a partes iguales entre superhéroes y villanos.
+ *     tags: [Ciudades]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               nombre:
+ *                 type: string
+ *                 example: Gotham
+ *             required:
+ *               - nombre
+ *     responses:
+ *       201:
+ *         description: Ciudad creada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Ciudad'
+ *       400:
+ *         description: Datos inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: La ciudad ya existe
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/responses/SoloAdmin'
+ */
+router.post(
+  '/ciudades',
+  autorizar('admin'),
+  [
+    body('nombre').isString().trim().not().isEmpty().withMessage('El nombre es requerido')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array() });
+    }
+    try {
+      const resultado = await cityService.addCiudad(req.body.nombre);
+      if (resultado.error) {
+        return res.status(resultado.status).json({ error: resultado.error });
+      }
+      res.status(201).json(resultado.ciudad);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/ciudades/{nombre}:
+ *   get:
+ *     summary: Obtener una ciudad con sus residentes y sus últimas peleas
+ *     tags: [Ciudades]
+ *     parameters:
+ *       - in: path
+ *         name: nombre
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nombre de la ciudad (sin distinguir mayúsculas)
+ *     responses:
+ *       200:
+ *         description: Ciudad
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EstadoCiudad'
+ *       404:
+ *         description: Ciudad no encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/ciudades/:nombre', async (req, res) => {
+  try {
+    const ciudad = await cityService.getCiudad(req.params.nombre);
+    if (!ciudad) {
+      return res.status(404).json({ error: 'Ciudad no encontrada' });
+    }
+    res.json(ciudad);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/mundo:
+ *   get:
+ *     summary: Estado del mundo
+ *     description: Todas las ciudades con el bando que las controla, sus residentes y sus últimas peleas.
+ *     tags: [Ciudades]
+ *     responses:
+ *       200:
+ *         description: Mapa del mundo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 control:
+ *                   type: object
+ *                   description: Número de ciudades controladas por cada bando
+ *                   properties:
+ *                     superheroe:
+ *                       type: integer
+ *                     villano:
+ *                       type: integer
+ *                     disputada:
+ *                       type: integer
+ *                 ciudades:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EstadoCiudad'
+ */
+router.get('/mundo', async (req, res) => {
+  try {
+    res.json(await cityService.getMundo());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
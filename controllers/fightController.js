@@ -2,6 +2,15 @@ import express from "express";
 import { check, validationResult, body } from 'express-validator';
 import personajeService from '../services/heroService.js';
 import fightRepository from '../repositories/fightRepository.js';
+import combatEngine from '../services/combatEngine.js';
+import progressionService from '../services/progressionService.js';
+import rulesService from '../services/rulesService.js';
+import fightService from '../services/fightService.js';
+import cityService from '../services/cityService.js';
+import teamService from '../services/teamService.js';
+import { FORMATOS_BATALLA } from '../models/FormatoBatalla.js';
+import { sinergiasDelFormato } from '../models/Sinergia.js';
+import { autorizar } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -10,6 +19,7 @@ const router = express.Router();
  * /api/fights:
  *   get:
  *     summary: Obtener todas las peleas (1 vs 1 y equipos) paginadas
+ *     description: Las sesiones interactivas solo aparecen cuando terminan.
  *     tags: [Peleas]
  *     parameters:
  *       - in: query
@@ -75,6 +85,14 @@ router.get('/fights', async (req, res) => {
  *               id2:
  *                 type: integer
  *                 example: 2
+ *               seed:
+ *                 type: integer
+ *                 description: Semilla opcional para reproducir la pelea (se genera una si no se envía)
+ *                 example: 12345
+ *               ciudad:
+ *                 type: string
+ *                 description: Ciudad registrada donde se pelea; por defecto la de id1. El ganador gana influencia en ella.
+ *                 example: Gotham
  *     responses:
  *       200:
  *         description: Resultado de la pelea
@@ -84,17 +102,26 @@ router.get('/fights', async (req, res) => {
  *               type: object
  *               properties:
  *                 personaje1:
- *                   $ref: '#/components/schemas/Personaje'
+ *                   $ref: '#/components/schemas/EstadoFinalPersonaje'
  *                 personaje2:
- *                   $ref: '#/components/schemas/Personaje'
- *                 winner:
+ *                   $ref: '#/components/schemas/EstadoFinalPersonaje'
+ *                 ganador:
  *                   type: string
+ *                   nullable: true
+ *                   description: null si la pelea llega al máximo de turnos
+ *                 empate:
+ *                   type: boolean
  *                 fightId:
  *                   type: integer
- *                 history:
+ *                 seed:
+ *                   type: integer
+ *                 ciudad:
+ *                   type: string
+ *                   nullable: true
+ *                 historia:
  *                   type: array
  *                   items:
- *                     type: object
+ *                     $ref: '#/components/schemas/EventoTurno'
  *       400:
  *         description: Datos inválidos o enfrentamiento no permitido
  *         content:
@@ -109,7 +136,9 @@ router.post(
     body('id1').isInt({ min: 1 }).withMessage('id1 debe ser un entero positivo mayor a 0, sin decimales'),
     body('id2').isInt({ min: 1 }).withMessage('id2 debe ser un entero positivo mayor a 0, sin decimales'),
     body('id1').not().isEmpty().withMessage('id1 es obligatorio'),
-    body('id2').not().isEmpty().withMessage('id2 es obligatorio')
+    body('id2').not().isEmpty().withMessage('id2 es obligatorio'),
+    body('seed').optional().isInt({ min: 0, max: 4294967295 }).withMessage('seed debe ser un entero entre 0 y 4294967295'),
+    body('ciudad').optional().isString().withMessage('ciudad debe ser un texto')
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -126,87 +155,16 @@ router.post(
     if (personaje1.tipo === personaje2.tipo) {
       return res.status(400).json({ error: 'Solo se permiten peleas entre un superhéroe y un villano' });
     }
-    // Clonar para simulación
-    let sim1 = Object.assign(Object.create(Object.getPrototypeOf(personaje1)), personaje1);
-    let sim2 = Object.assign(Object.create(Object.getPrototypeOf(personaje2)), personaje2);
-    sim1.vida = 100 + (sim1.nivel - 1) * 5;
-    sim2.vida = 100 + (sim2.nivel - 1) * 5;
-    let historia = [];
-    let turno = 0;
-    let ganador = null;
-    while (sim1.vida > 0 && sim2.vida > 0) {
-      let atacante, defensor, desc, esUltimate = false, ataque;
-      if (turno % 2 === 0) {
-        atacante = sim1;
-        defensor = sim2;
-      } else {
-        atacante = sim2;
-        defensor = sim1;
-      }
-      if (atacante.ultimateDisponible) {
-        ataque = atacante.usarUltimate();
-        desc = `¡Ultimate! (${ataque} daño, ignora escudo)`;
-        esUltimate = true;
-      } else {
-        const prob = Math.random();
-        if (prob < 0.4) {
-          let base = (Math.random() < 0.5) ? atacante.getAtaqueBasico() : atacante.getAtaqueEspecial();
-          ataque = atacante.getAtaqueCritico(base);
-          desc = `Ataque crítico (${ataque} daño)`;
-        } else if (prob < 0.7) {
-          ataque = atacante.getAtaqueEspecial();
-          desc = `Ataque especial (${ataque} daño)`;
-        } else {
-          ataque = atacante.getAtaqueBasico();
-          desc = `Ataque básico (${ataque} daño)`;
-        }
-      }
-      let vidaAntes = defensor.vida;
-      defensor.recibirDanio(ataque, esUltimate);
-      atacante.cargarUltimate(ataque);
-      historia.push(`${atacante.nombre} ataca a ${defensor.nombre}: ${desc} (vida: ${vidaAntes.toFixed(2)} → ${defensor.vida.toFixed(2)})`);
-      turno++;
-    }
-    if (sim1.vida > 0) {
-      ganador = sim1;
-    } else {
-      ganador = sim2;
-    }
-    // Otorgar experiencia y actualizar personajes originales
-    for (let p of [personaje1, personaje2]) {
-      let sim = (p.id === sim1.id) ? sim1 : sim2;
-      if (ganador.id === p.id) {
-        sim.ganarExperiencia(40);
-      } else {
-        sim.ganarExperiencia(25);
-      }
-      p.nivel = sim.nivel;
-      p.experiencia = sim.experiencia;
-      p.escudo = sim.escudo;
-      p.vida = sim.vida;
-      p.dañoUltimate = sim.dañoUltimate;
-      p.umbralUltimate = sim.umbralUltimate;
-      p.ultimateDisponible = sim.ultimateDisponible;
+    const lugar = await ciudadDePelea(req.body.ciudad, personaje1);
+    if (lugar.error) {
+      return res.status(400).json({ error: lugar.error });
     }
-    // Guardar pelea en MongoDB
-    const fights = await fightRepository.getFights();
-    const fightId = fights.length > 0 ? Math.max(...fights.map(f => f.fightId)) + 1 : 1;
-    await fightRepository.addFight({
-      fightId,
-      personaje1: {
-        id: sim1.id,
-        nombre: sim1.nombre,
-        tipo: sim1.tipo
-      },
-      personaje2: {
-        id: sim2.id,
-        nombre: sim2.nombre,
-        tipo: sim2.tipo
-      },
-      ganador: ganador.nombre,
-      historia
-    });
+    const seed = req.body.seed !== undefined ? Number(req.body.seed) : combatEngine.generarSemilla();
+    // Simular y guardar la pelea en MongoDB junto con la experiencia y niveles ganados
+    const { fightId, sim1, sim2, ganador, empate, reglas, progresion, historia, ciudad } = await fightService.simularPelea(personaje1, personaje2, seed, {}, lugar.ciudad);
     res.json({
+      fightId,
+      ciudad,
       personaje1: {
         id: sim1.id,
         nombre: sim1.nombre,
@@ -215,7 +173,9 @@ router.post(
         experiencia: sim1.experiencia,
         escudo: sim1.escudo,
         vida: sim1.vida,
-        ultimateDisponible: sim1.ultimateDisponible
+        ultimateDisponible: sim1.ultimateDisponible,
+        efectos: sim1.efectos || [],
+        equipamiento: sim1.getEquipamiento()
       },
       personaje2: {
         id: sim2.id,
@@ -225,19 +185,314 @@ router.post(
         experiencia: sim2.experiencia,
         escudo: sim2.escudo,
         vida: sim2.vida,
-        ultimateDisponible: sim2.ultimateDisponible
+        ultimateDisponible: sim2.ultimateDisponible,
+        efectos: sim2.efectos || [],
+        equipamiento: sim2.getEquipamiento()
       },
-      ganador: ganador.nombre,
+      ganador: empate ? null : ganador.nombre,
+      empate,
+      seed,
+      reglasVersion: reglas.version,
+      progresion,
       historia
     });
   }
 );
 
+// Ciudad donde se juega un 1 vs 1: la indicada (debe estar registrada) o la de personaje1
+async function ciudadDePelea(nombre, personaje1) {
+  if (nombre === undefined) return { ciudad: personaje1.ciudad };
+  const ciudad = await cityService.findCiudad(nombre);
+  return ciudad ? { ciudad: ciudad.nombre } : { error: `La ciudad ${nombre} no existe` };
+}
+
+// Estado de combate que se guarda en una sesión interactiva
+function estadoCombatiente(sim) {
+  return {
+    id: sim.id,
+    vida: sim.vida,
+    dañoUltimate: sim.dañoUltimate,
+    ultimateDisponible: sim.ultimateDisponible,
+    enfriamientos: sim.enfriamientos || {},
+    efectos: sim.efectos || []
+  };
+}
+
+// Reconstruir los combatientes de una sesión interactiva a partir del estado guardado
+async function cargarCombatientesSesion(fight) {
+  const personajes = await personajeService.getAllPersonajes();
+  const reglas = await rulesService.getReglasVersion(fight.reglasVersion || 1);
+  return fight.combatientes.map(estado => {
+    const personaje = personajes.find(p => p.id === estado.id);
+    return personaje ? Object.assign(combatEngine.prepararCombatiente(personaje, reglas), estado) : null;
+  });
+}
+
+/**
+ * @swagger
+ * /api/fights/interactive:
+ *   post:
+ *     summary: Abrir una pelea interactiva turno a turno
+ *     description: El usuario autenticado controla a id1; el servidor juega con id2.
+ *     tags: [Peleas]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               id1:
+ *                 type: integer
+ *                 description: Personaje controlado por el jugador
+ *                 example: 1
+ *               id2:
+ *                 type: integer
+ *                 description: Personaje controlado por el servidor
+ *                 example: 21
+ *               seed:
+ *                 type: integer
+ *                 description: Semilla opcional para las decisiones del servidor
+ *               ciudad:
+ *                 type: string
+ *                 description: Ciudad registrada donde se pelea; por defecto la de id1
+ *     responses:
+ *       201:
+ *         description: Sesión de pelea creada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 fightId:
+ *                   type: integer
+ *                 estado:
+ *                   type: string
+ *                 combatientes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Datos inválidos o enfrentamiento no permitido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/fights/interactive',
+  [
+    body('id1').isInt({ min: 1 }).withMessage('id1 debe ser un entero positivo mayor a 0, sin decimales'),
+    body('id2').isInt({ min: 1 }).withMessage('id2 debe ser un entero positivo mayor a 0, sin decimales'),
+    body('seed').optional().isInt({ min: 0, max: 4294967295 }).withMessage('seed debe ser un entero entre 0 y 4294967295'),
+    body('ciudad').optional().isString().withMessage('ciudad debe ser un texto')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array() });
+    }
+    const { id1, id2 } = req.body;
+    const personajes = await personajeService.getAllPersonajes();
+    const personaje1 = personajes.find(p => p.id === parseInt(id1));
+    const personaje2 = personajes.find(p => p.id === parseInt(id2));
+    if (!personaje1 || !personaje2) {
+      return res.status(400).json({ error: 'Ambos personajes deben existir' });
+    }
+    if (personaje1.tipo === personaje2.tipo) {
+      return res.status(400).json({ error: 'Solo se permiten peleas entre un superhéroe y un villano' });
+    }
+    const lugar = await ciudadDePelea(req.body.ciudad, personaje1);
+    if (lugar.error) {
+      return res.status(400).json({ error: lugar.error });
+    }
+    const ciudad = await cityService.registrarCiudad(lugar.ciudad);
+    const seed = req.body.seed !== undefined ? Number(req.body.seed) : combatEngine.generarSemilla();
+    const reglas = await rulesService.getReglasActuales();
+    const combatientes = [personaje1, personaje2].map(p => estadoCombatiente(combatEngine.prepararCombatiente(p, reglas)));
+    const fightId = await fightRepository.getNextFightId();
+    await fightRepository.addFight({
+      fightId,
+      modo: 'interactivo',
+      estado: 'en_curso',
+      jugador: req.user.name,
+      ciudad: ciudad ? ciudad.nombre : null,
+      personaje1: { id: personaje1.id, nombre: personaje1.nombre, tipo: personaje1.tipo, equipamiento: personaje1.getEquipamiento() },
+      personaje2: { id: personaje2.id, nombre: personaje2.nombre, tipo: personaje2.tipo, equipamiento: personaje2.getEquipamiento() },
+      combatientes,
+      ganador: null,
+      seed,
+      reglasVersion: reglas.version,
+      historia: []
+    });
+    res.status(201).json({ fightId, estado: 'en_curso', seed, reglasVersion: reglas.version, combatientes });
+  }
+);
+
+/**
+ * @swagger
+ * /api/fights/{fightId}/turns:
+ *   post:
+ *     summary: Jugar un turno en una pelea interactiva
+ *     description: Aplica la acción del jugador y, si el rival sigue en pie, la respuesta del servidor.
+ *     tags: [Peleas]
+ *     parameters:
+ *       - in: path
+ *         name: fightId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID de la pelea interactiva
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               accion:
+ *                 type: string
+ *                 enum: [basico, especial, ultimate, habilidad]
+ *               habilidadId:
+ *                 type: integer
+ *                 description: Habilidad a usar cuando accion es habilidad
+ *             required:
+ *               - accion
+ *     responses:
+ *       200:
+ *         description: Resultado del turno
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 fightId:
+ *                   type: integer
+ *                 estado:
+ *                   type: string
+ *                 ganador:
+ *                   type: string
+ *                 eventos:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EventoTurno'
+ *                 combatientes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Acción inválida, ultimate o habilidad no disponible, o pelea finalizada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: La pelea pertenece a otro jugador
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Pelea no encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Otro turno de la misma pelea se jugó al mismo tiempo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/fights/:fightId/turns',
+  [
+    body('accion').isIn(combatEngine.ACCIONES).withMessage('accion debe ser basico, especial, ultimate o habilidad'),
+    body('habilidadId').if(body('accion').equals('habilidad')).isInt({ min: 1 }).withMessage('habilidadId es obligatorio al usar una habilidad')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array() });
+    }
+    const fightId = parseInt(req.params.fightId, 10);
+    const fight = await fightRepository.getFightById(fightId);
+    if (!fight || fight.modo !== 'interactivo') {
+      return res.status(404).json({ error: 'Pelea no encontrada' });
+    }
+    if (fight.jugador !== req.user.name) {
+      return res.status(403).json({ error: 'Solo el jugador que abrió la pelea puede jugar sus turnos' });
+    }
+    if (fight.estado !== 'en_curso') {
+      return res.status(400).json({ error: 'La pelea ya ha finalizado' });
+    }
+    const [jugador, rival] = await cargarCombatientesSesion(fight);
+    if (!jugador || !rival) {
+      return res.status(400).json({ error: 'Ambos personajes deben existir' });
+    }
+    const { accion } = req.body;
+    const habilidadId = accion === 'habilidad' ? Number(req.body.habilidadId) : undefined;
+    if (accion === 'ultimate' && !jugador.ultimateDisponible) {
+      return res.status(400).json({ error: 'La ultimate no está disponible' });
+    }
+    if (accion === 'habilidad' && !combatEngine.habilidadDisponible(jugador, habilidadId)) {
+      return res.status(400).json({ error: 'La habilidad no existe, requiere más nivel o está en enfriamiento' });
+    }
+    // La semilla se deriva de los turnos ya jugados para que cada petición sea reproducible
+    const rng = combatEngine.crearRng(fight.seed + fight.historia.length);
+    let turno = fight.historia.length + 1;
+    const eventos = [{ turno: turno++, ...combatEngine.ejecutarTurno(jugador, rival, rng, accion, habilidadId) }];
+    if (rival.vida > 0 && jugador.vida > 0) {
+      eventos.push({ turno: turno++, ...combatEngine.ejecutarTurno(rival, jugador, rng) });
+    }
+    let estado = 'en_curso';
+    let ganador = null;
+    if (jugador.vida <= 0 || rival.vida <= 0) {
+      estado = 'finalizada';
+      ganador = (jugador.vida > 0 ? jugador : rival).nombre;
+    }
+    const combatientes = [jugador, rival].map(estadoCombatiente);
+    const cambios = {
+      estado,
+      ganador,
+      combatientes,
+      historia: [...fight.historia, ...eventos]
+    };
+    // El turno solo se guarda si nadie jugó otro desde que se leyó la sesión
+    const turnoYaJugado = { error: 'Otro turno de esta pelea se jugó al mismo tiempo; vuelve a consultarla' };
+    if (estado === 'en_curso') {
+      if (!await fightRepository.guardarTurnoSesion(fightId, fight.historia.length, cambios)) {
+        return res.status(409).json(turnoYaJugado);
+      }
+      return res.json({ fightId, estado, ganador, eventos, combatientes });
+    }
+    // Al terminar, la sesión se cierra en la misma transacción que la progresión
+    const participantes = [jugador, rival].map(sim => ({ sim, gano: sim.vida > 0 }));
+    let yaJugado = false;
+    let progresion;
+    try {
+      progresion = await progressionService.registrarResultado(fightId, participantes, async session => {
+        if (!await fightRepository.guardarTurnoSesion(fightId, fight.historia.length, cambios, session)) {
+          yaJugado = true;
+          throw new Error(turnoYaJugado.error);
+        }
+        const [ganadorSim, perdedorSim] = jugador.vida > 0 ? [jugador, rival] : [rival, jugador];
+        await cityService.registrarVictoria(fight.ciudad, ganadorSim.tipo, perdedorSim.tipo, session);
+      });
+    } catch (err) {
+      if (yaJugado) return res.status(409).json(turnoYaJugado);
+      throw err;
+    }
+    res.json({ fightId, estado, ganador, eventos, combatientes, progresion });
+  }
+);
+
 /**
  * @swagger
  * /api/fights/teams:
  *   post:
- *     summary: Iniciar una nueva pelea entre equipos de 3 superhéroes vs 3 villanos
+ *     summary: Simular una pelea completa entre un equipo de superhéroes y uno de villanos
  *     tags: [Peleas]
  *     requestBody:
  *       required: true
@@ -248,18 +503,40 @@ router.post(
  *             properties:
  *               equipoHeroes:
  *                 type: string
- *                 description: Nombre del equipo de superhéroes (debe tener 3 miembros)
- *                 example: LIGADELJUSTICIA
+ *                 description: ID o nombre del equipo de superhéroes
+ *                 example: LIGADELAJUSTICIA
  *               equipoVillanos:
  *                 type: string
- *                 description: Nombre del equipo de villanos (debe tener 3 miembros)
+ *                 description: ID o nombre del equipo de villanos
  *                 example: LEGIONDELMAL
+ *               formatoBatalla:
+ *                 type: string
+ *                 enum: [1v1, 2v2, 3v3, 5v5]
+ *                 description: Formato de batalla cuyas reglas deben cumplir ambas plantillas (por defecto el asignado a alguno de los equipos; si ninguno tiene, no se aplican reglas de formato)
+ *               seed:
+ *                 type: integer
+ *                 description: Semilla opcional para reproducir la pelea (se genera una si no se envía)
+ *               formato:
+ *                 type: string
+ *                 enum: [relevos, melee]
+ *                 default: relevos
+ *                 description: relevos enfrenta a un luchador de cada equipo por ronda; en melee actúan todos por orden de iniciativa
+ *               estrategiaHeroes:
+ *                 type: string
+ *                 enum: [menorVida, mayorNivel, aleatorio, protegerDebil]
+ *                 default: menorVida
+ *                 description: Estrategia de selección de objetivo de los superhéroes (solo en melee)
+ *               estrategiaVillanos:
+ *                 type: string
+ *                 enum: [menorVida, mayorNivel, aleatorio, protegerDebil]
+ *                 default: menorVida
+ *                 description: Estrategia de selección de objetivo de los villanos (solo en melee)
  *             required:
  *               - equipoHeroes
  *               - equipoVillanos
  *     responses:
  *       200:
- *         description: Pelea iniciada exitosamente
+ *         description: Pelea simulada hasta que un equipo se queda sin luchadores
  *         content:
  *           application/json:
  *             schema:
@@ -267,108 +544,130 @@ router.post(
  *               properties:
  *                 fightId:
  *                   type: integer
+ *                 formato:
+ *                   type: string
+ *                 formatoBatalla:
+ *                   type: string
+ *                   nullable: true
+ *                 equipos:
+ *                   type: object
+ *                   description: ID y nombre del equipo de cada facción
+ *                 sinergias:
+ *                   type: object
+ *                   description: Sinergias activas de cada facción (superheroe y villano) con sus bonificaciones
  *                 resultado:
  *                   type: string
  *                 rondas:
  *                   type: array
+ *                   description: Rondas de la pelea (formato relevos)
+ *                   items:
+ *                     $ref: '#/components/schemas/RondaEquipos'
+ *                 estrategias:
+ *                   type: object
+ *                   description: Estrategia usada por cada bando (formato melee)
+ *                 iniciativa:
+ *                   type: array
+ *                   description: Orden en que actúan los luchadores (formato melee)
  *                   items:
  *                     type: object
+ *                 historia:
+ *                   type: array
+ *                   description: Turnos con el objetivo elegido y su motivo (formato melee)
+ *                   items:
+ *                     $ref: '#/components/schemas/EventoTurno'
+ *                 luchadores:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ResumenLuchador'
  *       400:
- *         description: Datos inválidos o enfrentamiento no permitido
+ *         description: Datos inválidos o alguna plantilla no cumple una regla del formato de batalla (indicada en `regla`)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/fights/teams', async (req, res) => {
-  const { equipoHeroes, equipoVillanos } = req.body;
-  if (!equipoHeroes || !equipoVillanos) {
-    return res.status(400).json({ error: 'equipoHeroes y equipoVillanos son obligatorios' });
-  }
-  const personajes = await personajeService.getAllPersonajes();
-  const heroes = personajes.filter(p => p.equipo === equipoHeroes && p.tipo === 'superheroe').slice(0, 3);
-  const villanos = personajes.filter(p => p.equipo === equipoVillanos && p.tipo === 'villano').slice(0, 3);
-  if (heroes.length !== 3 || villanos.length !== 3) {
-    return res.status(400).json({ error: 'Ambos equipos deben tener exactamente 3 miembros del tipo correcto' });
-  }
-  // Simulación de la primera ronda
-  let simulados = {};
-  for (let p of [...heroes, ...villanos]) {
-    simulados[p.id] = Object.assign(Object.create(Object.getPrototypeOf(p)), p);
-    simulados[p.id].vida = 100 + (simulados[p.id].nivel - 1) * 5;
-  }
-  let vivosHeroes = heroes.map(p => simulados[p.id]);
-  let vivosVillanos = villanos.map(p => simulados[p.id]);
-  let rondas = [];
-  if (vivosHeroes.length > 0 && vivosVillanos.length > 0) {
-    let heroe = vivosHeroes[0];
-    let villano = vivosVillanos[0];
-    let ronda = { ronda: 1, heroe: heroe.nombre, villano: villano.nombre, historia: [] };
-    let turno = 0;
-    while (heroe.vida > 0 && villano.vida > 0) {
-      let atacante, defensor, desc, esUltimate = false, ataque;
-      if (turno % 2 === 0) {
-        atacante = heroe;
-        defensor = villano;
-      } else {
-        atacante = villano;
-        defensor = heroe;
-      }
-      if (atacante.ultimateDisponible) {
-        ataque = atacante.usarUltimate();
-        desc = `¡Ultimate! (${ataque} daño, ignora escudo)`;
-        esUltimate = true;
-      } else {
-        const prob = Math.random();
-        if (prob < 0.4) {
-          let base = (Math.random() < 0.5) ? atacante.getAtaqueBasico() : atacante.getAtaqueEspecial();
-          ataque = atacante.getAtaqueCritico(base);
-          desc = `Ataque crítico (${ataque} daño)`;
-        } else if (prob < 0.7) {
-          ataque = atacante.getAtaqueEspecial();
-          desc = `Ataque especial (${ataque} daño)`;
-        } else {
-          ataque = atacante.getAtaqueBasico();
-          desc = `Ataque básico (${ataque} daño)`;
-        }
-      }
-      let vidaAntes = defensor.vida;
-      defensor.recibirDanio(ataque, esUltimate);
-      atacante.cargarUltimate(ataque);
-      ronda.historia.push(`${atacante.nombre} ataca a ${defensor.nombre}: ${desc} (vida: ${vidaAntes.toFixed(2)} → ${defensor.vida.toFixed(2)})`);
-      turno++;
+router.post(
+  '/fights/teams',
+  [
+    body('seed').optional().isInt({ min: 0, max: 4294967295 }).withMessage('seed debe ser un entero entre 0 y 4294967295')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array() });
+    }
+    const { equipoHeroes, equipoVillanos } = req.body;
+    if (!equipoHeroes || !equipoVillanos) {
+      return res.status(400).json({ error: 'equipoHeroes y equipoVillanos son obligatorios' });
+    }
+    const formato = req.body.formato || 'relevos';
+    if (!combatEngine.FORMATOS_EQUIPO.includes(formato)) {
+      return res.status(400).json({ error: `formato debe ser uno de: ${combatEngine.FORMATOS_EQUIPO.join(', ')}` });
     }
-    if (heroe.vida <= 0) {
-      ronda.resultado = `${villano.nombre} gana la ronda`;
-      vivosHeroes.shift();
+    const estrategias = {
+      superheroe: req.body.estrategiaHeroes || 'menorVida',
+      villano: req.body.estrategiaVillanos || 'menorVida'
+    };
+    if (!Object.values(estrategias).every(e => Object.keys(combatEngine.ESTRATEGIAS).includes(e))) {
+      return res.status(400).json({ error: `Las estrategias deben ser una de: ${Object.keys(combatEngine.ESTRATEGIAS).join(', ')}` });
+    }
+    const plantillaHeroes = await teamService.getPlantillaParaPelea(equipoHeroes, 'superheroe');
+    const plantillaVillanos = await teamService.getPlantillaParaPelea(equipoVillanos, 'villano');
+    const errorPlantilla = plantillaHeroes.error || plantillaVillanos.error;
+    if (errorPlantilla) {
+      return res.status(400).json({ error: errorPlantilla });
+    }
+    const enfrentamiento = teamService.comprobarEnfrentamiento(plantillaHeroes, plantillaVillanos, req.body.formatoBatalla);
+    if (enfrentamiento.error) {
+      const { error, regla } = enfrentamiento;
+      return res.status(400).json(regla ? { error, regla } : { error });
+    }
+    const heroes = plantillaHeroes.integrantes;
+    const villanos = plantillaVillanos.integrantes;
+    const seed = req.body.seed !== undefined ? Number(req.body.seed) : combatEngine.generarSemilla();
+    const rng = combatEngine.crearRng(seed);
+    const reglas = await rulesService.getReglasActuales();
+    const simHeroes = heroes.map(p => combatEngine.prepararCombatiente(p, reglas, plantillaHeroes.sinergias));
+    const simVillanos = villanos.map(p => combatEngine.prepararCombatiente(p, reglas, plantillaVillanos.sinergias));
+    const fightId = await fightRepository.getNextFightId();
+    const pelea = {
+      fightId,
+      formato,
+      formatoBatalla: enfrentamiento.formatoBatalla,
+      equipos: {
+        superheroe: { id: plantillaHeroes.equipo.id, nombre: plantillaHeroes.equipo.nombre },
+        villano: { id: plantillaVillanos.equipo.id, nombre: plantillaVillanos.equipo.nombre }
+      },
+      equipoHeroes: heroes.map(h => h.nombre),
+      equipoVillanos: villanos.map(v => v.nombre),
+      // Sinergias activas de cada bando; los turnos en que bonificaron el ataque o el escudo las indican en `sinergias`
+      sinergias: {
+        superheroe: plantillaHeroes.sinergias.map(({ id, nombre, bonificaciones }) => ({ id, nombre, bonificaciones })),
+        villano: plantillaVillanos.sinergias.map(({ id, nombre, bonificaciones }) => ({ id, nombre, bonificaciones }))
+      },
+      seed,
+      reglasVersion: reglas.version
+    };
+    if (formato === 'melee') {
+      const { resultado, iniciativa, historia, luchadores } = combatEngine.simularMelee(simHeroes, simVillanos, rng, estrategias);
+      Object.assign(pelea, { resultado, estrategias, iniciativa, historia, luchadores });
     } else {
-      ronda.resultado = `${heroe.nombre} gana la ronda`;
-      vivosVillanos.shift();
+      // La pelea se simula completa: vida y carga de ultimate pasan de una ronda a la siguiente
+      const { resultado, rondas, luchadores } = combatEngine.simularBatallaEquipos(simHeroes, simVillanos, rng);
+      Object.assign(pelea, { resultado, rondas, luchadores });
     }
-    rondas.push(ronda);
+    // Guardar pelea en MongoDB
+    await fightRepository.addFight({ ...pelea });
+    res.json(pelea);
   }
-  let resultado;
-  if (vivosHeroes.length > 0 && vivosVillanos.length === 0) resultado = '¡Ganan los superhéroes!';
-  else if (vivosVillanos.length > 0 && vivosHeroes.length === 0) resultado = '¡Ganan los villanos!';
-  else resultado = 'Pelea inconclusa';
-  // Guardar pelea en MongoDB
-  const fights = await fightRepository.getFights();
-  const fightId = fights.length > 0 ? Math.max(...fights.map(f => f.fightId)) + 1 : 1;
-  await fightRepository.addFight({
-    fightId,
-    equipoHeroes: heroes.map(h => h.nombre),
-    equipoVillanos: villanos.map(v => v.nombre),
-    resultado,
-    rondas
-  });
-  res.json({ fightId, resultado, rondas });
-});
+);
 
 /**
  * @swagger
  * /api/fights/teams/continue:
  *   post:
- *     summary: Continuar una pelea de equipos existente usando el fightId
+ *     summary: Completar una pelea de equipos antigua que quedó inconclusa
+ *     description: Las peleas nuevas ya se simulan completas. Para las antiguas, los luchadores que no perdieron ninguna ronda continúan con vida completa hasta que un equipo se queda sin luchadores.
  *     tags: [Peleas]
  *     requestBody:
  *       required: true
@@ -380,17 +679,11 @@ router.post('/fights/teams', async (req, res) => {
  *               fightId:
  *                 type: integer
  *                 description: ID de la pelea a continuar
- *               rondas:
- *                 type: array
- *                 description: Rondas adicionales a simular
- *                 items:
- *                   type: object
  *             required:
  *               - fightId
- *               - rondas
  *     responses:
  *       200:
- *         description: Resultado actualizado de la pelea por equipos
+ *         description: Resultado final de la pelea por equipos
  *         content:
  *           application/json:
  *             schema:
@@ -403,94 +696,59 @@ router.post('/fights/teams', async (req, res) => {
  *                 rondas:
  *                   type: array
  *                   items:
- *                     type: object
+ *                     $ref: '#/components/schemas/RondaEquipos'
+ *                 luchadores:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ResumenLuchador'
  *       400:
- *         description: Datos inválidos o enfrentamiento no permitido
+ *         description: Datos inválidos o la pelea ya ha finalizado
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
 router.post('/fights/teams/continue', async (req, res) => {
-  const { fightId, rondas } = req.body;
-  if (!fightId || !Array.isArray(rondas) || rondas.length === 0) {
-    return res.status(400).json({ error: 'fightId y rondas son obligatorios' });
+  const { fightId } = req.body;
+  if (!fightId) {
+    return res.status(400).json({ error: 'fightId es obligatorio' });
   }
   const fight = await fightRepository.getFightById(fightId);
-  if (!fight) {
+  if (!fight || !fight.equipoHeroes) {
     return res.status(400).json({ error: 'fightId no encontrado' });
   }
-  // Recuperar los equipos y estado actual
-  let equipoHeroes = fight.equipoHeroes;
-  let equipoVillanos = fight.equipoVillanos;
-  const personajes = await personajeService.getAllPersonajes();
-  let heroes = personajes.filter(p => equipoHeroes.includes(p.nombre) && p.tipo === 'superheroe').slice(0, 3);
-  let villanos = personajes.filter(p => equipoVillanos.includes(p.nombre) && p.tipo === 'villano').slice(0, 3);
-  // Simular las rondas adicionales
-  let simulados = {};
-  for (let p of [...heroes, ...villanos]) {
-    simulados[p.id] = Object.assign(Object.create(Object.getPrototypeOf(p)), p);
-    simulados[p.id].vida = 100 + (simulados[p.id].nivel - 1) * 5;
+  if (fight.resultado !== 'Pelea inconclusa') {
+    return res.status(400).json({ error: 'La pelea ya ha finalizado' });
   }
-  let vivosHeroes = heroes.map(p => simulados[p.id]);
-  let vivosVillanos = villanos.map(p => simulados[p.id]);
-  let historial = fight.rondas || [];
-  let rondaNum = historial.length + 1;
-  for (const round of rondas) {
-    if (vivosHeroes.length === 0 || vivosVillanos.length === 0) break;
-    let heroe = vivosHeroes[0];
-    let villano = vivosVillanos[0];
-    let ronda = { ronda: rondaNum, heroe: heroe.nombre, villano: villano.nombre, historia: [] };
-    let turno = 0;
-    while (heroe.vida > 0 && villano.vida > 0) {
-      let atacante, defensor, desc, esUltimate = false, ataque;
-      if (turno % 2 === 0) {
-        atacante = heroe;
-        defensor = villano;
-      } else {
-        atacante = villano;
-        defensor = heroe;
-      }
-      if (atacante.ultimateDisponible) {
-        ataque = atacante.usarUltimate();
-        desc = `¡Ultimate! (${ataque} daño, ignora escudo)`;
-        esUltimate = true;
-      } else {
-        const prob = Math.random();
-        if (prob < 0.4) {
-          let base = (Math.random() < 0.5) ? atacante.getAtaqueBasico() : atacante.getAtaqueEspecial();
-          ataque = atacante.getAtaqueCritico(base);
-          desc = `Ataque crítico (${ataque} daño)`;
-        } else if (prob < 0.7) {
-          ataque = atacante.getAtaqueEspecial();
-          desc = `Ataque especial (${ataque} daño)`;
-        } else {
-          ataque = atacante.getAtaqueBasico();
-          desc = `Ataque básico (${ataque} daño)`;
-        }
-      }
-      let vidaAntes = defensor.vida;
-      defensor.recibirDanio(ataque, esUltimate);
-      atacante.cargarUltimate(ataque);
-      ronda.historia.push(`${atacante.nombre} ataca a ${defensor.nombre}: ${desc} (vida: ${vidaAntes.toFixed(2)} → ${defensor.vida.toFixed(2)})`);
-      turno++;
-    }
-    if (heroe.vida <= 0) {
-      ronda.resultado = `${villano.nombre} gana la ronda`;
-      vivosHeroes.shift();
-    } else {
-      ronda.resultado = `${heroe.nombre} gana la ronda`;
-      vivosVillanos.shift();
-    }
-    historial.push(ronda);
-    rondaNum++;
+  // Recuperar los equipos; quien perdió una ronda anterior queda eliminado
+  const historial = fight.rondas || [];
+  const eliminados = historial.map(r => r.resultado === `${r.heroe} gana la ronda` ? r.villano : r.heroe);
+  const personajes = await personajeService.getAllPersonajes();
+  const heroes = personajes.filter(p => fight.equipoHeroes.includes(p.nombre) && p.tipo === 'superheroe');
+  const villanos = personajes.filter(p => fight.equipoVillanos.includes(p.nombre) && p.tipo === 'villano');
+  // Las peleas anteriores a las reglas versionadas se simularon con la versión 1
+  const reglas = await rulesService.getReglasVersion(fight.reglasVersion || 1);
+  const simulados = [...heroes, ...villanos].map(p => {
+    const sim = combatEngine.prepararCombatiente(p, reglas);
+    if (eliminados.includes(sim.nombre)) sim.vida = 0;
+    return sim;
+  });
+  // Cada continuación usa una semilla derivada de la pelea y del número de rondas ya jugadas
+  const seed = fight.seed !== undefined ? fight.seed : combatEngine.generarSemilla();
+  const rng = combatEngine.crearRng(seed + historial.length);
+  const { resultado, rondas, luchadores } = combatEngine.simularBatallaEquipos(
+    simulados.filter(sim => sim.tipo === 'superheroe'),
+    simulados.filter(sim => sim.tipo === 'villano'),
+    rng,
+    historial.length + 1
+  );
+  for (const luchador of luchadores) {
+    const ronda = eliminados.indexOf(luchador.nombre);
+    if (ronda !== -1) luchador.eliminadoEnRonda = historial[ronda].ronda;
   }
-  let resultado;
-  if (vivosHeroes.length > 0 && vivosVillanos.length === 0) resultado = '¡Ganan los superhéroes!';
-  else if (vivosVillanos.length > 0 && vivosHeroes.length === 0) resultado = '¡Ganan los villanos!';
-  else resultado = 'Pelea inconclusa';
-  await fightRepository.updateFight(fightId, { ...fight, resultado, rondas: historial });
-  res.json({ fightId, resultado, rondas: historial });
+  const todasLasRondas = [...historial, ...rondas];
+  await fightRepository.updateFight(fightId, { resultado, seed, reglasVersion: reglas.version, rondas: todasLasRondas, luchadores });
+  res.json({ fightId, resultado, rondas: todasLasRondas, luchadores });
 });
 
 /**
@@ -560,25 +818,153 @@ router.get('/fights/teams', async (req, res) => {
   res.json({ total, totalPages, page, fights: fightsPage });
 });
 
-// Función para calcular el tipo de ataque
-function calcularAtaque() {
-  const prob = Math.random();
-  if (prob < 0.15) return -45; // 15% crítico
-  if (prob < 0.5) return -30; // 35% especial
-  return -5; // 50% normal
-}
+/**
+ * @swagger
+ * /api/fights/formatos:
+ *   get:
+ *     summary: Obtener los formatos de batalla por equipos y sus reglas de plantilla
+ *     tags: [Peleas]
+ *     responses:
+ *       200:
+ *         description: Formatos de batalla indexados por nombre (por ejemplo 3v3)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               additionalProperties:
+ *                 type: object
+ *                 properties:
+ *                   integrantes:
+ *                     type: integer
+ *                   reglas:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         regla:
+ *                           type: string
+ *                           enum: [nivelTotalMinimo, nivelTotalMaximo, ciudadesDistintas, ultimatesListasMaximo]
+ *                         valor:
+ *                           type: integer
+ *                   sinergias:
+ *                     type: array
+ *                     description: Sinergias de equipo que pueden activarse en el formato (por ejemplo, Vecinos no puede con ciudadesDistintas)
+ *                     items:
+ *                       type: string
+ */
+router.get('/fights/formatos', (req, res) => {
+  const formatos = Object.fromEntries(Object.entries(FORMATOS_BATALLA)
+    .map(([nombre, formato]) => [nombre, { ...formato, sinergias: sinergiasDelFormato(nombre) }]));
+  res.json(formatos);
+});
 
-function descripcionAtaque(valor) {
-  if (valor === -45) return 'ataque crítico (-45 vida)';
-  if (valor === -30) return 'ataque especial (-30 vida)';
-  return 'ataque normal (-5 vida)';
+// Convertir la historia guardada en eventos de repetición; las peleas antiguas solo tienen texto
+function eventosDeRepeticion(historia = [], incluirTexto) {
+  return historia.map((evento, i) => {
+    if (typeof evento === 'string') return { turno: i + 1, texto: evento };
+    if (incluirTexto) return evento;
+    const { texto, ...resto } = evento;
+    return resto;
+  });
 }
 
+/**
+ * @swagger
+ * /api/fights/{fightId}/replay:
+ *   get:
+ *     summary: Obtener los eventos turno a turno de una pelea para reproducirla
+ *     tags: [Peleas]
+ *     parameters:
+ *       - in: path
+ *         name: fightId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID de la pelea
+ *       - in: query
+ *         name: texto
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Incluir la descripción en texto de cada turno
+ *     responses:
+ *       200:
+ *         description: Eventos de la pelea (en peleas por equipos, agrupados por ronda)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 fightId:
+ *                   type: integer
+ *                 seed:
+ *                   type: integer
+ *                 eventos:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EventoTurno'
+ *                 rondas:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       404:
+ *         description: Pelea no encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/fights/:fightId/replay', async (req, res) => {
+  const fightId = parseInt(req.params.fightId, 10);
+  const fight = await fightRepository.getFightById(fightId);
+  if (!fight) {
+    return res.status(404).json({ error: 'Pelea no encontrada' });
+  }
+  const incluirTexto = req.query.texto === 'true';
+  if (fight.rondas) {
+    return res.json({
+      fightId,
+      seed: fight.seed,
+      equipoHeroes: fight.equipoHeroes,
+      equipoVillanos: fight.equipoVillanos,
+      resultado: fight.resultado,
+      rondas: fight.rondas.map(r => ({
+        ronda: r.ronda,
+        heroe: r.heroe,
+        villano: r.villano,
+        resultado: r.resultado,
+        eventos: eventosDeRepeticion(r.historia, incluirTexto)
+      }))
+    });
+  }
+  if (fight.formato === 'melee') {
+    return res.json({
+      fightId,
+      seed: fight.seed,
+      equipoHeroes: fight.equipoHeroes,
+      equipoVillanos: fight.equipoVillanos,
+      resultado: fight.resultado,
+      estrategias: fight.estrategias,
+      iniciativa: fight.iniciativa,
+      eventos: eventosDeRepeticion(fight.historia, incluirTexto)
+    });
+  }
+  res.json({
+    fightId,
+    seed: fight.seed,
+    personaje1: fight.personaje1,
+    personaje2: fight.personaje2,
+    ganador: fight.ganador,
+    eventos: eventosDeRepeticion(fight.historia, incluirTexto)
+  });
+});
+
 /**
  * @swagger
  * /api/fights/{fightId}:
  *   put:
- *     summary: Actualizar el ganador de una pelea
+ *     summary: Corregir el ganador de un 1 vs 1 (solo administradores)
+ *     description: Las estadísticas y el ranking se recalculan con el nuevo ganador. La experiencia y la influencia en la ciudad repartidas al jugar la pelea se mantienen.
  *     tags: [Peleas]
  *     parameters:
  *       - in: path
@@ -594,9 +980,11 @@ function descripcionAtaque(valor) {
  *           schema:
  *             type: object
  *             properties:
- *               winner:
+ *               ganador:
  *                 type: string
- *                 description: Nombre del nuevo ganador
+ *                 description: Nombre del nuevo ganador (uno de los dos personajes de la pelea)
+ *             required:
+ *               - ganador
  *     responses:
  *       200:
  *         description: Pelea actualizada exitosamente
@@ -607,34 +995,43 @@ function descripcionAtaque(valor) {
  *               properties:
  *                 fight:
  *                   type: object
+ *                 ratings:
+ *                   type: object
+ *                   description: Peleas y personajes recalculados al reconstruir los ratings
+ *       400:
+ *         description: El ganador no es uno de los personajes o la pelea no es un 1 vs 1 terminado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Pelea no encontrada
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/responses/SoloAdmin'
  */
-// PUT para actualizar el ganador de una pelea
-router.put('/fights/:fightId', async (req, res) => {
+// PUT para corregir el ganador de una pelea
+router.put('/fights/:fightId', autorizar('admin'), async (req, res) => {
   const fightId = parseInt(req.params.fightId, 10);
-  const { winner } = req.body;
-  if (!winner) {
+  const { ganador } = req.body;
+  if (!ganador) {
     return res.status(400).json({ error: 'El nombre del ganador es obligatorio' });
   }
-  const fight = await fightRepository.getFightById(fightId);
-  if (!fight) {
-    return res.status(404).json({ error: 'Pelea no encontrada' });
+  const resultado = await fightService.corregirGanador(fightId, ganador);
+  if (resultado.error) {
+    return res.status(resultado.status).json({ error: resultado.error });
   }
-  await fightRepository.updateFight(fightId, { ...fight, winner });
-  const updated = await fightRepository.getFightById(fightId);
-  res.json({ fight: updated });
+  res.json(resultado);
 });
 
 /**
  * @swagger
  * /api/fights/{fightId}:
  *   delete:
- *     summary: Eliminar una pelea
+ *     summary: Eliminar una pelea (solo administradores)
  *     tags: [Peleas]
  *     parameters:
  *       - in: path
@@ -659,9 +1056,11 @@ router.put('/fights/:fightId', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/responses/SoloAdmin'
  */
 // DELETE para eliminar una pelea
-router.delete('/fights/:fightId', async (req, res) => {
+router.delete('/fights/:fightId', autorizar('admin'), async (req, res) => {
   const fightId = parseInt(req.params.fightId, 10);
   const fight = await fightRepository.getFightById(fightId);
   if (!fight) {
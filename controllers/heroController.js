@@ -1,6 +1,9 @@
 import express from "express";
 import { check, validationResult, query } from 'express-validator';
 import personajeService from "../services/heroService.js";
+import progressionService from "../services/progressionService.js";
+import { ARQUETIPOS } from "../models/Arquetipo.js";
+import { autorizar } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
@@ -119,6 +122,11 @@ router.get(
  *                 type: string
  *                 enum: [superheroe, villano]
  *                 description: Tipo de personaje
+ *               arquetipo:
+ *                 type: string
+ *                 enum: [neutral, tank, bruiser, striker, support]
+ *                 default: neutral
+ *                 description: Arquetipo que modifica vida, escudo, ataque y carga de ultimate
  *             required:
  *               - nombre
  *               - tipo
@@ -150,7 +158,8 @@ router.get(
 router.post("/personajes",
     [
         check('nombre').not().isEmpty().withMessage('El nombre es requerido'),
-        check('tipo').isIn(['superheroe', 'villano']).withMessage('El tipo debe ser superheroe o villano')
+        check('tipo').isIn(['superheroe', 'villano']).withMessage('El tipo debe ser superheroe o villano'),
+        check('arquetipo').optional().isIn(Object.keys(ARQUETIPOS)).withMessage(`El arquetipo debe ser uno de: ${Object.keys(ARQUETIPOS).join(', ')}`)
     ], 
     async (req, res) => {
         const errors = validationResult(req);
@@ -158,8 +167,8 @@ router.post("/personajes",
             return res.status(400).json({ errors: errors.array() });
         }
         try {
-            const { nombre, ciudad, tipo } = req.body;
-            const nuevo = { nombre, ciudad, tipo };
+            const { nombre, ciudad, tipo, arquetipo } = req.body;
+            const nuevo = { nombre, ciudad, tipo, arquetipo };
             const agregado = await personajeService.addPersonaje(nuevo);
             res.status(201).json(agregado);
         } catch (error) {
@@ -172,7 +181,7 @@ router.post("/personajes",
  * /api/personajes/{id}:
  *   put:
  *     summary: Actualizar un personaje
- *     description: Actualiza la información de un personaje existente
+ *     description: Actualiza la información de un personaje existente. Solo se tienen en cuenta nombre, ciudad, tipo y arquetipo; el resto de campos se ignora. Un personaje que está en un equipo no puede cambiar de tipo.
  *     tags: [Personajes]
  *     parameters:
  *       - in: path
@@ -195,6 +204,9 @@ router.post("/personajes",
  *               tipo:
  *                 type: string
  *                 enum: [superheroe, villano]
+ *               arquetipo:
+ *                 type: string
+ *                 enum: [neutral, tank, bruiser, striker, support]
  *     responses:
  *       200:
  *         description: Personaje actualizado exitosamente
@@ -208,11 +220,18 @@ router.post("/personajes",
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: El personaje está en un equipo y no puede cambiar de tipo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 router.put('/personajes/:id',
     [
         check('nombre').optional().not().isEmpty().withMessage('El nombre no puede estar vacío'),
-        check('tipo').optional().isIn(['superheroe', 'villano']).withMessage('El tipo debe ser superheroe o villano')
+        check('tipo').optional().isIn(['superheroe', 'villano']).withMessage('El tipo debe ser superheroe o villano'),
+        check('arquetipo').optional().isIn(Object.keys(ARQUETIPOS)).withMessage(`El arquetipo debe ser uno de: ${Object.keys(ARQUETIPOS).join(', ')}`)
     ],
     async (req, res) => {
         const errors = validationResult(req);
@@ -221,17 +240,106 @@ router.put('/personajes/:id',
         }
         try {
             const actualizado = await personajeService.updatePersonaje(req.params.id, req.body);
+            if (actualizado && actualizado.error) {
+                return res.status(actualizado.status).json({ error: actualizado.error });
+            }
             res.json(actualizado);
         } catch (err) {
             res.status(500).json({ error: err.message });
         }
 });
 
+/**
+ * @swagger
+ * /api/personajes/{id}/progresion:
+ *   get:
+ *     summary: Obtener el historial de progresión de un personaje
+ *     description: Lista la experiencia ganada en cada pelea y la fecha en que alcanzó cada nivel
+ *     tags: [Personajes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del personaje
+ *     responses:
+ *       200:
+ *         description: Historial de progresión
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 personajeId:
+ *                   type: integer
+ *                 nivel:
+ *                   type: integer
+ *                 experiencia:
+ *                   type: integer
+ *                 registros:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       fightId:
+ *                         type: integer
+ *                       experienciaGanada:
+ *                         type: integer
+ *                       nivelAntes:
+ *                         type: integer
+ *                       nivelDespues:
+ *                         type: integer
+ *                       ratingAntes:
+ *                         type: number
+ *                       ratingDespues:
+ *                         type: number
+ *                       fecha:
+ *                         type: string
+ *                         format: date-time
+ *                 niveles:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       nivel:
+ *                         type: integer
+ *                       fightId:
+ *                         type: integer
+ *                       fecha:
+ *                         type: string
+ *                         format: date-time
+ *       404:
+ *         description: Personaje no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/personajes/:id/progresion', async (req, res) => {
+    try {
+        const personaje = await personajeService.getPersonajeById(req.params.id);
+        if (!personaje) {
+            return res.status(404).json({ error: 'Personaje no encontrado' });
+        }
+        const { registros, niveles } = await progressionService.getProgresion(personaje.id);
+        res.json({
+            personajeId: personaje.id,
+            nivel: personaje.nivel,
+            experiencia: personaje.experiencia,
+            registros,
+            niveles
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 /**
  * @swagger
  * /api/personajes/{id}:
  *   delete:
- *     summary: Eliminar un personaje
+ *     summary: Eliminar un personaje (solo administradores)
  *     description: Elimina un personaje de la base de datos
  *     tags: [Personajes]
  *     parameters:
@@ -257,8 +365,10 @@ router.put('/personajes/:id',
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/responses/SoloAdmin'
  */
-router.delete('/personajes/:id', async (req, res) => {
+router.delete('/personajes/:id', autorizar('admin'), async (req, res) => {
     try {
         const eliminado = await personajeService.deletePersonaje(req.params.id);
         res.json(eliminado);
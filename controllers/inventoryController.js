@@ -0,0 +1,305 @@
+import express from "express";
+import { check, validationResult } from 'express-validator';
+import inventoryService from "../services/inventoryService.js";
+import { RANURAS_ITEM, validarRanura } from "../models/Item.js";
+import { autorizar } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Buscar un item en el inventario del personaje; responde 404 y devuelve null si falta algo
+async function buscarItemInventario(req, res) {
+    const datos = await inventoryService.getInventario(req.params.id);
+    if (!datos) {
+        res.status(404).json({ error: 'Personaje no encontrado' });
+        return null;
+    }
+    const item = datos.inventario.find(i => i.id === Number(req.params.itemId));
+    if (!item) {
+        res.status(404).json({ error: 'El personaje no tiene ese item en su inventario' });
+        return null;
+    }
+    return { item, equipados: datos.equipados };
+}
+
+/**
+ * @swagger
+ * /api/personajes/{id}/equipo-items:
+ *   get:
+ *     summary: Obtener el inventario de un personaje y los items equipados
+ *     tags: [Items]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del personaje
+ *     responses:
+ *       200:
+ *         description: Inventario del personaje
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Inventario'
+ *       404:
+ *         description: Personaje no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/personajes/:id/equipo-items', async (req, res) => {
+    try {
+        const inventario = await inventoryService.getInventario(req.params.id);
+        if (!inventario) {
+            return res.status(404).json({ error: 'Personaje no encontrado' });
+        }
+        res.json(inventario);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/personajes/{id}/equipo-items:
+ *   post:
+ *     summary: Añadir un item del catálogo al inventario de un personaje (solo administradores)
+ *     tags: [Items]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del personaje
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               itemId:
+ *                 type: integer
+ *                 example: 1
+ *             required:
+ *               - itemId
+ *     responses:
+ *       201:
+ *         description: Item añadido al inventario
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Item'
+ *       400:
+ *         description: Datos inválidos o el personaje ya tiene el item
+ *       404:
+ *         description: Personaje o item no encontrados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/responses/SoloAdmin'
+ */
+router.post('/personajes/:id/equipo-items', autorizar('admin'),
+    [
+        check('itemId').isInt({ min: 1 }).withMessage('itemId debe ser un entero positivo')
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        try {
+            const datos = await inventoryService.getInventario(req.params.id);
+            if (!datos) {
+                return res.status(404).json({ error: 'Personaje no encontrado' });
+            }
+            if (datos.inventario.some(i => i.id === Number(req.body.itemId))) {
+                return res.status(400).json({ error: 'El personaje ya tiene ese item en su inventario' });
+            }
+            const item = await inventoryService.addItem(req.params.id, req.body.itemId);
+            if (!item) {
+                return res.status(404).json({ error: 'Item no encontrado' });
+            }
+            res.status(201).json(item);
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+});
+
+/**
+ * @swagger
+ * /api/personajes/{id}/equipo-items/{itemId}:
+ *   delete:
+ *     summary: Quitar un item del inventario de un personaje (solo administradores)
+ *     description: Si el item estaba equipado se desequipa antes.
+ *     tags: [Items]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del personaje
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del item
+ *     responses:
+ *       200:
+ *         description: Item eliminado del inventario
+ *       404:
+ *         description: Personaje no encontrado o item fuera del inventario
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/responses/SoloAdmin'
+ */
+router.delete('/personajes/:id/equipo-items/:itemId', autorizar('admin'), async (req, res) => {
+    try {
+        const encontrado = await buscarItemInventario(req, res);
+        if (!encontrado) return;
+        res.json(await inventoryService.deleteItem(req.params.id, encontrado.item));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/personajes/{id}/equipo-items/{itemId}/equipar:
+ *   put:
+ *     summary: Equipar un item del inventario (solo administradores)
+ *     description: El item ocupa su ranura (arma, armadura o reliquia) y sustituye al que hubiera en ella.
+ *     tags: [Items]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del personaje
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del item
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ranura:
+ *                 type: string
+ *                 enum: [arma, armadura, reliquia]
+ *                 description: Ranura en la que se quiere equipar (debe coincidir con la del item)
+ *     responses:
+ *       200:
+ *         description: Inventario actualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Inventario'
+ *       400:
+ *         description: El item no se puede equipar en esa ranura
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Personaje no encontrado o item fuera del inventario
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/responses/SoloAdmin'
+ */
+router.put('/personajes/:id/equipo-items/:itemId/equipar', autorizar('admin'),
+    [
+        check('ranura').optional().isIn(RANURAS_ITEM).withMessage(`La ranura debe ser una de: ${RANURAS_ITEM.join(', ')}`)
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        try {
+            const encontrado = await buscarItemInventario(req, res);
+            if (!encontrado) return;
+            const error = validarRanura(encontrado.item, req.body.ranura);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            res.json(await inventoryService.equiparItem(req.params.id, encontrado.item));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+});
+
+/**
+ * @swagger
+ * /api/personajes/{id}/equipo-items/{itemId}/equipar:
+ *   delete:
+ *     summary: Desequipar un item (solo administradores)
+ *     tags: [Items]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del personaje
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del item
+ *     responses:
+ *       200:
+ *         description: Inventario actualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Inventario'
+ *       400:
+ *         description: El item no está equipado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Personaje no encontrado o item fuera del inventario
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/responses/SoloAdmin'
+ */
+router.delete('/personajes/:id/equipo-items/:itemId/equipar', autorizar('admin'), async (req, res) => {
+    try {
+        const encontrado = await buscarItemInventario(req, res);
+        if (!encontrado) return;
+        const equipado = encontrado.equipados[encontrado.item.ranura];
+        if (!equipado || equipado.id !== encontrado.item.id) {
+            return res.status(400).json({ error: 'El item no está equipado' });
+        }
+        res.json(await inventoryService.desequiparItem(req.params.id, encontrado.item));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+export default router;
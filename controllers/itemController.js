@@ -0,0 +1,165 @@
+import express from "express";
+import { check, validationResult } from 'express-validator';
+import itemService from "../services/itemService.js";
+import { RANURAS_ITEM, ESTADISTICAS_ITEM, TIPOS_BONIFICACION, LIMITES_BONIFICACION, MAXIMO_BONIFICACIONES_ITEM } from "../models/Item.js";
+import { autorizar } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/items:
+ *   get:
+ *     summary: Obtener el catálogo de items
+ *     tags: [Items]
+ *     responses:
+ *       200:
+ *         description: Lista de items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Item'
+ */
+router.get('/items', async (req, res) => {
+    try {
+        res.json(await itemService.getItems());
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/items/{id}:
+ *   get:
+ *     summary: Obtener un item del catálogo
+ *     tags: [Items]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del item
+ *     responses:
+ *       200:
+ *         description: Item encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Item'
+ *       404:
+ *         description: Item no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/items/:id', async (req, res) => {
+    try {
+        const item = await itemService.getItemById(req.params.id);
+        if (!item) {
+            return res.status(404).json({ error: 'Item no encontrado' });
+        }
+        res.json(item);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/items:
+ *   post:
+ *     summary: Añadir un item al catálogo (solo administradores)
+ *     tags: [Items]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Item'
+ *     responses:
+ *       201:
+ *         description: Item creado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Item'
+ *       400:
+ *         description: Datos inválidos
+ *       403:
+ *         $ref: '#/components/responses/SoloAdmin'
+ */
+router.post('/items', autorizar('admin'),
+    [
+        check('nombre').not().isEmpty().withMessage('El nombre es requerido'),
+        check('ranura').isIn(RANURAS_ITEM).withMessage(`La ranura debe ser una de: ${RANURAS_ITEM.join(', ')}`),
+        check('bonificaciones').isArray({ min: 1, max: MAXIMO_BONIFICACIONES_ITEM }).withMessage(`bonificaciones debe ser una lista de 1 a ${MAXIMO_BONIFICACIONES_ITEM} bonificaciones`)
+            .bail()
+            .custom(bonificaciones => new Set(bonificaciones.map(b => `${b && b.estadistica}:${b && b.tipo}`)).size === bonificaciones.length)
+            .withMessage('Un item no puede repetir una bonificación de la misma estadística y tipo'),
+        check('bonificaciones.*.estadistica').isIn(ESTADISTICAS_ITEM).withMessage(`La estadística debe ser una de: ${ESTADISTICAS_ITEM.join(', ')}`),
+        check('bonificaciones.*.tipo').isIn(TIPOS_BONIFICACION).withMessage(`El tipo de bonificación debe ser uno de: ${TIPOS_BONIFICACION.join(', ')}`),
+        check('bonificaciones.*.valor').isFloat().withMessage('El valor de la bonificación debe ser un número')
+            .bail()
+            .custom((valor, { req, path }) => {
+                const indice = Number(path.match(/\[(\d+)\]/)[1]);
+                const limites = LIMITES_BONIFICACION[req.body.bonificaciones[indice].tipo];
+                return !limites || (Number(valor) >= limites.min && Number(valor) <= limites.max);
+            })
+            .withMessage(`El valor debe estar entre ${LIMITES_BONIFICACION.plano.min} y ${LIMITES_BONIFICACION.plano.max} (plano) o entre ${LIMITES_BONIFICACION.porcentaje.min} y ${LIMITES_BONIFICACION.porcentaje.max} (porcentaje)`)
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        try {
+            res.status(201).json(await itemService.addItem(req.body));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+});
+
+/**
+ * @swagger
+ * /api/items/{id}:
+ *   delete:
+ *     summary: Eliminar un item del catálogo (solo administradores)
+ *     description: Los personajes que ya lo tienen en su inventario conservan su copia.
+ *     tags: [Items]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del item
+ *     responses:
+ *       200:
+ *         description: Item eliminado
+ *       404:
+ *         description: Item no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/responses/SoloAdmin'
+ */
+router.delete('/items/:id', autorizar('admin'), async (req, res) => {
+    try {
+        const eliminado = await itemService.deleteItem(req.params.id);
+        if (!eliminado) {
+            return res.status(404).json({ error: 'Item no encontrado' });
+        }
+        res.json(eliminado);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,110 @@
+import express from "express";
+import { validationResult, query } from 'express-validator';
+import ratingService from '../services/ratingService.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/leaderboard:
+ *   get:
+ *     summary: Clasificación de personajes por rating Elo
+ *     description: El rating se actualiza tras cada pelea 1 vs 1. Todos los personajes empiezan con 1500.
+ *     tags: [Clasificación]
+ *     parameters:
+ *       - in: query
+ *         name: tipo
+ *         schema:
+ *           type: string
+ *           enum: [superheroe, villano]
+ *       - in: query
+ *         name: ciudad
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: equipo
+ *         schema:
+ *           type: string
+ *         description: Solo los integrantes actuales de este equipo
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Página de la clasificación
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       posicion:
+ *                         type: integer
+ *                       id:
+ *                         type: integer
+ *                       nombre:
+ *                         type: string
+ *                       tipo:
+ *                         type: string
+ *                       ciudad:
+ *                         type: string
+ *                       equipos:
+ *                         type: array
+ *                         description: Equipos a los que pertenece
+ *                         items:
+ *                           type: string
+ *                       nivel:
+ *                         type: integer
+ *                       rating:
+ *                         type: number
+ *       400:
+ *         description: Parámetros inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/leaderboard',
+  [
+    query('tipo').optional().isIn(['superheroe', 'villano']).withMessage('tipo debe ser superheroe o villano'),
+    query('page').optional().isInt({ min: 1 }).withMessage('page debe ser un entero positivo'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('limit debe ser un entero entre 1 y 50')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array() });
+    }
+    try {
+      const page = parseInt(req.query.page, 10) || 1;
+      const limit = parseInt(req.query.limit, 10) || 10;
+      const { tipo, ciudad, equipo } = req.query;
+      res.json(await ratingService.getLeaderboard({ tipo, ciudad, equipo }, page, limit));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+export default router;
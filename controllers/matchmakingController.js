@@ -0,0 +1,220 @@
+import express from "express";
+import { body, validationResult } from 'express-validator';
+import matchmakingService from '../services/matchmakingService.js';
+import { CRITERIOS_EMPAREJAMIENTO, CRITERIO_POR_DEFECTO } from '../models/Emparejamiento.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/matchmaking/queue:
+ *   post:
+ *     summary: Poner un personaje en la cola de emparejamiento
+ *     description: |
+ *       El personaje se empareja con uno del tipo contrario, de otro jugador, cuyo nivel o rating (según `criterio`)
+ *       sea parecido. El rango aceptado crece cuanto más tiempo lleva esperando; la cola se procesa con cada alta y
+ *       con POST /api/matchmaking/process. Cuando hay pareja la pelea se simula y se guarda como un 1 vs 1 normal;
+ *       consulta el ticket para obtener el `fightId`.
+ *     tags: [Emparejamiento]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               personajeId:
+ *                 type: integer
+ *                 example: 1
+ *               criterio:
+ *                 type: string
+ *                 enum: [nivel, rating]
+ *                 default: rating
+ *             required:
+ *               - personajeId
+ *     responses:
+ *       201:
+ *         description: Ticket creado (ya emparejado si había un rival disponible)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TicketEmparejamiento'
+ *       400:
+ *         description: Datos inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Personaje no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: El personaje ya tiene un ticket esperando o emparejando
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/matchmaking/queue',
+  [
+    body('personajeId').isInt({ min: 1 }).withMessage('personajeId debe ser un entero positivo'),
+    body('criterio').optional().isIn(Object.keys(CRITERIOS_EMPAREJAMIENTO)).withMessage(`criterio debe ser uno de: ${Object.keys(CRITERIOS_EMPAREJAMIENTO).join(', ')}`)
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array() });
+    }
+    try {
+      const criterio = req.body.criterio || CRITERIO_POR_DEFECTO;
+      const resultado = await matchmakingService.encolar(Number(req.body.personajeId), criterio, req.user.name);
+      if (resultado.error) {
+        return res.status(resultado.status).json({ error: resultado.error });
+      }
+      res.status(201).json(resultado.ticket);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/matchmaking/process:
+ *   post:
+ *     summary: Procesar la cola de emparejamiento
+ *     description: |
+ *       Empareja a los que esperan con el rango que tienen ahora y simula sus peleas. También recupera los tickets
+ *       que se quedaron emparejando a medias: si su pelea llegó a guardarse se cierran con ella y, si no, vuelven a esperar.
+ *     tags: [Emparejamiento]
+ *     responses:
+ *       200:
+ *         description: IDs de las peleas jugadas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 peleas:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ */
+router.post('/matchmaking/process', async (req, res) => {
+  try {
+    res.json({ peleas: await matchmakingService.procesarCola() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/matchmaking/queue:
+ *   get:
+ *     summary: Ver los personajes que esperan rival
+ *     tags: [Emparejamiento]
+ *     responses:
+ *       200:
+ *         description: Tickets en espera, del más antiguo al más nuevo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TicketEmparejamiento'
+ */
+router.get('/matchmaking/queue', async (req, res) => {
+  try {
+    res.json(await matchmakingService.getCola());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/matchmaking/queue/{ticketId}:
+ *   get:
+ *     summary: Consultar un ticket de emparejamiento
+ *     description: Mientras espera muestra el rango actual; cuando se empareja incluye el rival y el `fightId` de la pelea.
+ *     tags: [Emparejamiento]
+ *     parameters:
+ *       - in: path
+ *         name: ticketId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Ticket
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TicketEmparejamiento'
+ *       404:
+ *         description: Ticket no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/matchmaking/queue/:ticketId', async (req, res) => {
+  try {
+    const ticket = await matchmakingService.getTicket(req.params.ticketId);
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket no encontrado' });
+    }
+    res.json(ticket);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/matchmaking/queue/{ticketId}:
+ *   delete:
+ *     summary: Salir de la cola de emparejamiento
+ *     tags: [Emparejamiento]
+ *     parameters:
+ *       - in: path
+ *         name: ticketId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Ticket cancelado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TicketEmparejamiento'
+ *       400:
+ *         description: El ticket ya no está esperando
+ *       403:
+ *         description: El ticket es de otro jugador
+ *       404:
+ *         description: Ticket no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/matchmaking/queue/:ticketId', async (req, res) => {
+  try {
+    const resultado = await matchmakingService.cancelar(req.params.ticketId, req.user.name);
+    if (resultado.error) {
+      return res.status(resultado.status).json({ error: resultado.error });
+    }
+    res.json(resultado.ticket);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,154 @@
+import express from "express";
+import rulesService from '../services/rulesService.js';
+import { autorizar } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/rules:
+ *   get:
+ *     summary: Obtener las reglas de combate vigentes
+ *     tags: [Reglas]
+ *     responses:
+ *       200:
+ *         description: Reglas vigentes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Reglas'
+ */
+router.get('/rules', async (req, res) => {
+  try {
+    res.json(await rulesService.getReglasActuales());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rules/versions:
+ *   get:
+ *     summary: Listar las versiones de las reglas de combate
+ *     tags: [Reglas]
+ *     responses:
+ *       200:
+ *         description: Versiones ordenadas de la más antigua a la más reciente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   version:
+ *                     type: integer
+ *                   creadoEn:
+ *                     type: string
+ *                     format: date-time
+ *                   creadoPor:
+ *                     type: string
+ */
+router.get('/rules/versions', async (req, res) => {
+  try {
+    res.json(await rulesService.getVersiones());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rules/{version}:
+ *   get:
+ *     summary: Obtener una versión concreta de las reglas de combate
+ *     tags: [Reglas]
+ *     parameters:
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Número de versión
+ *     responses:
+ *       200:
+ *         description: Reglas de esa versión
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Reglas'
+ *       404:
+ *         description: Versión no encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/rules/:version', async (req, res) => {
+  try {
+    const reglas = await rulesService.getReglasVersion(parseInt(req.params.version, 10));
+    if (!reglas) {
+      return res.status(404).json({ error: 'Versión de reglas no encontrada' });
+    }
+    res.json(reglas);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rules:
+ *   put:
+ *     summary: Publicar una nueva versión de las reglas de combate (solo administradores)
+ *     description: Los cambios se aplican sobre la versión vigente y se guardan como una versión nueva. Las peleas ya guardadas conservan la versión con la que se simularon.
+ *     tags: [Reglas]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               probabilidades:
+ *                 type: object
+ *                 example: { critico: 0.35, especial: 0.35, basico: 0.3 }
+ *               ataques:
+ *                 type: object
+ *                 example: { especial: { base: 25 } }
+ *               progresion:
+ *                 type: object
+ *                 example: { nivelMaximo: 12 }
+ *     responses:
+ *       201:
+ *         description: Nueva versión publicada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Reglas'
+ *       400:
+ *         description: Reglas inválidas (por ejemplo, un ataque con base 0 o un multiplicador de crítico menor que 1)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/responses/SoloAdmin'
+ */
+router.put('/rules', autorizar('admin'), async (req, res) => {
+  try {
+    const actuales = await rulesService.getReglasActuales();
+    const nuevas = rulesService.combinarReglas(actuales, req.body);
+    const errores = rulesService.validarReglas(nuevas);
+    if (errores.length > 0) {
+      return res.status(400).json({ error: errores });
+    }
+    const publicadas = await rulesService.publicarReglas(nuevas, req.user.name);
+    res.status(201).json(publicadas);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
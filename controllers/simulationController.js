@@ -0,0 +1,188 @@
+import express from "express";
+import { validationResult, query } from 'express-validator';
+import personajeService from '../services/heroService.js';
+import teamService from '../services/teamService.js';
+import combatEngine from '../services/combatEngine.js';
+import simulationService from '../services/simulationService.js';
+import rulesService from '../services/rulesService.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/simulations/matchup:
+ *   get:
+ *     summary: Estimar las probabilidades de un enfrentamiento sin guardar peleas
+ *     description: Simula el enfrentamiento muchas veces (Monte Carlo). Enviar id1 e id2 para un 1 vs 1, o equipoHeroes y equipoVillanos para una pelea por equipos.
+ *     tags: [Simulaciones]
+ *     parameters:
+ *       - in: query
+ *         name: id1
+ *         schema:
+ *           type: integer
+ *         description: ID del primer personaje (1 vs 1)
+ *       - in: query
+ *         name: id2
+ *         schema:
+ *           type: integer
+ *         description: ID del segundo personaje (1 vs 1)
+ *       - in: query
+ *         name: equipoHeroes
+ *         schema:
+ *           type: string
+ *         description: ID o nombre del equipo de superhéroes (pelea por equipos)
+ *       - in: query
+ *         name: equipoVillanos
+ *         schema:
+ *           type: string
+ *         description: ID o nombre del equipo de villanos (pelea por equipos)
+ *       - in: query
+ *         name: formato
+ *         schema:
+ *           type: string
+ *           enum: [relevos, melee]
+ *           default: relevos
+ *         description: Formato de la pelea por equipos
+ *       - in: query
+ *         name: formatoBatalla
+ *         schema:
+ *           type: string
+ *           enum: [1v1, 2v2, 3v3, 5v5]
+ *         description: Formato de batalla cuyas reglas deben cumplir ambas plantillas (por defecto el asignado a alguno de los equipos; si ninguno tiene, no se aplican reglas de formato)
+ *       - in: query
+ *         name: estrategiaHeroes
+ *         schema:
+ *           type: string
+ *           enum: [menorVida, mayorNivel, aleatorio, protegerDebil]
+ *           default: menorVida
+ *       - in: query
+ *         name: estrategiaVillanos
+ *         schema:
+ *           type: string
+ *           enum: [menorVida, mayorNivel, aleatorio, protegerDebil]
+ *           default: menorVida
+ *       - in: query
+ *         name: runs
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10000
+ *           default: 10000
+ *         description: Cantidad de peleas a simular
+ *       - in: query
+ *         name: seed
+ *         schema:
+ *           type: integer
+ *         description: Semilla opcional para obtener siempre el mismo resultado
+ *       - in: query
+ *         name: reglasVersion
+ *         schema:
+ *           type: integer
+ *         description: Versión de las reglas a usar (por defecto la vigente)
+ *     responses:
+ *       200:
+ *         description: Estadísticas del enfrentamiento
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 formato:
+ *                   type: string
+ *                 runs:
+ *                   type: integer
+ *                 seed:
+ *                   type: integer
+ *                 reglasVersion:
+ *                   type: integer
+ *                 probabilidadVictoria:
+ *                   type: object
+ *                   description: Probabilidad de victoria de cada lado y de empate (máximo de turnos alcanzado)
+ *                 duracion:
+ *                   type: object
+ *                   description: Turnos por pelea (media, min, p50, p90, p99, max)
+ *                 danioPorTipo:
+ *                   type: object
+ *                   description: Usos y daño medio por tipo de ataque
+ *                 ultimates:
+ *                   type: object
+ *                   properties:
+ *                     usosPorPelea:
+ *                       type: number
+ *                     tasaPeleasConUltimate:
+ *                       type: number
+ *       400:
+ *         description: Parámetros inválidos o enfrentamiento no permitido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/simulations/matchup',
+  [
+    query('id1').optional().isInt({ min: 1 }).withMessage('id1 debe ser un entero positivo mayor a 0'),
+    query('id2').optional().isInt({ min: 1 }).withMessage('id2 debe ser un entero positivo mayor a 0'),
+    query('runs').optional().isInt({ min: 1, max: 10000 }).withMessage('runs debe ser un entero entre 1 y 10000'),
+    query('seed').optional().isInt({ min: 0, max: 4294967295 }).withMessage('seed debe ser un entero entre 0 y 4294967295'),
+    query('reglasVersion').optional().isInt({ min: 1 }).withMessage('reglasVersion debe ser un entero positivo'),
+    query('formato').optional().isIn(combatEngine.FORMATOS_EQUIPO).withMessage(`formato debe ser uno de: ${combatEngine.FORMATOS_EQUIPO.join(', ')}`),
+    query(['estrategiaHeroes', 'estrategiaVillanos']).optional().isIn(Object.keys(combatEngine.ESTRATEGIAS))
+      .withMessage(`Las estrategias deben ser una de: ${Object.keys(combatEngine.ESTRATEGIAS).join(', ')}`)
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array() });
+    }
+    const { id1, id2, equipoHeroes, equipoVillanos } = req.query;
+    const runs = parseInt(req.query.runs, 10) || 10000;
+    const seed = req.query.seed !== undefined ? Number(req.query.seed) : combatEngine.generarSemilla();
+    const rng = combatEngine.crearRng(seed);
+    const reglas = req.query.reglasVersion !== undefined
+      ? await rulesService.getReglasVersion(req.query.reglasVersion)
+      : await rulesService.getReglasActuales();
+    if (!reglas) {
+      return res.status(400).json({ error: 'Versión de reglas no encontrada' });
+    }
+    if (id1 && id2) {
+      const personaje1 = await personajeService.getPersonajeById(id1);
+      const personaje2 = await personajeService.getPersonajeById(id2);
+      if (!personaje1 || !personaje2) {
+        return res.status(400).json({ error: 'Ambos personajes deben existir' });
+      }
+      if (personaje1.tipo === personaje2.tipo) {
+        return res.status(400).json({ error: 'Solo se permiten peleas entre un superhéroe y un villano' });
+      }
+      return res.json({ seed, reglasVersion: reglas.version, ...await simulationService.simularEnfrentamiento(personaje1, personaje2, runs, rng, reglas) });
+    }
+    if (equipoHeroes && equipoVillanos) {
+      const plantillaHeroes = await teamService.getPlantillaParaPelea(equipoHeroes, 'superheroe');
+      const plantillaVillanos = await teamService.getPlantillaParaPelea(equipoVillanos, 'villano');
+      const errorPlantilla = plantillaHeroes.error || plantillaVillanos.error;
+      if (errorPlantilla) {
+        return res.status(400).json({ error: errorPlantilla });
+      }
+      const enfrentamiento = teamService.comprobarEnfrentamiento(plantillaHeroes, plantillaVillanos, req.query.formatoBatalla);
+      if (enfrentamiento.error) {
+        const { error, regla } = enfrentamiento;
+        return res.status(400).json(regla ? { error, regla } : { error });
+      }
+      const heroes = plantillaHeroes.integrantes;
+      const villanos = plantillaVillanos.integrantes;
+      const opciones = {
+        formato: req.query.formato || 'relevos',
+        reglas,
+        sinergias: { superheroe: plantillaHeroes.sinergias, villano: plantillaVillanos.sinergias },
+        estrategias: {
+          superheroe: req.query.estrategiaHeroes || 'menorVida',
+          villano: req.query.estrategiaVillanos || 'menorVida'
+        }
+      };
+      return res.json({ seed, reglasVersion: reglas.version, formatoBatalla: enfrentamiento.formatoBatalla, ...await simulationService.simularEquipos(heroes, villanos, runs, rng, opciones) });
+    }
+    res.status(400).json({ error: 'Debes enviar id1 e id2, o equipoHeroes y equipoVillanos' });
+  }
+);
+
+export default router;
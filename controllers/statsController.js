@@ -0,0 +1,142 @@
+import express from "express";
+import statsService from '../services/statsService.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/personajes/{id}/stats:
+ *   get:
+ *     summary: Estadísticas de las peleas 1 vs 1 de un personaje
+ *     description: Solo cuentan los 1 vs 1 terminados. El daño incluye los golpes y la quemadura, y no las curaciones.
+ *     tags: [Estadísticas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Estadísticas del personaje
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 personajeId:
+ *                   type: integer
+ *                 nombre:
+ *                   type: string
+ *                 peleas:
+ *                   type: integer
+ *                 victorias:
+ *                   type: integer
+ *                 derrotas:
+ *                   type: integer
+ *                 tasaVictoria:
+ *                   type: number
+ *                 duracionMedia:
+ *                   type: number
+ *                   description: Turnos por pelea
+ *                 danioHecho:
+ *                   type: number
+ *                 danioRecibido:
+ *                   type: number
+ *                 ultimates:
+ *                   type: integer
+ *                 rachaActual:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     tipo:
+ *                       type: string
+ *                       enum: [victorias, derrotas]
+ *                     cantidad:
+ *                       type: integer
+ *       404:
+ *         description: Personaje no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/personajes/:id/stats', async (req, res) => {
+  try {
+    const stats = await statsService.getEstadisticasPersonaje(req.params.id);
+    if (!stats) {
+      return res.status(404).json({ error: 'Personaje no encontrado' });
+    }
+    res.json(stats);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/personajes/{id1}/vs/{id2}:
+ *   get:
+ *     summary: Historial de enfrentamientos entre dos personajes
+ *     tags: [Estadísticas]
+ *     parameters:
+ *       - in: path
+ *         name: id1
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: id2
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Victorias de cada uno y peleas entre ambos, con el enlace a su repetición
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 personaje1:
+ *                   type: object
+ *                 personaje2:
+ *                   type: object
+ *                 total:
+ *                   type: integer
+ *                 peleas:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       fightId:
+ *                         type: integer
+ *                       ganadorId:
+ *                         type: integer
+ *                       ganador:
+ *                         type: string
+ *                       turnos:
+ *                         type: integer
+ *                       repeticion:
+ *                         type: string
+ *                         example: /api/fights/12/replay
+ *       404:
+ *         description: Alguno de los personajes no existe
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/personajes/:id1/vs/:id2', async (req, res) => {
+  try {
+    const enfrentamientos = await statsService.getEnfrentamientos(req.params.id1, req.params.id2);
+    if (!enfrentamientos) {
+      return res.status(404).json({ error: 'Ambos personajes deben existir' });
+    }
+    res.json(enfrentamientos);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
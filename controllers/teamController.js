@@ -1,49 +1,132 @@
 import express from "express";
-import personajeService from '../services/heroService.js';
-import { connectDB } from '../data/mongoClient.js';
+import teamService from '../services/teamService.js';
+import statsService from '../services/statsService.js';
+import { FACCIONES, TAMANO_MAXIMO } from '../models/Equipo.js';
+import { FORMATOS_BATALLA } from '../models/FormatoBatalla.js';
+import { autorizar } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
-// Crear equipo genérico (POST /equipos)
-router.post('/', async (req, res) => {
-  const nombreEquipo = req.query.nombreEquipo;
-  const idsParam = req.query.ids;
-  if (!nombreEquipo || !idsParam) {
+// Comprobar los campos opcionales comunes al crear y modificar equipos; devuelve el mensaje de error o null
+function validarDatosEquipo({ ids, tamano, capitanId, faccion, formatoBatalla }) {
+  if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => !Number.isInteger(id) || id <= 0))) {
+    return 'ids debe ser una lista de IDs enteros y positivos';
+  }
+  if (tamano !== undefined && (!Number.isInteger(tamano) || tamano < 1 || tamano > TAMANO_MAXIMO)) {
+    return `tamano debe ser un entero entre 1 y ${TAMANO_MAXIMO}`;
+  }
+  if (capitanId !== undefined && (!Number.isInteger(capitanId) || capitanId <= 0)) {
+    return 'capitanId debe ser un entero positivo';
+  }
+  if (faccion !== undefined && !FACCIONES.includes(faccion)) {
+    return `faccion debe ser una de: ${FACCIONES.join(', ')}`;
+  }
+  if (formatoBatalla !== undefined && formatoBatalla !== null && !FORMATOS_BATALLA[formatoBatalla]) {
+    return `formatoBatalla debe ser uno de: ${Object.keys(FORMATOS_BATALLA).join(', ')}`;
+  }
+  return null;
+}
+
+// Responder con el equipo o con el error que devolvió el servicio (y la regla del formato que no se cumple)
+function responder(res, resultado, status = 200) {
+  if (resultado.error) {
+    const { error, regla } = resultado;
+    return res.status(resultado.status).json(regla ? { error, regla } : { error });
+  }
+  res.status(status).json(resultado.equipo);
+}
+
+async function crearEquipoDeFaccion(req, res, faccion) {
+  const { nombreEquipo, ids, tamano, capitanId, formatoBatalla } = req.body;
+  if (!nombreEquipo || !Array.isArray(ids) || ids.length === 0) {
     return res.status(400).json({ error: 'nombreEquipo e ids son obligatorios' });
   }
-  const ids = idsParam.split(',').map(id => parseInt(id.trim(), 10));
-  if (ids.length !== 3 || ids.some(id => isNaN(id) || id <= 0)) {
-    return res.status(400).json({ error: 'Debes enviar exactamente 3 IDs válidos, enteros y positivos' });
+  const error = validarDatosEquipo({ ids, tamano, capitanId, formatoBatalla });
+  if (error) {
+    return res.status(400).json({ error });
   }
-  const personajes = await personajeService.getAllPersonajes();
-  const seleccionados = ids.map(id => personajes.find(p => p.id === id));
-  if (seleccionados.includes(undefined)) {
-    return res.status(400).json({ error: 'Todos los IDs deben existir' });
+  responder(res, await teamService.crearEquipo({ nombre: nombreEquipo, faccion, tamano, ids, capitanId, formatoBatalla }), 201);
+}
+
+/**
+ * @swagger
+ * /api/equipos:
+ *   post:
+ *     summary: Crear un equipo
+ *     description: Un personaje puede estar en varios equipos. Si no se indica la facción se toma la del primer integrante.
+ *     tags: [Equipos]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               nombre:
+ *                 type: string
+ *                 description: No puede ser solo un número ni "ranking"
+ *                 example: LigaDeLaJusticia
+ *               faccion:
+ *                 type: string
+ *                 enum: [superheroe, villano]
+ *               tamano:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 10
+ *                 default: 3
+ *                 description: Máximo de integrantes de la plantilla (por defecto el del formato de batalla, si se indica)
+ *               formatoBatalla:
+ *                 type: string
+ *                 enum: [1v1, 2v2, 3v3, 5v5]
+ *                 description: Formato en el que compite el equipo; la plantilla debe cumplir sus reglas
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [1,2,3]
+ *               capitanId:
+ *                 type: integer
+ *                 description: Integrante que capitanea el equipo (por defecto el primero)
+ *             required:
+ *               - nombre
+ *     responses:
+ *       201:
+ *         description: Equipo creado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Equipo'
+ *       400:
+ *         description: Datos inválidos o la plantilla no cumple una regla del formato de batalla
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Ya existe un equipo con ese nombre
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', async (req, res) => {
+  const { nombre, faccion, tamano, capitanId, formatoBatalla } = req.body;
+  const ids = req.body.ids || [];
+  if (!nombre || typeof nombre !== 'string' || !nombre.trim()) {
+    return res.status(400).json({ error: 'nombre es obligatorio' });
   }
-  const tipoEquipo = seleccionados[0].tipo;
-  if (!seleccionados.every(p => p.tipo === tipoEquipo)) {
-    return res.status(400).json({ error: 'No se pueden mezclar villanos y superhéroes en el mismo equipo' });
+  const error = validarDatosEquipo({ ids, tamano, capitanId, faccion, formatoBatalla });
+  if (error) {
+    return res.status(400).json({ error });
   }
-  // Asignar nombre de equipo en MongoDB
-  const db = await connectDB();
-  await db.collection('personajes').updateMany(
-    { id: { $in: ids } },
-    { $set: { equipo: nombreEquipo } }
-  );
-  // Remover el nombre de equipo de personajes que ya no estén en el equipo
-  await db.collection('personajes').updateMany(
-    { equipo: nombreEquipo, id: { $nin: ids } },
-    { $unset: { equipo: "" } }
-  );
-  const equipo = await db.collection('personajes').find({ id: { $in: ids } }).toArray();
-  res.json({ equipo });
+  responder(res, await teamService.crearEquipo({ nombre, faccion, tamano, ids, capitanId, formatoBatalla }), 201);
 });
 
 /**
  * @swagger
  * /api/equipos/superheroes:
  *   post:
- *     summary: Crear un equipo de 3 superhéroes
+ *     summary: Crear un equipo de superhéroes
  *     tags: [Equipos]
  *     requestBody:
  *       required: true
@@ -54,51 +137,46 @@ router.post('/', async (req, res) => {
  *             properties:
  *               nombreEquipo:
  *                 type: string
+ *                 description: No puede ser solo un número ni "ranking"
  *                 example: LigaDeLaJusticia
  *               ids:
  *                 type: array
  *                 items:
  *                   type: integer
- *                 minItems: 3
- *                 maxItems: 3
  *                 example: [1,2,3]
+ *               tamano:
+ *                 type: integer
+ *                 default: 3
+ *               capitanId:
+ *                 type: integer
+ *               formatoBatalla:
+ *                 type: string
+ *                 enum: [1v1, 2v2, 3v3, 5v5]
  *             required:
  *               - nombreEquipo
  *               - ids
  *     responses:
- *       200:
+ *       201:
  *         description: Equipo de superhéroes creado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Equipo'
  *       400:
  *         description: Datos inválidos o personajes no son superhéroes
+ *       409:
+ *         description: Ya existe un equipo con ese nombre
  */
 // Crear equipo de superhéroes (POST /equipos/superheroes)
 router.post('/superheroes', async (req, res) => {
-  const { nombreEquipo, ids } = req.body;
-  if (!nombreEquipo || !Array.isArray(ids) || ids.length !== 3) {
-    return res.status(400).json({ error: 'nombreEquipo y 3 ids son obligatorios' });
-  }
-  const db = await connectDB();
-  const personajes = await db.collection('personajes').find({ id: { $in: ids } }).toArray();
-  if (personajes.length !== 3 || personajes.some(p => p.tipo !== 'superheroe')) {
-    return res.status(400).json({ error: 'Todos los IDs deben existir y ser superhéroes' });
-  }
-  await db.collection('personajes').updateMany(
-    { id: { $in: ids } },
-    { $set: { equipo: nombreEquipo } }
-  );
-  await db.collection('personajes').updateMany(
-    { equipo: nombreEquipo, id: { $nin: ids } },
-    { $unset: { equipo: "" } }
-  );
-  const equipo = await db.collection('personajes').find({ id: { $in: ids } }).toArray();
-  res.json({ equipo });
+  await crearEquipoDeFaccion(req, res, 'superheroe');
 });
 
 /**
  * @swagger
  * /api/equipos/villanos:
  *   post:
- *     summary: Crear un equipo de 3 villanos
+ *     summary: Crear un equipo de villanos
  *     tags: [Equipos]
  *     requestBody:
  *       required: true
@@ -109,51 +187,47 @@ router.post('/superheroes', async (req, res) => {
  *             properties:
  *               nombreEquipo:
  *                 type: string
+ *                 description: No puede ser solo un número ni "ranking"
  *                 example: LegionDelMal
  *               ids:
  *                 type: array
  *                 items:
  *                   type: integer
- *                 minItems: 3
- *                 maxItems: 3
  *                 example: [21,22,23]
+ *               tamano:
+ *                 type: integer
+ *                 default: 3
+ *               capitanId:
+ *                 type: integer
+ *               formatoBatalla:
+ *                 type: string
+ *                 enum: [1v1, 2v2, 3v3, 5v5]
  *             required:
  *               - nombreEquipo
  *               - ids
  *     responses:
- *       200:
+ *       201:
  *         description: Equipo de villanos creado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Equipo'
  *       400:
  *         description: Datos inválidos o personajes no son villanos
+ *       409:
+ *         description: Ya existe un equipo con ese nombre
  */
 // Crear equipo de villanos (POST /equipos/villanos)
 router.post('/villanos', async (req, res) => {
-  const { nombreEquipo, ids } = req.body;
-  if (!nombreEquipo || !Array.isArray(ids) || ids.length !== 3) {
-    return res.status(400).json({ error: 'nombreEquipo y 3 ids son obligatorios' });
-  }
-  const db = await connectDB();
-  const personajes = await db.collection('personajes').find({ id: { $in: ids } }).toArray();
-  if (personajes.length !== 3 || personajes.some(p => p.tipo !== 'villano')) {
-    return res.status(400).json({ error: 'Todos los IDs deben existir y ser villanos' });
-  }
-  await db.collection('personajes').updateMany(
-    { id: { $in: ids } },
-    { $set: { equipo: nombreEquipo } }
-  );
-  await db.collection('personajes').updateMany(
-    { equipo: nombreEquipo, id: { $nin: ids } },
-    { $unset: { equipo: "" } }
-  );
-  const equipo = await db.collection('personajes').find({ id: { $in: ids } }).toArray();
-  res.json({ equipo });
+  await crearEquipoDeFaccion(req, res, 'villano');
 });
 
 /**
  * @swagger
  * /api/equipos:
  *   put:
- *     summary: Modificar los integrantes de un equipo existente
+ *     summary: Reemplazar los integrantes de un equipo existente buscándolo por nombre (solo administradores)
+ *     description: Quien sale del equipo queda en el historial con su fecha de salida.
  *     tags: [Equipos]
  *     requestBody:
  *       required: true
@@ -169,8 +243,6 @@ router.post('/villanos', async (req, res) => {
  *                 type: array
  *                 items:
  *                   type: integer
- *                 minItems: 3
- *                 maxItems: 3
  *                 example: [1,2,3]
  *             required:
  *               - nombreEquipo
@@ -178,42 +250,194 @@ router.post('/villanos', async (req, res) => {
  *     responses:
  *       200:
  *         description: Equipo modificado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Equipo'
  *       400:
  *         description: Datos inválidos o equipo no encontrado
+ *       403:
+ *         $ref: '#/components/responses/SoloAdmin'
  */
 // Modificar equipo (PUT /equipos)
-router.put('/', async (req, res) => {
+router.put('/', autorizar('admin'), async (req, res) => {
   const { nombreEquipo, ids } = req.body;
-  if (!nombreEquipo || !Array.isArray(ids) || ids.length !== 3) {
-    return res.status(400).json({ error: 'nombreEquipo y 3 ids son obligatorios' });
+  if (!nombreEquipo || !Array.isArray(ids)) {
+    return res.status(400).json({ error: 'nombreEquipo e ids son obligatorios' });
+  }
+  const error = validarDatosEquipo({ ids });
+  if (error) {
+    return res.status(400).json({ error });
   }
-  const db = await connectDB();
-  const integrantesActuales = await db.collection('personajes').find({ equipo: nombreEquipo }).toArray();
-  if (integrantesActuales.length === 0) {
+  const equipo = await teamService.resolverEquipo(nombreEquipo);
+  if (!equipo) {
     return res.status(400).json({ error: 'El equipo no existe' });
   }
-  const tipoEquipo = integrantesActuales[0].tipo;
-  const seleccionados = await db.collection('personajes').find({ id: { $in: ids }, tipo: tipoEquipo }).toArray();
-  if (seleccionados.length !== 3) {
-    return res.status(400).json({ error: `Todos los IDs deben existir y ser del tipo ${tipoEquipo}` });
+  responder(res, await teamService.actualizarEquipo(equipo, { ids }));
+});
+
+/**
+ * @swagger
+ * /api/equipos/{id}:
+ *   put:
+ *     summary: Modificar nombre, tamaño, capitán o integrantes de un equipo (solo administradores)
+ *     tags: [Equipos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID o nombre del equipo
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               nombre:
+ *                 type: string
+ *                 description: No puede ser solo un número ni "ranking"
+ *               tamano:
+ *                 type: integer
+ *               capitanId:
+ *                 type: integer
+ *               formatoBatalla:
+ *                 type: string
+ *                 enum: [1v1, 2v2, 3v3, 5v5]
+ *                 nullable: true
+ *                 description: Formato en el que compite el equipo (null para quitarlo)
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Equipo modificado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Equipo'
+ *       400:
+ *         description: Datos inválidos o la plantilla no cumple una regla del formato de batalla
+ *       404:
+ *         description: Equipo no encontrado
+ *       409:
+ *         description: Ya existe un equipo con ese nombre
+ *       403:
+ *         $ref: '#/components/responses/SoloAdmin'
+ */
+router.put('/:id', autorizar('admin'), async (req, res) => {
+  const { nombre, tamano, capitanId, ids, formatoBatalla } = req.body;
+  if (nombre !== undefined && (typeof nombre !== 'string' || !nombre.trim())) {
+    return res.status(400).json({ error: 'nombre no puede estar vacío' });
+  }
+  const error = validarDatosEquipo({ ids, tamano, capitanId, formatoBatalla });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const equipo = await teamService.resolverEquipo(req.params.id);
+  if (!equipo) {
+    return res.status(404).json({ error: 'Equipo no encontrado' });
   }
-  await db.collection('personajes').updateMany(
-    { id: { $in: ids } },
-    { $set: { equipo: nombreEquipo } }
-  );
-  await db.collection('personajes').updateMany(
-    { equipo: nombreEquipo, id: { $nin: ids } },
-    { $unset: { equipo: "" } }
-  );
-  const equipo = await db.collection('personajes').find({ id: { $in: ids } }).toArray();
-  res.json({ equipo });
+  responder(res, await teamService.actualizarEquipo(equipo, { nombre, tamano, capitanId, ids, formatoBatalla }));
+});
+
+/**
+ * @swagger
+ * /api/equipos/{id}/miembros:
+ *   post:
+ *     summary: Añadir un integrante a un equipo (solo administradores)
+ *     tags: [Equipos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID o nombre del equipo
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               personajeId:
+ *                 type: integer
+ *             required:
+ *               - personajeId
+ *     responses:
+ *       200:
+ *         description: Integrante añadido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Equipo'
+ *       400:
+ *         description: El personaje ya es integrante, es de otra facción , la plantilla está completa o incumple una regla del formato de batalla
+ *       404:
+ *         description: Equipo no encontrado
+ *       403:
+ *         $ref: '#/components/responses/SoloAdmin'
+ */
+router.post('/:id/miembros', autorizar('admin'), async (req, res) => {
+  const { personajeId } = req.body;
+  if (!Number.isInteger(personajeId) || personajeId <= 0) {
+    return res.status(400).json({ error: 'personajeId debe ser un entero positivo' });
+  }
+  const equipo = await teamService.resolverEquipo(req.params.id);
+  if (!equipo) {
+    return res.status(404).json({ error: 'Equipo no encontrado' });
+  }
+  responder(res, await teamService.agregarMiembro(equipo, personajeId));
+});
+
+/**
+ * @swagger
+ * /api/equipos/{id}/miembros/{personajeId}:
+ *   delete:
+ *     summary: Sacar a un integrante de un equipo (solo administradores)
+ *     description: La membresía queda cerrada en el historial. Si sale el capitán, pasa a serlo el primer integrante.
+ *     tags: [Equipos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID o nombre del equipo
+ *       - in: path
+ *         name: personajeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Integrante eliminado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Equipo'
+ *       404:
+ *         description: Equipo no encontrado o el personaje no es integrante
+ *       403:
+ *         $ref: '#/components/responses/SoloAdmin'
+ */
+router.delete('/:id/miembros/:personajeId', autorizar('admin'), async (req, res) => {
+  const equipo = await teamService.resolverEquipo(req.params.id);
+  if (!equipo) {
+    return res.status(404).json({ error: 'Equipo no encontrado' });
+  }
+  responder(res, await teamService.quitarMiembro(equipo, parseInt(req.params.personajeId, 10)));
 });
 
 /**
  * @swagger
  * /api/equipos:
  *   delete:
- *     summary: Eliminar un equipo por nombre
+ *     summary: Eliminar un equipo por nombre (solo administradores)
  *     tags: [Equipos]
  *     parameters:
  *       - in: query
@@ -227,30 +451,56 @@ router.put('/', async (req, res) => {
  *         description: Equipo eliminado exitosamente
  *       400:
  *         description: Equipo no encontrado
+ *       403:
+ *         $ref: '#/components/responses/SoloAdmin'
  */
 // Eliminar equipo (DELETE /equipos)
-router.delete('/', async (req, res) => {
+router.delete('/', autorizar('admin'), async (req, res) => {
   const nombreEquipo = req.query.nombreEquipo;
   if (!nombreEquipo) {
     return res.status(400).json({ error: 'nombreEquipo es obligatorio' });
   }
-  const db = await connectDB();
-  const existe = await db.collection('personajes').countDocuments({ equipo: nombreEquipo });
-  if (!existe) {
+  const equipo = await teamService.resolverEquipo(nombreEquipo);
+  if (!equipo) {
     return res.status(400).json({ error: 'El equipo no existe' });
   }
-  await db.collection('personajes').updateMany(
-    { equipo: nombreEquipo },
-    { $unset: { equipo: "" } }
-  );
-  res.json({ message: 'Equipo eliminado exitosamente' });
+  res.json(await teamService.deleteEquipo(equipo));
+});
+
+/**
+ * @swagger
+ * /api/equipos/{id}:
+ *   delete:
+ *     summary: Eliminar un equipo (solo administradores)
+ *     tags: [Equipos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID o nombre del equipo
+ *     responses:
+ *       200:
+ *         description: Equipo eliminado exitosamente
+ *       404:
+ *         description: Equipo no encontrado
+ *       403:
+ *         $ref: '#/components/responses/SoloAdmin'
+ */
+router.delete('/:id', autorizar('admin'), async (req, res) => {
+  const equipo = await teamService.resolverEquipo(req.params.id);
+  if (!equipo) {
+    return res.status(404).json({ error: 'Equipo no encontrado' });
+  }
+  res.json(await teamService.deleteEquipo(equipo));
 });
 
 /**
  * @swagger
  * /api/equipos:
  *   get:
- *     summary: Obtener todos los equipos con exactamente 3 integrantes (paginado)
+ *     summary: Obtener todos los equipos (paginado)
  *     tags: [Equipos]
  *     parameters:
  *       - in: query
@@ -282,51 +532,215 @@ router.delete('/', async (req, res) => {
  *                 equipos:
  *                   type: array
  *                   items:
+ *                     $ref: '#/components/schemas/Equipo'
+ */
+// Obtener todos los equipos y sus integrantes (GET /equipos) con paginación
+router.get('/', async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 10;
+  res.json(await teamService.getEquipos(page, limit));
+});
+
+/**
+ * @swagger
+ * /api/equipos/ranking:
+ *   get:
+ *     summary: Clasificación de los equipos en todas las peleas por equipos
+ *     description: Ordenada por victorias, tasa de victoria y rondas ganadas. Solo cuentan las peleas terminadas con los equipos identificados.
+ *     tags: [Equipos]
+ *     parameters:
+ *       - in: query
+ *         name: faccion
+ *         schema:
+ *           type: string
+ *           enum: [superheroe, villano]
+ *         description: Solo equipos de esta facción
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Clasificación paginada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
  *                     type: object
  *                     properties:
- *                       nombre:
+ *                       posicion:
+ *                         type: integer
+ *                       equipoId:
+ *                         type: integer
+ *                       equipo:
+ *                         type: string
+ *                       faccion:
  *                         type: string
- *                       integrantes:
- *                         type: array
- *                         items:
- *                           type: object
- *                           properties:
- *                             id:
- *                               type: integer
- *                             nombre:
- *                               type: string
- *                             tipo:
- *                               type: string
+ *                       peleas:
+ *                         type: integer
+ *                       victorias:
+ *                         type: integer
+ *                       derrotas:
+ *                         type: integer
+ *                       tasaVictoria:
+ *                         type: number
+ *                       rondasGanadas:
+ *                         type: integer
+ *       400:
+ *         description: Facción inválida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-// Obtener todos los equipos y sus integrantes (GET /equipos) con paginación y restricción de 3 integrantes
-router.get('/', async (req, res) => {
+router.get('/ranking', async (req, res) => {
+  const { faccion } = req.query;
+  const error = validarDatosEquipo({ faccion });
+  if (error) {
+    return res.status(400).json({ error });
+  }
   const page = parseInt(req.query.page, 10) || 1;
   const limit = parseInt(req.query.limit, 10) || 10;
-  const db = await connectDB();
-  const personajes = await db.collection('personajes').find({ equipo: { $exists: true, $ne: null } }).toArray();
-  // Agrupar por nombre de equipo
-  const equiposObj = {};
-  personajes.forEach(p => {
-    if (p.equipo) {
-      if (!equiposObj[p.equipo]) equiposObj[p.equipo] = [];
-      equiposObj[p.equipo].push({ id: p.id, nombre: p.nombre, tipo: p.tipo });
-    }
-  });
-  // Solo equipos con exactamente 3 integrantes
-  const equiposFiltrados = Object.entries(equiposObj)
-    .filter(([_, integrantes]) => integrantes.length === 3)
-    .map(([nombre, integrantes]) => ({ nombre, integrantes }));
-  const totalEquipos = equiposFiltrados.length;
-  const totalPages = Math.ceil(totalEquipos / limit);
-  const start = (page - 1) * limit;
-  const end = start + limit;
-  const equiposPagina = equiposFiltrados.slice(start, end);
-  res.json({
-    totalEquipos,
-    totalPages,
-    page,
-    equipos: equiposPagina
-  });
+  res.json(await statsService.getRankingEquipos(faccion, page, limit));
+});
+
+/**
+ * @swagger
+ * /api/equipos/{nombre}/stats:
+ *   get:
+ *     summary: Estadísticas de las peleas por equipos de un equipo
+ *     description: Solo cuentan las peleas terminadas con los equipos identificados. En melee no hay rondas, así que el MVP se decide por eliminaciones.
+ *     tags: [Equipos]
+ *     parameters:
+ *       - in: path
+ *         name: nombre
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Nombre o ID del equipo
+ *     responses:
+ *       200:
+ *         description: Estadísticas del equipo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 equipoId:
+ *                   type: integer
+ *                 nombre:
+ *                   type: string
+ *                 faccion:
+ *                   type: string
+ *                 peleas:
+ *                   type: integer
+ *                 victorias:
+ *                   type: integer
+ *                 derrotas:
+ *                   type: integer
+ *                 tasaVictoria:
+ *                   type: number
+ *                 rondasGanadas:
+ *                   type: integer
+ *                 eliminaciones:
+ *                   type: integer
+ *                 mvp:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Integrante con más rondas ganadas (en caso de empate, con más eliminaciones)
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     nombre:
+ *                       type: string
+ *                     peleas:
+ *                       type: integer
+ *                     rondasGanadas:
+ *                       type: integer
+ *                     eliminaciones:
+ *                       type: integer
+ *                 formaReciente:
+ *                   type: array
+ *                   description: Últimos 5 resultados, del más reciente al más antiguo
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       fightId:
+ *                         type: integer
+ *                       resultado:
+ *                         type: string
+ *                         enum: [victoria, derrota]
+ *                       rivalId:
+ *                         type: integer
+ *                       rival:
+ *                         type: string
+ *                       fecha:
+ *                         type: string
+ *                         format: date-time
+ *       404:
+ *         description: Equipo no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:nombre/stats', async (req, res) => {
+  const stats = await statsService.getEstadisticasEquipo(req.params.nombre);
+  if (!stats) {
+    return res.status(404).json({ error: 'Equipo no encontrado' });
+  }
+  res.json(stats);
+});
+
+/**
+ * @swagger
+ * /api/equipos/{id}:
+ *   get:
+ *     summary: Obtener un equipo con su capitán, integrantes e historial de membresía y las sinergias activas
+ *     tags: [Equipos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID o nombre del equipo
+ *     responses:
+ *       200:
+ *         description: Equipo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Equipo'
+ *       404:
+ *         description: Equipo no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', async (req, res) => {
+  const equipo = await teamService.getEquipo(req.params.id);
+  if (!equipo) {
+    return res.status(404).json({ error: 'Equipo no encontrado' });
+  }
+  res.json(equipo);
 });
 
-export default router; 
\ No newline at end of file
+export default router;
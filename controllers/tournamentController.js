@@ -0,0 +1,392 @@
+import express from "express";
+import { body, validationResult } from 'express-validator';
+import tournamentService from '../services/tournamentService.js';
+import bracketEngine from '../services/bracketEngine.js';
+import { autorizar } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/torneos:
+ *   get:
+ *     summary: Listar los torneos
+ *     tags: [Torneos]
+ *     responses:
+ *       200:
+ *         description: Lista de torneos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Torneo'
+ */
+router.get('/torneos', async (req, res) => {
+  try {
+    res.json(await tournamentService.getTorneos());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/torneos:
+ *   post:
+ *     summary: Crear un torneo y generar su cuadro o calendario
+ *     description: |
+ *       Formatos: eliminacionSimple, eliminacionDoble (con cuadro de perdedores y gran final con reinicio)
+ *       y todosContraTodos (liga a una vuelta). Los participantes se siembran en el orden en que se envían.
+ *       Por defecto solo se permiten peleas entre un superhéroe y un villano: la liga programa solo esos cruces
+ *       y en los formatos de eliminación la primera ronda no puede cruzar a dos personajes del mismo tipo salvo con permitirMismoTipo.
+ *       Las rondas siguientes dependen de los resultados y se juegan sea cual sea el tipo de los que lleguen.
+ *     tags: [Torneos]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               nombre:
+ *                 type: string
+ *                 example: Copa de Gotham
+ *               formato:
+ *                 type: string
+ *                 enum: [eliminacionSimple, eliminacionDoble, todosContraTodos]
+ *               participantes:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: IDs de los personajes en orden de siembra
+ *                 example: [1, 21, 2, 22]
+ *               permitirMismoTipo:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Excepción a la regla de superhéroe contra villano
+ *             required:
+ *               - nombre
+ *               - formato
+ *               - participantes
+ *     responses:
+ *       201:
+ *         description: Torneo creado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Torneo'
+ *       400:
+ *         description: Datos inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/torneos',
+  [
+    body('nombre').not().isEmpty().withMessage('El nombre es requerido'),
+    body('formato').isIn(bracketEngine.FORMATOS_TORNEO).withMessage(`formato debe ser uno de: ${bracketEngine.FORMATOS_TORNEO.join(', ')}`),
+    body('participantes').isArray({ min: 2, max: 64 }).withMessage('participantes debe ser una lista de entre 2 y 64 IDs'),
+    body('participantes.*').isInt({ min: 1 }).withMessage('Cada participante debe ser un ID entero positivo'),
+    body('participantes').custom(ids => new Set(ids.map(Number)).size === ids.length).withMessage('Los participantes no pueden repetirse'),
+    body('permitirMismoTipo').optional().isBoolean().withMessage('permitirMismoTipo debe ser booleano')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array() });
+    }
+    try {
+      const { torneo, errores } = await tournamentService.addTorneo({
+        nombre: req.body.nombre,
+        formato: req.body.formato,
+        ids: req.body.participantes.map(Number),
+        permitirMismoTipo: req.body.permitirMismoTipo === true || req.body.permitirMismoTipo === 'true'
+      }, req.user.name);
+      if (errores) {
+        return res.status(400).json({ error: errores });
+      }
+      res.status(201).json(torneo);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/torneos/{id}:
+ *   get:
+ *     summary: Obtener un torneo con todas sus partidas
+ *     tags: [Torneos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Torneo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Torneo'
+ *       404:
+ *         description: Torneo no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/torneos/:id', async (req, res) => {
+  try {
+    const torneo = await tournamentService.getTorneoById(req.params.id);
+    if (!torneo) {
+      return res.status(404).json({ error: 'Torneo no encontrado' });
+    }
+    res.json(torneo);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/torneos/{id}/clasificacion:
+ *   get:
+ *     summary: Clasificación y campeón de un torneo
+ *     tags: [Torneos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Clasificación (el campeón es null hasta que termina el torneo)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 torneoId:
+ *                   type: integer
+ *                 estado:
+ *                   type: string
+ *                 campeon:
+ *                   type: object
+ *                   nullable: true
+ *                 clasificacion:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       posicion:
+ *                         type: integer
+ *                       id:
+ *                         type: integer
+ *                       nombre:
+ *                         type: string
+ *                       siembra:
+ *                         type: integer
+ *                       jugadas:
+ *                         type: integer
+ *                       victorias:
+ *                         type: integer
+ *                       derrotas:
+ *                         type: integer
+ *                       vidaRestante:
+ *                         type: number
+ *                         description: Vida con la que terminó sus victorias (desempate)
+ *                       eliminado:
+ *                         type: boolean
+ *       404:
+ *         description: Torneo no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/torneos/:id/clasificacion', async (req, res) => {
+  try {
+    const torneo = await tournamentService.getTorneoById(req.params.id);
+    if (!torneo) {
+      return res.status(404).json({ error: 'Torneo no encontrado' });
+    }
+    res.json(tournamentService.getClasificacion(torneo));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/torneos/{id}/partidas/{partidaId}/simular:
+ *   post:
+ *     summary: Simular una partida lista del torneo
+ *     description: La partida se guarda como una pelea normal (con experiencia y rating) y el ganador avanza en el cuadro.
+ *     tags: [Torneos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: partidaId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               seed:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Partida jugada y torneo actualizado
+ *       400:
+ *         description: La partida no está lista o el enfrentamiento no está permitido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Torneo o partida no encontrados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/torneos/:id/partidas/:partidaId/simular',
+  [
+    body('seed').optional().isInt({ min: 0, max: 4294967295 }).withMessage('seed debe ser un entero entre 0 y 4294967295')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array() });
+    }
+    try {
+      const torneo = await tournamentService.getTorneoById(req.params.id);
+      if (!torneo) {
+        return res.status(404).json({ error: 'Torneo no encontrado' });
+      }
+      const seed = req.body.seed !== undefined ? Number(req.body.seed) : undefined;
+      const resultado = await tournamentService.simularPartida(torneo, parseInt(req.params.partidaId, 10), seed);
+      if (resultado.error) {
+        return res.status(resultado.status).json({ error: resultado.error });
+      }
+      res.json(resultado);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/torneos/{id}/simular:
+ *   post:
+ *     summary: Simular todas las partidas restantes hasta conocer al campeón
+ *     tags: [Torneos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               seed:
+ *                 type: integer
+ *                 description: Cada partida usa seed + su id, para que el torneo sea reproducible
+ *     responses:
+ *       200:
+ *         description: Partidas jugadas y torneo final
+ *       404:
+ *         description: Torneo no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/torneos/:id/simular',
+  [
+    body('seed').optional().isInt({ min: 0, max: 4294967295 }).withMessage('seed debe ser un entero entre 0 y 4294967295')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array() });
+    }
+    try {
+      const torneo = await tournamentService.getTorneoById(req.params.id);
+      if (!torneo) {
+        return res.status(404).json({ error: 'Torneo no encontrado' });
+      }
+      const seed = req.body.seed !== undefined ? Number(req.body.seed) : undefined;
+      const resultado = await tournamentService.simularTorneo(torneo, seed);
+      if (resultado.error) {
+        return res.status(resultado.status).json({ error: resultado.error });
+      }
+      res.json({ jugadas: resultado.jugadas, ...tournamentService.getClasificacion(resultado.torneo) });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/torneos/{id}:
+ *   delete:
+ *     summary: Eliminar un torneo (solo administradores)
+ *     description: Las peleas ya jugadas se conservan.
+ *     tags: [Torneos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Torneo eliminado
+ *       404:
+ *         description: Torneo no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         $ref: '#/components/responses/SoloAdmin'
+ */
+router.delete('/torneos/:id', autorizar('admin'), async (req, res) => {
+  try {
+    const eliminado = await tournamentService.deleteTorneo(req.params.id);
+    if (!eliminado) {
+      return res.status(404).json({ error: 'Torneo no encontrado' });
+    }
+    res.json(eliminado);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -1,17 +1,23 @@
 import express from "express";
 import { check, validationResult } from 'express-validator';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import userRepository from '../repositories/userRepository.js';
+import { firmarToken, authenticateJWT, autorizar } from '../middleware/authMiddleware.js';
+import { ROLES, ROL_POR_DEFECTO, rolDe } from '../models/Usuario.js';
 
 const router = express.Router();
-const JWT_SECRET = 'supersecretkey123';
+
+// Datos públicos de un usuario (sin la contraseña)
+function resumenUsuario(user) {
+  return { id: user.id, name: user.name, rol: rolDe(user) };
+}
 
 /**
  * @swagger
  * /api/users:
  *   post:
  *     summary: Registrar un nuevo usuario y obtener un token JWT
+ *     description: Los usuarios nuevos tienen el rol jugador.
  *     tags: [Usuarios]
  *     requestBody:
  *       required: true
@@ -63,10 +69,9 @@ router.post(
     const hashedPassword = await bcrypt.hash(password, 10);
     // Asignar un id incremental
     const newId = users.length > 0 ? Math.max(...users.map(u => u.id || 0)) + 1 : 1;
-    const newUser = { id: newId, name, password: hashedPassword };
+    const newUser = { id: newId, name, password: hashedPassword, rol: ROL_POR_DEFECTO };
     await userRepository.addUser(newUser);
-    const token = jwt.sign({ name }, JWT_SECRET, { expiresIn: '2h' });
-    res.json({ token });
+    res.json({ token: firmarToken(newUser) });
   }
 );
 
@@ -74,22 +79,85 @@ router.post(
  * @swagger
  * /api/users:
  *   get:
- *     summary: Obtener todos los usuarios
+ *     summary: Obtener todos los usuarios (solo administradores)
  *     tags: [Usuarios]
  *     responses:
  *       200:
- *         description: Lista de usuarios
+ *         description: Lista de usuarios con su rol
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 type: object
+ *                 $ref: '#/components/schemas/Usuario'
+ *       403:
+ *         $ref: '#/components/responses/SoloAdmin'
  */
 // GET todos los usuarios
-router.get('/users', async (req, res) => {
+router.get('/users', authenticateJWT, autorizar('admin'), async (req, res) => {
   const users = await userRepository.getUsers();
-  res.json(users);
+  res.json(users.map(resumenUsuario));
 });
 
+/**
+ * @swagger
+ * /api/users/{id}/rol:
+ *   put:
+ *     summary: Cambiar el rol de un usuario (solo administradores)
+ *     description: El nuevo rol se aplica a partir del siguiente inicio de sesión del usuario. Un administrador no puede quitarse su propio rol.
+ *     tags: [Usuarios]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rol:
+ *                 type: string
+ *                 enum: [admin, jugador]
+ *             required:
+ *               - rol
+ *     responses:
+ *       200:
+ *         description: Usuario actualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Usuario'
+ *       400:
+ *         description: Rol inválido
+ *       403:
+ *         $ref: '#/components/responses/SoloAdmin'
+ *       404:
+ *         description: Usuario no encontrado
+ */
+router.put(
+  '/users/:id/rol',
+  authenticateJWT,
+  autorizar('admin'),
+  [check('rol').isIn(ROLES).withMessage(`El rol debe ser uno de: ${ROLES.join(', ')}`)],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array() });
+    }
+    const user = await userRepository.getUserById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+    if (user.name === req.user.name && req.body.rol !== 'admin') {
+      return res.status(400).json({ error: 'No puedes quitarte el rol de administrador' });
+    }
+    await userRepository.updateUser(user.id, { rol: req.body.rol });
+    res.json(resumenUsuario({ ...user, rol: req.body.rol }));
+  }
+);
+
 export default router; 
\ No newline at end of file
@@ -0,0 +1,47 @@
+import bcrypt from 'bcryptjs';
+import { connectDB } from './mongoClient.js';
+import { ROL_POR_DEFECTO } from '../models/Usuario.js';
+
+// Crear el primer administrador. Solo actúa si todavía no hay ninguno:
+//   ADMIN_NAME=nombre ADMIN_PASSWORD=secreto node data/crearAdmin.js
+// Si el usuario ya existe se le da el rol admin sin cambiar su contraseña; si no, se crea
+// (y entonces ADMIN_PASSWORD es obligatoria). Los siguientes administradores se nombran
+// desde la API con PUT /api/users/{id}/rol.
+async function crearAdmin() {
+  const name = process.env.ADMIN_NAME;
+  const password = process.env.ADMIN_PASSWORD;
+  if (!name) {
+    console.log('Indica el nombre del administrador en ADMIN_NAME.');
+    process.exit(1);
+  }
+  const db = await connectDB();
+  const usuarios = db.collection('users');
+  const admin = await usuarios.findOne({ rol: 'admin' });
+  if (admin) {
+    console.log(`Ya existe un administrador (${admin.name}); no se ha cambiado nada.`);
+    process.exit(0);
+  }
+  // Los usuarios registrados antes de los roles quedan como jugadores
+  await usuarios.updateMany({ rol: { $exists: false } }, { $set: { rol: ROL_POR_DEFECTO } });
+  const existente = await usuarios.findOne({ name });
+  if (existente) {
+    await usuarios.updateOne({ _id: existente._id }, { $set: { rol: 'admin' } });
+    console.log(`${name} es ahora administrador.`);
+    process.exit(0);
+  }
+  if (!password) {
+    console.log(`El usuario ${name} no existe: indica su contraseña en ADMIN_PASSWORD para crearlo.`);
+    process.exit(1);
+  }
+  const [ultimo] = await usuarios.find({ id: { $type: 'number' } }).sort({ id: -1 }).limit(1).toArray();
+  await usuarios.insertOne({
+    id: ultimo ? ultimo.id + 1 : 1,
+    name,
+    password: await bcrypt.hash(password, 10),
+    rol: 'admin'
+  });
+  console.log(`Administrador ${name} creado.`);
+  process.exit(0);
+}
+
+crearAdmin();
@@ -0,0 +1,16 @@
+import { connectDB } from './mongoClient.js';
+import { ARQUETIPO_POR_DEFECTO } from '../models/Arquetipo.js';
+
+// Asignar el arquetipo neutral a los personajes creados antes de que existieran los arquetipos.
+// El arquetipo neutral no cambia la vida ni el escudo, así que no hace falta recalcularlos.
+async function migrarArquetipos() {
+  const db = await connectDB();
+  const resultado = await db.collection('personajes').updateMany(
+    { arquetipo: { $exists: false } },
+    { $set: { arquetipo: ARQUETIPO_POR_DEFECTO } }
+  );
+  console.log(`Migración completada: ${resultado.modifiedCount} personajes actualizados.`);
+  process.exit(0);
+}
+
+migrarArquetipos();
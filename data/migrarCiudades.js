@@ -0,0 +1,16 @@
+import { connectDB } from './mongoClient.js';
+import cityService from '../services/cityService.js';
+
+// Registrar como ciudades todas las que aparecen en los personajes existentes
+async function migrarCiudades() {
+  const db = await connectDB();
+  const nombres = await db.collection('personajes').distinct('ciudad');
+  let registradas = 0;
+  for (const nombre of nombres) {
+    if (await cityService.registrarCiudad(nombre)) registradas++;
+  }
+  console.log(`Migración completada: ${registradas} ciudades registradas.`);
+  process.exit(0);
+}
+
+migrarCiudades();
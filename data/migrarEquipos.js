@@ -0,0 +1,34 @@
+import { connectDB } from './mongoClient.js';
+import teamService from '../services/teamService.js';
+import { TAMANO_POR_DEFECTO } from '../models/Equipo.js';
+
+// Crear un documento en `teams` por cada nombre de equipo guardado en los personajes y quitar
+// el campo `equipo` de los personajes migrados. Los equipos que mezclan tipos se dejan sin migrar.
+async function migrarEquipos() {
+  const db = await connectDB();
+  const personajes = await db.collection('personajes').find({ equipo: { $exists: true, $ne: null } }).sort({ id: 1 }).toArray();
+  const porEquipo = {};
+  for (const p of personajes) {
+    (porEquipo[p.equipo] || (porEquipo[p.equipo] = [])).push(p);
+  }
+  let creados = 0;
+  for (const [nombre, integrantes] of Object.entries(porEquipo)) {
+    const faccion = integrantes[0].tipo;
+    if (!integrantes.every(p => p.tipo === faccion)) {
+      console.log(`Equipo ${nombre} omitido: mezcla superhéroes y villanos.`);
+      continue;
+    }
+    const ids = integrantes.map(p => p.id);
+    const resultado = await teamService.crearEquipo({ nombre, faccion, tamano: Math.max(TAMANO_POR_DEFECTO, ids.length), ids });
+    if (resultado.error) {
+      console.log(`Equipo ${nombre} omitido: ${resultado.error}`);
+      continue;
+    }
+    await db.collection('personajes').updateMany({ id: { $in: ids } }, { $unset: { equipo: '' } });
+    creados++;
+  }
+  console.log(`Migración completada: ${creados} equipos creados.`);
+  process.exit(0);
+}
+
+migrarEquipos();
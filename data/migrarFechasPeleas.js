@@ -0,0 +1,15 @@
+import { connectDB } from './mongoClient.js';
+
+// Añadir `createdAt` a las peleas guardadas antes de que existiera, usando la fecha
+// en que se insertó el documento (va incluida en su _id)
+async function migrarFechasPeleas() {
+  const db = await connectDB();
+  const resultado = await db.collection('fights').updateMany(
+    { createdAt: { $exists: false } },
+    [{ $set: { createdAt: { $toDate: '$_id' } } }]
+  );
+  console.log(`Migración completada: ${resultado.modifiedCount} peleas actualizadas.`);
+  process.exit(0);
+}
+
+migrarFechasPeleas();
@@ -0,0 +1,39 @@
+import { connectDB } from './mongoClient.js';
+
+// Identificar los equipos de las peleas por equipos guardadas antes de que existiera la colección `teams`.
+// Esas peleas solo tienen los nombres de los luchadores: se asigna a cada bando el equipo de su facción
+// cuyos miembros originales (las primeras membresías del historial) son exactamente esos personajes.
+// Los bandos sin un único equipo que encaje se dejan sin migrar.
+function claveLuchadores(nombres) {
+  return [...nombres].sort().join('|');
+}
+
+async function migrarPeleasEquipos() {
+  const db = await connectDB();
+  const equipos = await db.collection('teams').find({}).toArray();
+  const porPlantilla = {};
+  for (const equipo of equipos) {
+    const fundadores = equipo.historial.filter(h => h.entrada.getTime() === equipo.creadoEn.getTime());
+    const clave = `${equipo.faccion}:${claveLuchadores(fundadores.map(h => h.nombre))}`;
+    (porPlantilla[clave] || (porPlantilla[clave] = [])).push({ id: equipo.id, nombre: equipo.nombre });
+  }
+  const buscar = (faccion, nombres) => {
+    const candidatos = porPlantilla[`${faccion}:${claveLuchadores(nombres)}`] || [];
+    return candidatos.length === 1 ? candidatos[0] : null;
+  };
+  const peleas = await db.collection('fights')
+    .find({ equipoHeroes: { $exists: true }, equipoVillanos: { $exists: true }, equipos: { $exists: false } })
+    .toArray();
+  let actualizadas = 0;
+  for (const pelea of peleas) {
+    const superheroe = buscar('superheroe', pelea.equipoHeroes);
+    const villano = buscar('villano', pelea.equipoVillanos);
+    if (!superheroe || !villano) continue;
+    await db.collection('fights').updateOne({ _id: pelea._id }, { $set: { equipos: { superheroe, villano } } });
+    actualizadas++;
+  }
+  console.log(`Migración completada: ${actualizadas} de ${peleas.length} peleas por equipos identificadas.`);
+  process.exit(0);
+}
+
+migrarPeleasEquipos();
@@ -10,4 +10,19 @@ export async function connectDB() {
     db = client.db('test'); // Cambia 'test' si tu base de datos tiene otro nombre
   }
   return db;
-} 
\ No newline at end of file
+} 
+
+// Ejecutar varias escrituras en una transacción; `fn` recibe la base de datos y la sesión
+export async function withTransaction(fn) {
+  const database = await connectDB();
+  const session = client.startSession();
+  try {
+    let resultado;
+    await session.withTransaction(async () => {
+      resultado = await fn(database, session);
+    });
+    return resultado;
+  } finally {
+    await session.endSession();
+  }
+}
\ No newline at end of file
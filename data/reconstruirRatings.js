@@ -0,0 +1,10 @@
+import ratingService from '../services/ratingService.js';
+
+// Comando de administración: recalcula el rating de todos los personajes repitiendo las peleas 1 vs 1 guardadas
+async function reconstruirRatings() {
+  const { peleas, personajes } = await ratingService.reconstruirRatings();
+  console.log(`Ratings reconstruidos: ${peleas} peleas repetidas, ${personajes} personajes con rating.`);
+  process.exit(0);
+}
+
+reconstruirRatings();
@@ -0,0 +1,40 @@
+import jwt from 'jsonwebtoken';
+import { rolDe } from '../models/Usuario.js';
+
+const JWT_SECRET = 'supersecretkey123'; // En producción, usa variable de entorno
+
+// Token de sesión con el nombre y el rol del usuario
+function firmarToken(usuario) {
+  return jwt.sign({ name: usuario.name, rol: rolDe(usuario) }, JWT_SECRET, { expiresIn: '2h' });
+}
+
+// Verificar el token Bearer y dejar en req.user su contenido (los tokens emitidos antes
+// de que existieran los roles no llevan rol y se tratan como el rol por defecto)
+function authenticateJWT(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Token no proporcionado' });
+  }
+  jwt.verify(authHeader.split(' ')[1], JWT_SECRET, (err, user) => {
+    if (err) {
+      return res.status(403).json({ error: 'Token inválido o expirado' });
+    }
+    req.user = { ...user, rol: rolDe(user) };
+    next();
+  });
+}
+
+// Permitir la ruta solo a los usuarios autenticados con alguno de los roles indicados
+function autorizar(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Token no proporcionado' });
+    }
+    if (!roles.includes(req.user.rol)) {
+      return res.status(403).json({ error: `Se requiere el rol ${roles.join(' o ')}` });
+    }
+    next();
+  };
+}
+
+export { JWT_SECRET, firmarToken, authenticateJWT, autorizar };
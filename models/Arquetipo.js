@@ -0,0 +1,17 @@
+// Arquetipos de personaje y sus modificadores sobre las reglas de combate:
+// - vidaBase: vida que se suma (o resta) a la vida base del reglamento
+// - escudoPorNivel: multiplicador del escudo ganado al subir de nivel
+// - ataque: multiplicador del daño básico, especial y ultimate
+// - umbralUltimate: multiplicador del daño necesario para cargar la ultimate
+// `neutral` no modifica nada y es el arquetipo de los personajes creados antes de que existieran.
+const ARQUETIPOS = {
+    neutral: { vidaBase: 0, escudoPorNivel: 1, ataque: 1, umbralUltimate: 1 },
+    tank: { vidaBase: 40, escudoPorNivel: 1.5, ataque: 0.8, umbralUltimate: 1.2 },
+    bruiser: { vidaBase: 20, escudoPorNivel: 1, ataque: 1.1, umbralUltimate: 1 },
+    striker: { vidaBase: -15, escudoPorNivel: 0.6, ataque: 1.25, umbralUltimate: 0.9 },
+    support: { vidaBase: 0, escudoPorNivel: 1.2, ataque: 0.9, umbralUltimate: 0.75 }
+};
+
+const ARQUETIPO_POR_DEFECTO = 'neutral';
+
+export { ARQUETIPOS, ARQUETIPO_POR_DEFECTO };
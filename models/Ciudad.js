@@ -0,0 +1,30 @@
+// Influencia de cada bando en una ciudad: siempre suma 100 y empieza repartida a partes iguales.
+// Cada victoria de un bando sobre el otro en la ciudad le pasa PUNTOS_POR_VICTORIA del perdedor.
+// Un bando controla la ciudad cuando su influencia llega a UMBRAL_CONTROL; si no, está disputada.
+const INFLUENCIA_INICIAL = { superheroe: 50, villano: 50 };
+const PUNTOS_POR_VICTORIA = 5;
+const UMBRAL_CONTROL = 60;
+
+// Las ciudades se identifican sin distinguir mayúsculas ni espacios sobrantes
+function claveCiudad(nombre) {
+    return nombre.trim().toLowerCase();
+}
+
+function calcularControl(influencia) {
+    if (influencia.superheroe >= UMBRAL_CONTROL) return 'superheroe';
+    if (influencia.villano >= UMBRAL_CONTROL) return 'villano';
+    return 'disputada';
+}
+
+// Nueva influencia tras una victoria; las peleas entre personajes del mismo bando no la cambian
+function aplicarVictoria(influencia, bandoGanador, bandoPerdedor) {
+    if (bandoGanador === bandoPerdedor) return { ...influencia };
+    const puntos = Math.min(PUNTOS_POR_VICTORIA, influencia[bandoPerdedor]);
+    return {
+        ...influencia,
+        [bandoGanador]: influencia[bandoGanador] + puntos,
+        [bandoPerdedor]: influencia[bandoPerdedor] - puntos
+    };
+}
+
+export { INFLUENCIA_INICIAL, PUNTOS_POR_VICTORIA, UMBRAL_CONTROL, claveCiudad, calcularControl, aplicarVictoria };
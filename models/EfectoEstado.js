@@ -0,0 +1,24 @@
+// Efectos de estado que duran varios turnos. Los aplican los ataques (por ahora, las habilidades)
+// y se resuelven al inicio de cada turno del personaje afectado: `turnos` cuenta turnos propios
+// y el efecto desaparece cuando llega a 0.
+// - quemadura: pierde `potencia` de vida por acumulación (ignora el escudo)
+// - regeneracion: recupera `potencia` de vida por acumulación, sin superar la vida máxima
+// - aturdimiento: pierde el turno
+// - rompeEscudo: su escudo baja `potencia` puntos mientras dure
+// - proteccion: su escudo sube `potencia` puntos mientras dure
+//
+// Reglas de acumulación al volver a aplicar un efecto que ya está activo:
+// - acumular: suma una acumulación (hasta `maxAcumulaciones`) y renueva la duración
+// - renovar: no se acumula; se queda con la mayor potencia y la mayor duración
+// Ningún efecto dura más de DURACION_MAXIMA_EFECTO turnos, aunque se aplique con una duración mayor.
+const EFECTOS_ESTADO = {
+    quemadura: { apilamiento: 'acumular', maxAcumulaciones: 3 },
+    regeneracion: { apilamiento: 'acumular', maxAcumulaciones: 3 },
+    aturdimiento: { apilamiento: 'renovar' },
+    rompeEscudo: { apilamiento: 'renovar' },
+    proteccion: { apilamiento: 'renovar' }
+};
+
+const DURACION_MAXIMA_EFECTO = 3;
+
+export { EFECTOS_ESTADO, DURACION_MAXIMA_EFECTO };
@@ -0,0 +1,23 @@
+// Reglas de la cola de emparejamiento: un superhéroe y un villano se emparejan si su diferencia
+// de nivel o de rating cabe en el rango permitido. El rango empieza en `inicial` y crece
+// `incremento` por cada INTERVALO_AMPLIACION_MS de espera, sin pasar de `maximo`.
+const CRITERIOS_EMPAREJAMIENTO = {
+    nivel: { inicial: 0, incremento: 1, maximo: 10 },
+    rating: { inicial: 50, incremento: 50, maximo: 400 }
+};
+
+const CRITERIO_POR_DEFECTO = 'rating';
+const INTERVALO_AMPLIACION_MS = 10000;
+
+// Un ticket que lleva más de este tiempo emparejando se quedó a medias (por ejemplo, por una caída del
+// servidor durante la pelea) y se recupera la próxima vez que se procesa la cola
+const TIEMPO_MAXIMO_EMPAREJANDO_MS = 60000;
+
+// Diferencia máxima aceptada tras esperar `esperaMs` milisegundos
+function calcularRango(criterio, esperaMs) {
+    const { inicial, incremento, maximo } = CRITERIOS_EMPAREJAMIENTO[criterio];
+    const ampliaciones = Math.floor(Math.max(esperaMs, 0) / INTERVALO_AMPLIACION_MS);
+    return Math.min(inicial + ampliaciones * incremento, maximo);
+}
+
+export { CRITERIOS_EMPAREJAMIENTO, CRITERIO_POR_DEFECTO, INTERVALO_AMPLIACION_MS, TIEMPO_MAXIMO_EMPAREJANDO_MS, calcularRango };
@@ -0,0 +1,24 @@
+// Equipos: cada uno pertenece a una facción (todos sus miembros son de ese tipo) y tiene un tamaño
+// máximo de plantilla. Un personaje puede estar en varios equipos a la vez.
+const FACCIONES = ['superheroe', 'villano'];
+const TAMANO_POR_DEFECTO = 3;
+const TAMANO_MAXIMO = 10;
+
+// Los nombres de equipo se comparan sin distinguir mayúsculas ni espacios sobrantes
+function claveEquipo(nombre) {
+    return nombre.trim().toUpperCase();
+}
+
+// Las rutas aceptan el id o el nombre del equipo, así que un nombre no puede parecer un id
+// ni coincidir con una ruta fija como /api/equipos/ranking
+const NOMBRES_RESERVADOS = ['RANKING'];
+
+// Motivo por el que un nombre de equipo no es válido, o null
+function validarNombreEquipo(nombre) {
+    const texto = String(nombre).trim();
+    if (/^\d+$/.test(texto)) return 'El nombre del equipo no puede ser solo un número';
+    if (NOMBRES_RESERVADOS.includes(claveEquipo(texto))) return `El nombre ${texto} está reservado`;
+    return null;
+}
+
+export { FACCIONES, TAMANO_POR_DEFECTO, TAMANO_MAXIMO, NOMBRES_RESERVADOS, claveEquipo, validarNombreEquipo };
@@ -0,0 +1,90 @@
+// Formatos de batalla por equipos. Cada formato fija cuántos integrantes lleva cada bando y las
+// reglas de plantilla que deben cumplir ambos equipos. Las reglas se declaran como datos:
+// `regla` es una de las claves de REGLAS_PLANTILLA y `valor` su parámetro (si lo necesita).
+const FORMATOS_BATALLA = {
+    '1v1': { integrantes: 1, reglas: [] },
+    '2v2': {
+        integrantes: 2,
+        reglas: [
+            { regla: 'nivelTotalMaximo', valor: 12 }
+        ]
+    },
+    '3v3': {
+        integrantes: 3,
+        reglas: [
+            { regla: 'nivelTotalMaximo', valor: 18 },
+            { regla: 'ciudadesDistintas' }
+        ]
+    },
+    '5v5': {
+        integrantes: 5,
+        reglas: [
+            { regla: 'nivelTotalMinimo', valor: 10 },
+            { regla: 'nivelTotalMaximo', valor: 30 },
+            { regla: 'ciudadesDistintas' },
+            { regla: 'ultimatesListasMaximo', valor: 2 }
+        ]
+    }
+};
+
+const sumaNiveles = integrantes => integrantes.reduce((total, p) => total + p.nivel, 0);
+
+// Cada regla devuelve el motivo por el que la plantilla no la cumple o null. Las reglas que solo
+// pueden comprobarse con la plantilla completa (`soloCompleta`) se ignoran mientras falten integrantes.
+const REGLAS_PLANTILLA = {
+    nivelTotalMinimo: {
+        soloCompleta: true,
+        comprobar: (integrantes, minimo) => {
+            const total = sumaNiveles(integrantes);
+            return total < minimo ? `la suma de niveles (${total}) es menor que ${minimo}` : null;
+        }
+    },
+    nivelTotalMaximo: {
+        comprobar: (integrantes, maximo) => {
+            const total = sumaNiveles(integrantes);
+            return total > maximo ? `la suma de niveles (${total}) supera ${maximo}` : null;
+        }
+    },
+    ciudadesDistintas: {
+        comprobar: integrantes => {
+            const vistas = new Set();
+            const repetidas = new Set();
+            for (const { ciudad } of integrantes) {
+                const clave = (ciudad || '').trim().toUpperCase();
+                if (vistas.has(clave)) repetidas.add((ciudad || '').trim());
+                vistas.add(clave);
+            }
+            return repetidas.size > 0 ? `hay varios integrantes de ${[...repetidas].join(', ')}` : null;
+        }
+    },
+    ultimatesListasMaximo: {
+        comprobar: (integrantes, maximo) => {
+            const listas = integrantes.filter(p => p.ultimateDisponible).length;
+            return listas > maximo ? `${listas} integrantes tienen la ultimate lista (máximo ${maximo})` : null;
+        }
+    }
+};
+
+// Primera regla del formato que incumple la plantilla, como { regla, error }, o null si la cumple todas.
+// El número de integrantes se comprueba como la regla `integrantes`: con `completa` debe ser exacto.
+function comprobarFormato(nombreFormato, integrantes, completa = true) {
+    const formato = FORMATOS_BATALLA[nombreFormato];
+    const cantidad = integrantes.length;
+    if (completa ? cantidad !== formato.integrantes : cantidad > formato.integrantes) {
+        return {
+            regla: 'integrantes',
+            error: `El formato ${nombreFormato} requiere ${formato.integrantes} integrantes por equipo (hay ${cantidad})`
+        };
+    }
+    for (const { regla, valor } of formato.reglas) {
+        const definicion = REGLAS_PLANTILLA[regla];
+        if (definicion.soloCompleta && !completa) continue;
+        const motivo = definicion.comprobar(integrantes, valor);
+        if (motivo) {
+            return { regla, error: `No se cumple la regla ${regla} del formato ${nombreFormato}: ${motivo}` };
+        }
+    }
+    return null;
+}
+
+export { FORMATOS_BATALLA, REGLAS_PLANTILLA, comprobarFormato };
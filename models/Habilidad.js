@@ -0,0 +1,25 @@
+import { REGLAS_POR_DEFECTO } from './Reglas.js';
+import { DURACION_MAXIMA_EFECTO } from './EfectoEstado.js';
+
+// Efectos que puede tener una habilidad de personaje:
+// - danio: daño directo (se reduce con el escudo del rival)
+// - curacion: recupera vida propia, sin superar la vida máxima
+// - escudo: protección propia de `potencia` puntos de escudo durante `duracion` turnos
+// - aturdir: daño directo y el rival pierde sus próximos `duracion` turnos
+// - roboVida: daño directo y recupera la mitad del daño realmente infligido
+// - quemadura: el rival pierde `potencia` de vida al inicio de sus próximos `duracion` turnos
+// - regeneracion: recupera `potencia` de vida al inicio de sus próximos `duracion` turnos
+// - rompeEscudo: anula el escudo del rival durante `duracion` turnos y luego hace daño directo
+// Los efectos que duran varios turnos se aplican como efectos de estado (ver EfectoEstado.js).
+const EFECTOS_HABILIDAD = ['danio', 'curacion', 'escudo', 'aturdir', 'roboVida', 'quemadura', 'regeneracion', 'rompeEscudo'];
+
+const PORCENTAJE_ROBO_VIDA = 0.5;
+
+// Una habilidad no puede superar al ataque especial de un personaje de nivel máximo con las reglas por defecto
+const { especial } = REGLAS_POR_DEFECTO.ataques;
+const POTENCIA_MAXIMA_HABILIDAD = especial.base + (REGLAS_POR_DEFECTO.progresion.nivelMaximo - 1) * especial.porNivel;
+
+// Puntos de escudo que resta rompeEscudo (100 lo anula por completo)
+const PUNTOS_ROMPE_ESCUDO = 100;
+
+export { EFECTOS_HABILIDAD, PORCENTAJE_ROBO_VIDA, PUNTOS_ROMPE_ESCUDO, POTENCIA_MAXIMA_HABILIDAD, DURACION_MAXIMA_EFECTO };
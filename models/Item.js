@@ -0,0 +1,34 @@
+// Items equipables. Cada personaje puede llevar un item por ranura y cada item
+// suma bonificaciones a una estadística:
+// - plano: suma `valor` puntos
+// - porcentaje: suma un `valor` % sobre el valor base
+// Las estadísticas son el daño de los ataques (ataque), el escudo y la vida máxima.
+const RANURAS_ITEM = ['arma', 'armadura', 'reliquia'];
+const ESTADISTICAS_ITEM = ['ataque', 'escudo', 'vida'];
+const TIPOS_BONIFICACION = ['plano', 'porcentaje'];
+
+// Rango permitido del valor de una bonificación según su tipo (los porcentajes, en %)
+const LIMITES_BONIFICACION = {
+    plano: { min: -50, max: 100 },
+    porcentaje: { min: -90, max: 200 }
+};
+
+// Un item puede tener como máximo una bonificación por estadística y tipo
+const MAXIMO_BONIFICACIONES_ITEM = ESTADISTICAS_ITEM.length * TIPOS_BONIFICACION.length;
+
+// Rango de la suma de los porcentajes de todas las fuentes (items equipados y sinergias) sobre una estadística.
+// Además, la vida máxima nunca baja de VIDA_MINIMA y el escudo nunca supera ESCUDO_MAXIMO (ver Personaje.js).
+const LIMITES_PORCENTAJE_TOTAL = { min: -75, max: 300 };
+
+// Comprobar que un item se puede equipar en una ranura; devuelve el error o null
+function validarRanura(item, ranura) {
+    if (!RANURAS_ITEM.includes(item.ranura)) {
+        return `El item ${item.nombre} no tiene una ranura válida`;
+    }
+    if (ranura !== undefined && ranura !== item.ranura) {
+        return `El item ${item.nombre} solo se puede equipar en la ranura ${item.ranura}`;
+    }
+    return null;
+}
+
+export { RANURAS_ITEM, ESTADISTICAS_ITEM, TIPOS_BONIFICACION, LIMITES_BONIFICACION, MAXIMO_BONIFICACIONES_ITEM, LIMITES_PORCENTAJE_TOTAL, validarRanura };
@@ -1,3 +1,15 @@
+import { REGLAS_POR_DEFECTO } from './Reglas.js';
+import { EFECTOS_ESTADO, DURACION_MAXIMA_EFECTO } from './EfectoEstado.js';
+import { ARQUETIPOS, ARQUETIPO_POR_DEFECTO } from './Arquetipo.js';
+import { RANURAS_ITEM, LIMITES_PORCENTAJE_TOTAL } from './Item.js';
+import { RATING_INICIAL } from './Rating.js';
+
+const DANIO_MINIMO = 1;
+// Por muchas bonificaciones negativas que lleve, un personaje empieza las peleas con vida;
+// y por mucho escudo que acumule, los ataques normales siempre le hacen algo de daño
+const VIDA_MINIMA = 1;
+const ESCUDO_MAXIMO = 90;
+
 class Personaje {
     constructor(id, nombre, ciudad, tipo, equipo, nivel = 1, experiencia = 0, escudo = 0, dañoUltimate = 0, umbralUltimate = 150, ultimateDisponible = false) {
         this.id = id;
@@ -10,62 +22,237 @@ class Personaje {
         this.dañoUltimate = dañoUltimate;
         this.umbralUltimate = umbralUltimate;
         this.ultimateDisponible = ultimateDisponible;
-        this.vida = 100 + (this.nivel - 1) * 5;
+        this.arquetipo = ARQUETIPO_POR_DEFECTO;
+        this.rating = RATING_INICIAL;
+        this.vida = this.getVidaMaxima();
         if (equipo) this.equipo = equipo;
     }
 
+    // Reglas de combate con las que se simula este personaje (no se guardan en la base de datos)
+    setReglas(reglas) {
+        Object.defineProperty(this, 'reglas', { value: reglas, writable: true, configurable: true, enumerable: false });
+        return this;
+    }
+
+    getReglas() {
+        return this.reglas || REGLAS_POR_DEFECTO;
+    }
+
+    // Sinergias de equipo activas en la pelea actual (no se guardan en la base de datos)
+    setSinergias(sinergias) {
+        Object.defineProperty(this, 'sinergias', { value: sinergias, writable: true, configurable: true, enumerable: false });
+        return this;
+    }
+
+    // IDs de las sinergias activas que bonifican una estadística
+    getSinergiasDe(estadistica) {
+        return (this.sinergias || [])
+            .filter(s => s.bonificaciones.some(b => b.estadistica === estadistica))
+            .map(s => s.id);
+    }
+
+    // Modificadores del arquetipo (los personajes sin arquetipo se tratan como neutral)
+    getArquetipo() {
+        return ARQUETIPOS[this.arquetipo] || ARQUETIPOS[ARQUETIPO_POR_DEFECTO];
+    }
+
+    // Cambiar de arquetipo recalculando el escudo ganado por nivel y la vida máxima
+    cambiarArquetipo(arquetipo) {
+        this.arquetipo = arquetipo;
+        this.escudo = this.getEscudoPorNivel();
+        this.vida = this.getVidaMaxima();
+    }
+
+    // Items equipados, en el orden de las ranuras
+    getItemsEquipados() {
+        const equipados = this.equipados || {};
+        const inventario = this.inventario || [];
+        return RANURAS_ITEM
+            .map(ranura => inventario.find(i => i.id === equipados[ranura]))
+            .filter(Boolean);
+    }
+
+    // Equipamiento usado en una pelea, para guardarlo en el registro
+    getEquipamiento() {
+        return this.getItemsEquipados().map(({ id, nombre, ranura, bonificaciones }) => ({ id, nombre, ranura, bonificaciones }));
+    }
+
+    // Aplicar a un valor las bonificaciones de los items equipados y de las sinergias para una estadística:
+    // primero los porcentajes sobre el valor base (su suma, dentro de LIMITES_PORCENTAJE_TOTAL) y después los puntos planos
+    aplicarBonificaciones(estadistica, valor) {
+        let porcentaje = 0;
+        let plano = 0;
+        for (const fuente of [...this.getItemsEquipados(), ...(this.sinergias || [])]) {
+            for (const b of fuente.bonificaciones || []) {
+                if (b.estadistica !== estadistica) continue;
+                if (b.tipo === 'porcentaje') porcentaje += b.valor;
+                else plano += b.valor;
+            }
+        }
+        porcentaje = Math.min(Math.max(porcentaje, LIMITES_PORCENTAJE_TOTAL.min), LIMITES_PORCENTAJE_TOTAL.max);
+        return valor * (1 + porcentaje / 100) + plano;
+    }
+
+    getVidaMaxima() {
+        const { vidaBase, vidaPorNivel } = this.getReglas().progresion;
+        const vida = vidaBase + this.getArquetipo().vidaBase + (this.nivel - 1) * vidaPorNivel;
+        return Math.max(Math.round(this.aplicarBonificaciones('vida', vida)), VIDA_MINIMA);
+    }
+
+    // Escudo acumulado por los niveles subidos
+    getEscudoPorNivel() {
+        return (this.nivel - 1) * this.getReglas().progresion.escudoPorNivel * this.getArquetipo().escudoPorNivel;
+    }
+
+    // Daño necesario para cargar la ultimate, ajustado por el arquetipo
+    getUmbralUltimate() {
+        return Math.round(this.umbralUltimate * this.getArquetipo().umbralUltimate);
+    }
+
     // Subir experiencia y nivel, con traspaso de experiencia sobrante
     ganarExperiencia(cantidad) {
-        if (this.nivel >= 10) {
-            this.experiencia = 100;
+        const { nivelMaximo, experienciaPorNivel } = this.getReglas().progresion;
+        if (this.nivel >= nivelMaximo) {
+            this.experiencia = experienciaPorNivel;
             return;
         }
         let totalExp = this.experiencia + cantidad;
-        while (totalExp >= 100 && this.nivel < 10) {
-            totalExp -= 100;
+        while (totalExp >= experienciaPorNivel && this.nivel < nivelMaximo) {
+            totalExp -= experienciaPorNivel;
             this.subirNivel();
         }
-        this.experiencia = this.nivel < 10 ? totalExp : 100;
+        this.experiencia = this.nivel < nivelMaximo ? totalExp : experienciaPorNivel;
     }
 
     subirNivel() {
-        if (this.nivel < 10) {
+        const { nivelMaximo, crecimientoUmbralUltimate } = this.getReglas().progresion;
+        if (this.nivel < nivelMaximo) {
             this.nivel++;
-            this.vida = 100 + (this.nivel - 1) * 5;
-            this.escudo = (this.nivel - 1) * 5;
-            this.umbralUltimate = Math.round(this.umbralUltimate * 1.1);
+            this.vida = this.getVidaMaxima();
+            this.escudo = this.getEscudoPorNivel();
+            this.umbralUltimate = Math.round(this.umbralUltimate * crecimientoUmbralUltimate);
         }
     }
 
-    // Daño de ataques según nivel
+    // Daño de un ataque a partir de su base y crecimiento por nivel, con arquetipo e items.
+    // Todo ataque hace al menos DANIO_MINIMO para que ninguna pelea quede sin avanzar.
+    calcularAtaque({ base, porNivel }) {
+        const danio = (base + (this.nivel - 1) * porNivel) * this.getArquetipo().ataque;
+        return Math.max(Math.round(this.aplicarBonificaciones('ataque', danio)), DANIO_MINIMO);
+    }
+
+    // Daño de ataques según nivel, arquetipo e items equipados
     getAtaqueBasico() {
-        return 5 + (this.nivel - 1) * 1;
+        return this.calcularAtaque(this.getReglas().ataques.basico);
     }
     getAtaqueEspecial() {
-        return 30 + (this.nivel - 1) * 10;
+        return this.calcularAtaque(this.getReglas().ataques.especial);
     }
     getAtaqueCritico(base) {
-        return Math.round(base * 1.5);
+        return Math.max(Math.round(base * this.getReglas().ataques.multiplicadorCritico), DANIO_MINIMO);
     }
     getAtaqueUltimate() {
-        return 80 + (this.nivel - 1) * 10;
+        return this.calcularAtaque(this.getReglas().ataques.ultimate);
     }
 
-    // Calcular daño recibido aplicando escudo (excepto ultimate)
+    // Escudo efectivo con los items equipados y los efectos de protección y rotura de escudo activos (entre 0 y ESCUDO_MAXIMO)
+    getEscudo() {
+        const proteccion = this.getEfecto('proteccion');
+        const rotura = this.getEfecto('rompeEscudo');
+        const escudo = this.aplicarBonificaciones('escudo', this.escudo) + (proteccion ? proteccion.potencia : 0) - (rotura ? rotura.potencia : 0);
+        return Math.min(Math.max(escudo, 0), ESCUDO_MAXIMO);
+    }
+
+    // Calcular daño recibido aplicando escudo (excepto ultimate); devuelve la reducción aplicada
     recibirDanio(danio, esUltimate = false) {
-        if (!esUltimate && this.escudo > 0) {
-            const reduccion = danio * (this.escudo / 100);
+        let reduccion = 0;
+        const escudo = this.getEscudo();
+        if (!esUltimate && escudo > 0) {
+            reduccion = danio * (escudo / 100);
             danio = danio - reduccion;
         }
         this.vida -= danio;
         if (this.vida < 0) this.vida = 0;
+        return reduccion;
+    }
+
+    // Recuperar vida sin superar la máxima; devuelve la vida realmente recuperada
+    curar(cantidad) {
+        const antes = this.vida;
+        this.vida = Math.min(this.getVidaMaxima(), this.vida + cantidad);
+        return this.vida - antes;
+    }
+
+    // Habilidades que se pueden usar este turno (nivel suficiente y sin enfriamiento).
+    // Con `antesDeIniciarTurno` se cuenta el turno que iniciarTurno aún no ha descontado del enfriamiento.
+    getHabilidadesDisponibles(antesDeIniciarTurno = false) {
+        const enfriamientos = this.enfriamientos || {};
+        const avance = antesDeIniciarTurno ? 1 : 0;
+        return (this.habilidades || []).filter(h => this.nivel >= h.nivelRequerido && !((enfriamientos[h.id] || 0) - avance > 0));
+    }
+
+    // Poner en enfriamiento una habilidad recién usada: no vuelve a estar disponible durante `cooldown` turnos propios
+    activarEnfriamiento(habilidad) {
+        this.enfriamientos = { ...this.enfriamientos, [habilidad.id]: habilidad.cooldown + 1 };
+    }
+
+    getEfecto(id) {
+        return (this.efectos || []).find(e => e.id === id);
+    }
+
+    // Aplicar un efecto de estado siguiendo su regla de acumulación; `origenId` es quien lo aplica
+    aplicarEfecto(id, potencia, turnos, origenId) {
+        const { apilamiento, maxAcumulaciones = 1 } = EFECTOS_ESTADO[id];
+        turnos = Math.min(turnos, DURACION_MAXIMA_EFECTO);
+        const actual = this.getEfecto(id);
+        const efecto = actual
+            ? {
+                ...actual,
+                potencia: Math.max(actual.potencia, potencia),
+                turnos: Math.max(actual.turnos, turnos),
+                acumulaciones: apilamiento === 'acumular' ? Math.min(actual.acumulaciones + 1, maxAcumulaciones) : 1,
+                origenId
+            }
+            : { id, potencia, turnos, acumulaciones: 1, origenId };
+        this.efectos = [...(this.efectos || []).filter(e => e.id !== id), efecto];
+        return efecto;
+    }
+
+    // Inicio del turno propio: avanzan los enfriamientos y se resuelven los efectos de estado.
+    // Devuelve lo ocurrido: si pierde el turno por aturdimiento, el daño por quemadura
+    // (y quién la aplicó) y la vida recuperada por regeneración.
+    iniciarTurno() {
+        if (this.enfriamientos) {
+            for (const id of Object.keys(this.enfriamientos)) {
+                if (this.enfriamientos[id] > 0) this.enfriamientos[id]--;
+            }
+        }
+        const inicio = { aturdido: false, danio: 0, curacion: 0, origenDanioId: null };
+        for (const efecto of this.efectos || []) {
+            const total = efecto.potencia * efecto.acumulaciones;
+            if (efecto.id === 'quemadura' && this.vida > 0) {
+                const vidaAntes = this.vida;
+                this.vida = Math.max(this.vida - total, 0);
+                inicio.danio += vidaAntes - this.vida;
+                inicio.origenDanioId = efecto.origenId;
+            } else if (efecto.id === 'regeneracion' && this.vida > 0) {
+                inicio.curacion += this.curar(total);
+            } else if (efecto.id === 'aturdimiento') {
+                inicio.aturdido = true;
+            }
+        }
+        this.efectos = (this.efectos || [])
+            .map(e => ({ ...e, turnos: e.turnos - 1 }))
+            .filter(e => e.turnos > 0);
+        return inicio;
     }
 
     // Sumar daño realizado para cargar ultimate
     cargarUltimate(danio) {
-        if (this.nivel >= 10 && this.dañoUltimate >= this.umbralUltimate) return;
+        const umbral = this.getUmbralUltimate();
+        if (this.nivel >= this.getReglas().progresion.nivelMaximo && this.dañoUltimate >= umbral) return;
         this.dañoUltimate += danio;
-        if (this.dañoUltimate >= this.umbralUltimate) {
+        if (this.dañoUltimate >= umbral) {
             this.ultimateDisponible = true;
         }
     }
@@ -93,4 +280,4 @@ class Villano extends Personaje {
     }
 }
 
-export { Personaje, Heroe, Villano }; 
\ No newline at end of file
+export { Personaje, Heroe, Villano, DANIO_MINIMO, VIDA_MINIMA, ESCUDO_MAXIMO }; 
\ No newline at end of file
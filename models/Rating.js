@@ -0,0 +1,20 @@
+// Rating Elo de los personajes: todos empiezan con RATING_INICIAL y tras cada 1 vs 1
+// el ganador gana los puntos que pierde el perdedor. FACTOR_K limita el cambio máximo por pelea.
+const RATING_INICIAL = 1500;
+const FACTOR_K = 32;
+
+// Probabilidad esperada de que gane quien tiene `rating` contra `ratingRival`
+function probabilidadEsperada(rating, ratingRival) {
+    return 1 / (1 + Math.pow(10, (ratingRival - rating) / 400));
+}
+
+// Nuevos ratings (redondeados) del ganador y el perdedor de una pelea
+function calcularElo(ratingGanador, ratingPerdedor) {
+    const cambio = FACTOR_K * (1 - probabilidadEsperada(ratingGanador, ratingPerdedor));
+    return {
+        ganador: Math.round(ratingGanador + cambio),
+        perdedor: Math.round(ratingPerdedor - cambio)
+    };
+}
+
+export { RATING_INICIAL, FACTOR_K, calcularElo };
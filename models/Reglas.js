@@ -0,0 +1,31 @@
+// Reglas de combate por defecto (versión 1). Son las que se usaban antes de que las reglas
+// pudieran editarse y se aplican cuando no hay ninguna versión guardada en la base de datos.
+const REGLAS_POR_DEFECTO = {
+    version: 1,
+    // Probabilidad de cada tipo de ataque cuando no hay ultimate disponible
+    probabilidades: {
+        critico: 0.4,
+        especial: 0.3,
+        basico: 0.3
+    },
+    ataques: {
+        basico: { base: 5, porNivel: 1 },
+        especial: { base: 30, porNivel: 10 },
+        ultimate: { base: 80, porNivel: 10 },
+        multiplicadorCritico: 1.5,
+        // Probabilidad de que un crítico parta del ataque básico en lugar del especial
+        probabilidadCriticoBasico: 0.5
+    },
+    progresion: {
+        nivelMaximo: 10,
+        experienciaPorNivel: 100,
+        experienciaGanador: 40,
+        experienciaPerdedor: 25,
+        vidaBase: 100,
+        vidaPorNivel: 5,
+        escudoPorNivel: 5,
+        crecimientoUmbralUltimate: 1.1
+    }
+};
+
+export { REGLAS_POR_DEFECTO };
@@ -0,0 +1,75 @@
+import { ARQUETIPO_POR_DEFECTO } from './Arquetipo.js';
+import { FORMATOS_BATALLA } from './FormatoBatalla.js';
+
+// Sinergias de equipo: bonificaciones de combate que reciben todos los integrantes en las peleas por
+// equipos cuando la plantilla cumple una condición. Se declaran como datos:
+// - condicion: `tipo` es una de las claves de CONDICIONES_SINERGIA y el resto son sus parámetros
+// - bonificaciones: mismo formato que las de los items ({ estadistica, tipo, valor })
+// - reglasIncompatibles: reglas de plantilla (ver FormatoBatalla.js) con las que la condición no puede
+//   cumplirse; la sinergia no está disponible en los formatos que las usan
+const SINERGIAS = {
+    mismaCiudad: {
+        nombre: 'Vecinos',
+        descripcion: 'Todos los integrantes son de la misma ciudad',
+        condicion: { tipo: 'mismaCiudad' },
+        bonificaciones: [{ estadistica: 'escudo', tipo: 'plano', valor: 5 }],
+        reglasIncompatibles: ['ciudadesDistintas']
+    },
+    arquetiposVariados: {
+        nombre: 'Equipo equilibrado',
+        descripcion: 'Hay al menos 3 arquetipos distintos en la plantilla',
+        condicion: { tipo: 'arquetiposDistintos', minimo: 3 },
+        bonificaciones: [{ estadistica: 'ataque', tipo: 'porcentaje', valor: 10 }]
+    },
+    veteranos: {
+        nombre: 'Veteranos',
+        descripcion: 'Todos los integrantes llevan al menos 30 días en el equipo',
+        condicion: { tipo: 'antiguedadMinima', dias: 30 },
+        bonificaciones: [
+            { estadistica: 'escudo', tipo: 'porcentaje', valor: 10 },
+            { estadistica: 'vida', tipo: 'plano', valor: 10 }
+        ]
+    }
+};
+
+// Ninguna sinergia se activa en equipos de un solo integrante
+const INTEGRANTES_MINIMOS_SINERGIA = 2;
+
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+// Cada condición recibe los integrantes (personajes completos), sus parámetros, el equipo y la fecha de la pelea
+const CONDICIONES_SINERGIA = {
+    // Los integrantes sin ciudad no cuentan como vecinos de nadie
+    mismaCiudad: integrantes => {
+        const ciudades = new Set(integrantes.map(p => (p.ciudad || '').trim().toUpperCase()));
+        return ciudades.size === 1 && !ciudades.has('');
+    },
+    arquetiposDistintos: (integrantes, { minimo }) =>
+        new Set(integrantes.map(p => p.arquetipo || ARQUETIPO_POR_DEFECTO)).size >= minimo,
+    antiguedadMinima: (integrantes, { dias }, equipo, fecha) => integrantes.every(p => {
+        const membresia = equipo.historial.find(h => h.personajeId === p.id && h.salida === null);
+        return membresia && fecha - new Date(membresia.entrada) >= dias * MS_POR_DIA;
+    })
+};
+
+// Sinergias que activa una plantilla en una fecha, con sus bonificaciones
+function sinergiasActivas(equipo, integrantes, fecha = new Date()) {
+    if (integrantes.length < INTEGRANTES_MINIMOS_SINERGIA) return [];
+    return Object.entries(SINERGIAS)
+        .filter(([, { condicion }]) => {
+            const { tipo, ...parametros } = condicion;
+            return CONDICIONES_SINERGIA[tipo](integrantes, parametros, equipo, fecha);
+        })
+        .map(([id, { nombre, descripcion, bonificaciones }]) => ({ id, nombre, descripcion, bonificaciones }));
+}
+
+// IDs de las sinergias que pueden activarse en un formato de batalla
+function sinergiasDelFormato(nombreFormato) {
+    const { integrantes, reglas } = FORMATOS_BATALLA[nombreFormato];
+    if (integrantes < INTEGRANTES_MINIMOS_SINERGIA) return [];
+    return Object.entries(SINERGIAS)
+        .filter(([, { reglasIncompatibles = [] }]) => !reglas.some(r => reglasIncompatibles.includes(r.regla)))
+        .map(([id]) => id);
+}
+
+export { SINERGIAS, CONDICIONES_SINERGIA, INTEGRANTES_MINIMOS_SINERGIA, sinergiasActivas, sinergiasDelFormato };
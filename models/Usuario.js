@@ -0,0 +1,13 @@
+// Roles de usuario: los administradores pueden además crear y editar los datos del juego (habilidades,
+// items, inventarios de los personajes y campañas), cambiar las plantillas de los equipos, borrar recursos,
+// corregir peleas, cambiar el reglamento y gestionar los roles de otros usuarios
+const ROLES = ['admin', 'jugador'];
+
+// Rol de los usuarios nuevos y de los registrados antes de que existieran los roles
+const ROL_POR_DEFECTO = 'jugador';
+
+function rolDe(usuario) {
+    return ROLES.includes(usuario.rol) ? usuario.rol : ROL_POR_DEFECTO;
+}
+
+export { ROLES, ROL_POR_DEFECTO, rolDe };
@@ -0,0 +1,47 @@
+import { connectDB } from '../data/mongoClient.js';
+
+// Las habilidades se guardan dentro del documento de cada personaje
+async function getHabilidades(personajeId) {
+    const db = await connectDB();
+    const personaje = await db.collection('personajes').findOne(
+        { id: Number(personajeId) },
+        { projection: { habilidades: 1 } }
+    );
+    return personaje ? personaje.habilidades || [] : null;
+}
+
+async function addHabilidad(personajeId, habilidad) {
+    const db = await connectDB();
+    await db.collection('personajes').updateOne(
+        { id: Number(personajeId) },
+        { $push: { habilidades: habilidad } }
+    );
+}
+
+async function updateHabilidad(personajeId, habilidadId, cambios) {
+    const db = await connectDB();
+    const set = {};
+    for (const [campo, valor] of Object.entries(cambios)) {
+        set[`habilidades.$[h].${campo}`] = valor;
+    }
+    await db.collection('personajes').updateOne(
+        { id: Number(personajeId) },
+        { $set: set },
+        { arrayFilters: [{ 'h.id': Number(habilidadId) }] }
+    );
+}
+
+async function deleteHabilidad(personajeId, habilidadId) {
+    const db = await connectDB();
+    await db.collection('personajes').updateOne(
+        { id: Number(personajeId) },
+        { $pull: { habilidades: { id: Number(habilidadId) } } }
+    );
+}
+
+export default {
+    getHabilidades,
+    addHabilidad,
+    updateHabilidad,
+    deleteHabilidad
+};
@@ -0,0 +1,52 @@
+import { connectDB } from '../data/mongoClient.js';
+import counterRepository from './counterRepository.js';
+
+async function getCampanas() {
+    const db = await connectDB();
+    return db.collection('campanas').find({}, { projection: { _id: 0 } }).sort({ id: 1 }).toArray();
+}
+
+async function getCampanaById(id) {
+    const db = await connectDB();
+    return db.collection('campanas').findOne({ id: Number(id) }, { projection: { _id: 0 } });
+}
+
+async function getNextCampanaId() {
+    return await counterRepository.siguienteValor('campanas', 'campanas', 'id');
+}
+
+async function addCampana(campana) {
+    const db = await connectDB();
+    await db.collection('campanas').insertOne({ ...campana });
+}
+
+async function deleteCampana(id) {
+    const db = await connectDB();
+    await db.collection('campanas').deleteOne({ id: Number(id) });
+    await db.collection('progresosCampana').deleteMany({ campanaId: Number(id) });
+}
+
+// Cada usuario tiene como mucho un progreso por campaña
+async function getProgreso(campanaId, usuario) {
+    const db = await connectDB();
+    return db.collection('progresosCampana').findOne({ campanaId: Number(campanaId), usuario }, { projection: { _id: 0 } });
+}
+
+async function guardarProgreso(progreso, session) {
+    const db = await connectDB();
+    await db.collection('progresosCampana').replaceOne(
+        { campanaId: progreso.campanaId, usuario: progreso.usuario },
+        progreso,
+        { upsert: true, session }
+    );
+}
+
+export default {
+    getCampanas,
+    getCampanaById,
+    getNextCampanaId,
+    addCampana,
+    deleteCampana,
+    getProgreso,
+    guardarProgreso
+};
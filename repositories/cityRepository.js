@@ -0,0 +1,31 @@
+import { connectDB } from '../data/mongoClient.js';
+
+async function getCiudades() {
+    const db = await connectDB();
+    return db.collection('ciudades').find({}, { projection: { _id: 0 } }).sort({ nombre: 1 }).toArray();
+}
+
+async function getCiudadByClave(clave, session) {
+    const db = await connectDB();
+    return db.collection('ciudades').findOne({ clave }, { projection: { _id: 0 }, session });
+}
+
+// Crear la ciudad si no existe; devuelve el documento (el existente si ya estaba)
+async function asegurarCiudad(ciudad) {
+    const db = await connectDB();
+    const { clave, ...resto } = ciudad;
+    await db.collection('ciudades').updateOne({ clave }, { $setOnInsert: resto }, { upsert: true });
+    return getCiudadByClave(clave);
+}
+
+async function updateCiudad(clave, cambios, session) {
+    const db = await connectDB();
+    await db.collection('ciudades').updateOne({ clave }, { $set: cambios }, { session });
+}
+
+export default {
+    getCiudades,
+    getCiudadByClave,
+    asegurarCiudad,
+    updateCiudad
+};
@@ -0,0 +1,24 @@
+import { connectDB } from '../data/mongoClient.js';
+
+// Siguiente valor del contador `nombre`, reservado de forma atómica con $inc: dos peticiones a la vez
+// nunca reciben el mismo id. La primera vez que se usa un contador parte del mayor `campo` que ya
+// exista en `coleccion`, así los documentos anteriores a los contadores no chocan con los ids nuevos.
+async function siguienteValor(nombre, coleccion, campo) {
+    const db = await connectDB();
+    const contadores = db.collection('contadores');
+    if (!await contadores.findOne({ _id: nombre })) {
+        const [ultimo] = await db.collection(coleccion).find({}).sort({ [campo]: -1 }).limit(1).toArray();
+        // $max deja el contador como está si otra petición ya lo inicializó (y quizá incrementó)
+        await contadores.updateOne({ _id: nombre }, { $max: { valor: ultimo ? ultimo[campo] : 0 } }, { upsert: true });
+    }
+    const contador = await contadores.findOneAndUpdate(
+        { _id: nombre },
+        { $inc: { valor: 1 } },
+        { upsert: true, returnDocument: 'after' }
+    );
+    return contador.valor;
+}
+
+export default {
+    siguienteValor
+};
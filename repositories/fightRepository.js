@@ -1,8 +1,13 @@
 import { connectDB } from '../data/mongoClient.js';
+import counterRepository from './counterRepository.js';
+
+// Las sesiones interactivas se guardan en fights desde el primer turno; mientras siguen en curso no son
+// peleas jugadas y no se listan (se consultan solo por su fightId)
+const PELEA_TERMINADA = { estado: { $ne: 'en_curso' } };
 
 async function getFights() {
     const db = await connectDB();
-    return db.collection('fights').find({}).toArray();
+    return db.collection('fights').find(PELEA_TERMINADA).toArray();
 }
 
 async function getFightById(fightId) {
@@ -10,28 +15,65 @@ async function getFightById(fightId) {
     return db.collection('fights').findOne({ fightId: Number(fightId) });
 }
 
-async function addFight(fight) {
+// Pelea jugada por un ticket de emparejamiento
+async function getFightByTicket(ticketId) {
     const db = await connectDB();
-    await db.collection('fights').insertOne(fight);
+    return db.collection('fights').findOne({ emparejamiento: Number(ticketId) });
+}
+
+async function getNextFightId() {
+    return await counterRepository.siguienteValor('fights', 'fights', 'fightId');
 }
 
-async function updateFight(fightId, updatedFight) {
+async function addFight(fight, session) {
+    const db = await connectDB();
+    await db.collection('fights').insertOne({ ...fight, createdAt: new Date() }, { session });
+}
+
+async function updateFight(fightId, updatedFight, session) {
     const db = await connectDB();
     await db.collection('fights').updateOne(
         { fightId: Number(fightId) },
-        { $set: updatedFight }
+        { $set: updatedFight },
+        { session }
     );
 }
 
+// Guardar un turno de una sesión interactiva solo si sigue en curso y nadie ha jugado otro turno desde que se
+// leyó (`turnosJugados` es la longitud de la historia leída); devuelve false si otra petición se adelantó
+async function guardarTurnoSesion(fightId, turnosJugados, cambios, session) {
+    const db = await connectDB();
+    const resultado = await db.collection('fights').updateOne(
+        { fightId: Number(fightId), estado: 'en_curso', historia: { $size: turnosJugados } },
+        { $set: cambios },
+        { session }
+    );
+    return resultado.modifiedCount === 1;
+}
+
 async function deleteFight(fightId) {
     const db = await connectDB();
     await db.collection('fights').deleteOne({ fightId: Number(fightId) });
 }
 
+// Últimas peleas jugadas en una ciudad, de la más reciente a la más antigua
+async function getFightsByCiudad(ciudad, limit) {
+    const db = await connectDB();
+    return db.collection('fights')
+        .find({ ciudad, ...PELEA_TERMINADA }, { projection: { _id: 0, fightId: 1, personaje1: 1, personaje2: 1, ganador: 1, createdAt: 1 } })
+        .sort({ fightId: -1 })
+        .limit(limit)
+        .toArray();
+}
+
 export default {
     getFights,
+    getFightsByCiudad,
     getFightById,
+    getFightByTicket,
+    getNextFightId,
     addFight,
     updateFight,
+    guardarTurnoSesion,
     deleteFight
 }; 
\ No newline at end of file
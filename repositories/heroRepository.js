@@ -1,25 +1,29 @@
 import { connectDB } from '../data/mongoClient.js';
+import personajeMapper from './personajeMapper.js';
 
 async function getPersonajes() {
     const db = await connectDB();
-    return db.collection('personajes').find({}).toArray();
+    const docs = await db.collection('personajes').find({}).toArray();
+    return docs.map(personajeMapper.toDomain);
 }
 
-async function getPersonajeById(id) {
+async function getPersonajeById(id, session) {
     const db = await connectDB();
-    return db.collection('personajes').findOne({ id: Number(id) });
+    const doc = await db.collection('personajes').findOne({ id: Number(id) }, { session });
+    return personajeMapper.toDomain(doc);
 }
 
 async function addPersonaje(personaje) {
     const db = await connectDB();
-    await db.collection('personajes').insertOne(personaje);
+    await db.collection('personajes').insertOne(personajeMapper.toDocument(personaje));
 }
 
-async function updatePersonaje(id, updatedPersonaje) {
+async function updatePersonaje(id, updatedPersonaje, session) {
     const db = await connectDB();
     await db.collection('personajes').updateOne(
         { id: Number(id) },
-        { $set: updatedPersonaje }
+        { $set: personajeMapper.toDocument(updatedPersonaje) },
+        { session }
     );
 }
 
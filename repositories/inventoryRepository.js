@@ -0,0 +1,53 @@
+import { connectDB } from '../data/mongoClient.js';
+
+// El inventario (copias de los items del catálogo) y los items equipados por ranura
+// se guardan dentro del documento de cada personaje
+async function getInventario(personajeId) {
+    const db = await connectDB();
+    const personaje = await db.collection('personajes').findOne(
+        { id: Number(personajeId) },
+        { projection: { inventario: 1, equipados: 1 } }
+    );
+    return personaje ? { inventario: personaje.inventario || [], equipados: personaje.equipados || {} } : null;
+}
+
+async function addItemInventario(personajeId, item, session) {
+    const db = await connectDB();
+    await db.collection('personajes').updateOne(
+        { id: Number(personajeId) },
+        { $push: { inventario: item } },
+        { session }
+    );
+}
+
+async function deleteItemInventario(personajeId, itemId) {
+    const db = await connectDB();
+    await db.collection('personajes').updateOne(
+        { id: Number(personajeId) },
+        { $pull: { inventario: { id: Number(itemId) } } }
+    );
+}
+
+async function equiparItem(personajeId, ranura, itemId) {
+    const db = await connectDB();
+    await db.collection('personajes').updateOne(
+        { id: Number(personajeId) },
+        { $set: { [`equipados.${ranura}`]: Number(itemId) } }
+    );
+}
+
+async function desequiparRanura(personajeId, ranura) {
+    const db = await connectDB();
+    await db.collection('personajes').updateOne(
+        { id: Number(personajeId) },
+        { $unset: { [`equipados.${ranura}`]: '' } }
+    );
+}
+
+export default {
+    getInventario,
+    addItemInventario,
+    deleteItemInventario,
+    equiparItem,
+    desequiparRanura
+};
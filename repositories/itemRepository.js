@@ -0,0 +1,28 @@
+import { connectDB } from '../data/mongoClient.js';
+
+async function getItems() {
+    const db = await connectDB();
+    return db.collection('items').find({}, { projection: { _id: 0 } }).sort({ id: 1 }).toArray();
+}
+
+async function getItemById(id) {
+    const db = await connectDB();
+    return db.collection('items').findOne({ id: Number(id) }, { projection: { _id: 0 } });
+}
+
+async function addItem(item) {
+    const db = await connectDB();
+    await db.collection('items').insertOne({ ...item });
+}
+
+async function deleteItem(id) {
+    const db = await connectDB();
+    await db.collection('items').deleteOne({ id: Number(id) });
+}
+
+export default {
+    getItems,
+    getItemById,
+    addItem,
+    deleteItem
+};
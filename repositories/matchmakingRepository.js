@@ -0,0 +1,84 @@
+import { connectDB } from '../data/mongoClient.js';
+import counterRepository from './counterRepository.js';
+
+// Código de error de MongoDB al insertar un documento que choca con un índice único
+const CLAVE_DUPLICADA = 11000;
+
+let indices = null;
+
+// Un personaje solo puede tener un ticket activo (esperando o emparejando): lo garantiza un índice único
+// parcial sobre los tickets con `activo: true`, así dos altas a la vez no pueden colarse las dos
+function crearIndices(db) {
+    if (!indices) {
+        indices = db.collection('emparejamientos').createIndex(
+            { personajeId: 1 },
+            { unique: true, partialFilterExpression: { activo: true }, name: 'ticket_activo_por_personaje' }
+        );
+    }
+    return indices;
+}
+
+async function getTicketsEsperando() {
+    const db = await connectDB();
+    return db.collection('emparejamientos').find({ estado: 'esperando' }, { projection: { _id: 0 } }).sort({ creadoEn: 1, id: 1 }).toArray();
+}
+
+async function getTicketById(id) {
+    const db = await connectDB();
+    return db.collection('emparejamientos').findOne({ id: Number(id) }, { projection: { _id: 0 } });
+}
+
+// Ticket esperando o emparejando de un personaje
+async function getTicketActivoDePersonaje(personajeId) {
+    const db = await connectDB();
+    return db.collection('emparejamientos').findOne(
+        { personajeId: Number(personajeId), estado: { $in: ['esperando', 'emparejando'] } },
+        { projection: { _id: 0 } }
+    );
+}
+
+// Tickets que se reservaron para una pelea antes de `limite` y siguen emparejando
+async function getTicketsEmparejandoDesde(limite) {
+    const db = await connectDB();
+    return db.collection('emparejamientos').find(
+        { estado: 'emparejando', $or: [{ reservadoEn: { $lt: limite } }, { reservadoEn: { $exists: false } }] },
+        { projection: { _id: 0 } }
+    ).toArray();
+}
+
+async function getNextTicketId() {
+    return await counterRepository.siguienteValor('emparejamientos', 'emparejamientos', 'id');
+}
+
+// Guardar un ticket nuevo; devuelve false si el personaje ya tiene otro activo
+async function addTicket(ticket) {
+    const db = await connectDB();
+    await crearIndices(db);
+    try {
+        await db.collection('emparejamientos').insertOne({ ...ticket });
+        return true;
+    } catch (err) {
+        if (err.code === CLAVE_DUPLICADA) return false;
+        throw err;
+    }
+}
+
+// Cambiar el estado solo si el ticket sigue en `estadoActual`; devuelve false si otro proceso se adelantó
+async function cambiarEstado(id, estadoActual, cambios) {
+    const db = await connectDB();
+    const resultado = await db.collection('emparejamientos').updateOne(
+        { id: Number(id), estado: estadoActual },
+        { $set: cambios }
+    );
+    return resultado.modifiedCount === 1;
+}
+
+export default {
+    getTicketsEsperando,
+    getTicketById,
+    getTicketActivoDePersonaje,
+    getTicketsEmparejandoDesde,
+    getNextTicketId,
+    addTicket,
+    cambiarEstado
+};
@@ -0,0 +1,19 @@
+import { Heroe, Villano } from '../models/Personaje.js';
+
+// Convertir un documento de Mongo en una instancia de Heroe o Villano según su tipo
+function toDomain(doc) {
+    if (!doc) return null;
+    const Clase = doc.tipo === 'villano' ? Villano : Heroe;
+    return Object.assign(new Clase(doc.id, doc.nombre, doc.ciudad), doc);
+}
+
+// Convertir un personaje (o una actualización parcial) en un documento plano para Mongo
+function toDocument(personaje) {
+    const { _id, ...doc } = personaje;
+    return doc;
+}
+
+export default {
+    toDomain,
+    toDocument
+};
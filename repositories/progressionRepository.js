@@ -0,0 +1,26 @@
+import { connectDB } from '../data/mongoClient.js';
+
+async function getRegistrosByPersonaje(personajeId) {
+    const db = await connectDB();
+    return db.collection('progresiones')
+        .find({ personajeId: Number(personajeId) })
+        .sort({ fecha: 1 })
+        .toArray();
+}
+
+// Primer registro que cumple `filtro` (por ejemplo, la recompensa de un capítulo ya cobrada)
+async function getRegistro(filtro, session) {
+    const db = await connectDB();
+    return db.collection('progresiones').findOne(filtro, { session });
+}
+
+async function addRegistro(registro, session) {
+    const db = await connectDB();
+    await db.collection('progresiones').insertOne(registro, { session });
+}
+
+export default {
+    getRegistrosByPersonaje,
+    getRegistro,
+    addRegistro
+};
@@ -0,0 +1,40 @@
+import { connectDB } from '../data/mongoClient.js';
+import { RATING_INICIAL } from '../models/Rating.js';
+
+// Personajes ordenados por rating (los que aún no tienen se cuentan con el inicial), con el total para paginar
+async function getRanking(filtro, skip, limit) {
+    const db = await connectDB();
+    const [resultado] = await db.collection('personajes').aggregate([
+        { $match: filtro },
+        { $addFields: { rating: { $ifNull: ['$rating', RATING_INICIAL] } } },
+        { $sort: { rating: -1, id: 1 } },
+        {
+            $facet: {
+                total: [{ $count: 'cantidad' }],
+                data: [
+                    { $skip: skip },
+                    { $limit: limit },
+                    { $lookup: { from: 'teams', localField: 'id', foreignField: 'miembros', as: 'equipos' } },
+                    { $project: { _id: 0, id: 1, nombre: 1, tipo: 1, ciudad: 1, equipos: '$equipos.nombre', nivel: 1, rating: 1 } }
+                ]
+            }
+        }
+    ]).toArray();
+    return { total: resultado.total.length > 0 ? resultado.total[0].cantidad : 0, data: resultado.data };
+}
+
+async function reiniciarRatings(session) {
+    const db = await connectDB();
+    await db.collection('personajes').updateMany({}, { $set: { rating: RATING_INICIAL } }, { session });
+}
+
+async function setRating(personajeId, rating, session) {
+    const db = await connectDB();
+    await db.collection('personajes').updateOne({ id: Number(personajeId) }, { $set: { rating } }, { session });
+}
+
+export default {
+    getRanking,
+    reiniciarRatings,
+    setRating
+};
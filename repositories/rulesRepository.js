@@ -0,0 +1,39 @@
+import { connectDB } from '../data/mongoClient.js';
+import counterRepository from './counterRepository.js';
+
+async function getUltimaVersion() {
+    const db = await connectDB();
+    const [reglas] = await db.collection('reglas').find({}, { projection: { _id: 0 } }).sort({ version: -1 }).limit(1).toArray();
+    return reglas || null;
+}
+
+async function getVersion(version) {
+    const db = await connectDB();
+    return db.collection('reglas').findOne({ version: Number(version) }, { projection: { _id: 0 } });
+}
+
+async function getVersiones() {
+    const db = await connectDB();
+    return db.collection('reglas')
+        .find({}, { projection: { _id: 0, version: 1, creadoEn: 1, creadoPor: 1 } })
+        .sort({ version: 1 })
+        .toArray();
+}
+
+// La versión por defecto debe estar guardada antes de pedir la primera, para que el contador parta de ella
+async function getNextVersion() {
+    return await counterRepository.siguienteValor('reglas', 'reglas', 'version');
+}
+
+async function addVersion(reglas) {
+    const db = await connectDB();
+    await db.collection('reglas').insertOne({ ...reglas });
+}
+
+export default {
+    getUltimaVersion,
+    getVersion,
+    getVersiones,
+    getNextVersion,
+    addVersion
+};
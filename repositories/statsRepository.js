@@ -0,0 +1,471 @@
+import { connectDB } from '../data/mongoClient.js';
+
+// Solo cuentan los 1 vs 1 terminados (simulados o interactivos); las peleas por equipos se guardan con rondas o luchadores
+const PELEA_1V1_TERMINADA = {
+    ganador: { $type: 'string' },
+    rondas: { $exists: false },
+    luchadores: { $exists: false }
+};
+
+// Suma de `valor` sobre los eventos de la pelea que cumplen `condicion` (ambos usan $$e como evento)
+function sumarEventos(condicion, valor) {
+    return {
+        $sum: {
+            $map: {
+                input: { $filter: { input: { $ifNull: ['$historia', []] }, as: 'e', cond: condicion } },
+                as: 'e',
+                in: valor
+            }
+        }
+    };
+}
+
+const GOLPE = { $max: [{ $subtract: ['$$e.vidaAntes', '$$e.vidaDespues'] }, 0] };
+const QUEMADURA = { $ifNull: ['$$e.inicioTurno.danio', 0] };
+
+// Resumen de las peleas 1 vs 1 de un personaje: la racha actual se calcula recorriendo
+// los resultados de la más reciente a la más antigua hasta que cambian
+async function getEstadisticasPersonaje(id) {
+    const db = await connectDB();
+    const [resultado] = await db.collection('fights').aggregate([
+        { $match: { ...PELEA_1V1_TERMINADA, $or: [{ 'personaje1.id': id }, { 'personaje2.id': id }] } },
+        {
+            $project: {
+                fightId: 1,
+                gano: {
+                    $eq: ['$ganador', { $cond: [{ $eq: ['$personaje1.id', id] }, '$personaje1.nombre', '$personaje2.nombre'] }]
+                },
+                turnos: { $size: { $ifNull: ['$historia', []] } },
+                danioHecho: {
+                    $add: [
+                        sumarEventos({ $and: [{ $eq: ['$$e.atacanteId', id] }, { $ne: ['$$e.defensorId', id] }] }, GOLPE),
+                        sumarEventos({ $and: [{ $eq: ['$$e.inicioTurno.origenId', id] }, { $ne: ['$$e.atacanteId', id] }] }, QUEMADURA)
+                    ]
+                },
+                danioRecibido: {
+                    $add: [
+                        sumarEventos({ $and: [{ $eq: ['$$e.defensorId', id] }, { $ne: ['$$e.atacanteId', id] }] }, GOLPE),
+                        sumarEventos({ $eq: ['$$e.atacanteId', id] }, QUEMADURA)
+                    ]
+                },
+                ultimates: sumarEventos({ $and: [{ $eq: ['$$e.atacanteId', id] }, '$$e.esUltimate'] }, 1)
+            }
+        },
+        { $sort: { fightId: -1 } },
+        {
+            $group: {
+                _id: null,
+                peleas: { $sum: 1 },
+                victorias: { $sum: { $cond: ['$gano', 1, 0] } },
+                duracionMedia: { $avg: '$turnos' },
+                danioHecho: { $sum: '$danioHecho' },
+                danioRecibido: { $sum: '$danioRecibido' },
+                ultimates: { $sum: '$ultimates' },
+                resultados: { $push: '$gano' }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                peleas: 1,
+                victorias: 1,
+                derrotas: { $subtract: ['$peleas', '$victorias'] },
+                tasaVictoria: { $divide: ['$victorias', '$peleas'] },
+                duracionMedia: 1,
+                danioHecho: 1,
+                danioRecibido: 1,
+                ultimates: 1,
+                racha: {
+                    $reduce: {
+                        input: '$resultados',
+                        initialValue: { gano: { $arrayElemAt: ['$resultados', 0] }, cantidad: 0, cortada: false },
+                        in: {
+                            $cond: [
+                                { $or: ['$$value.cortada', { $ne: ['$$this', '$$value.gano'] }] },
+                                { gano: '$$value.gano', cantidad: '$$value.cantidad', cortada: true },
+                                { gano: '$$value.gano', cantidad: { $add: ['$$value.cantidad', 1] }, cortada: false }
+                            ]
+                        }
+                    }
+                }
+            }
+        }
+    ]).toArray();
+    return resultado || null;
+}
+
+// Historial entre dos personajes: victorias de cada uno y las peleas de la más antigua a la más reciente
+async function getEnfrentamientos(id1, id2) {
+    const db = await connectDB();
+    const [resultado] = await db.collection('fights').aggregate([
+        {
+            $match: {
+                ...PELEA_1V1_TERMINADA,
+                $or: [
+                    { 'personaje1.id': id1, 'personaje2.id': id2 },
+                    { 'personaje1.id': id2, 'personaje2.id': id1 }
+                ]
+            }
+        },
+        { $sort: { fightId: 1 } },
+        {
+            $project: {
+                fightId: 1,
+                ganador: 1,
+                ganadorId: { $cond: [{ $eq: ['$ganador', '$personaje1.nombre'] }, '$personaje1.id', '$personaje2.id'] },
+                turnos: { $size: { $ifNull: ['$historia', []] } }
+            }
+        },
+        {
+            $group: {
+                _id: null,
+                total: { $sum: 1 },
+                victorias1: { $sum: { $cond: [{ $eq: ['$ganadorId', id1] }, 1, 0] } },
+                victorias2: { $sum: { $cond: [{ $eq: ['$ganadorId', id2] }, 1, 0] } },
+                peleas: {
+                    $push: {
+                        fightId: '$fightId',
+                        ganadorId: '$ganadorId',
+                        ganador: '$ganador',
+                        turnos: '$turnos',
+                        repeticion: { $concat: ['/api/fights/', { $toString: '$fightId' }, '/replay'] }
+                    }
+                }
+            }
+        },
+        { $project: { _id: 0 } }
+    ]).toArray();
+    return resultado || { total: 0, victorias1: 0, victorias2: 0, peleas: [] };
+}
+
+// Nivel que tenía el personaje `id` al empezar la pelea, sacado de los registros de progresión ($registros)
+function nivelEnPelea(id) {
+    return {
+        $arrayElemAt: [{
+            $map: {
+                input: { $filter: { input: '$registros', as: 'r', cond: { $eq: ['$$r.personajeId', id] } } },
+                as: 'r',
+                in: '$$r.nivelAntes'
+            }
+        }, 0]
+    };
+}
+
+function lado(propio, rival) {
+    return {
+        id: `${propio}.id`,
+        tipo: `${propio}.tipo`,
+        gano: { $eq: ['$ganador', `${propio}.nombre`] },
+        nivel: nivelEnPelea(`${propio}.id`),
+        nivelRival: nivelEnPelea(`${rival}.id`)
+    };
+}
+
+// Un documento por participante de cada 1 vs 1 terminado: { id, tipo, gano, nivel, nivelRival }
+function etapasParticipantes(filtro) {
+    return [
+        { $match: { ...PELEA_1V1_TERMINADA, ...filtro } },
+        { $lookup: { from: 'progresiones', localField: 'fightId', foreignField: 'fightId', as: 'registros' } },
+        { $project: { _id: 0, participantes: [lado('$personaje1', '$personaje2'), lado('$personaje2', '$personaje1')] } },
+        { $unwind: '$participantes' },
+        { $replaceRoot: { newRoot: '$participantes' } }
+    ];
+}
+
+const TASA_VICTORIA = {
+    peleas: 1,
+    victorias: 1,
+    tasaVictoria: { $divide: ['$victorias', '$peleas'] }
+};
+
+// Tasa de victoria por tipo, con el desglose por el nivel que tenían al pelear
+async function getTasaVictoriaPorTipo(filtro) {
+    const db = await connectDB();
+    return db.collection('fights').aggregate([
+        ...etapasParticipantes(filtro),
+        {
+            $group: {
+                _id: { tipo: '$tipo', nivel: { $ifNull: ['$nivel', null] } },
+                peleas: { $sum: 1 },
+                victorias: { $sum: { $cond: ['$gano', 1, 0] } }
+            }
+        },
+        { $sort: { '_id.nivel': 1 } },
+        {
+            $group: {
+                _id: '$_id.tipo',
+                peleas: { $sum: '$peleas' },
+                victorias: { $sum: '$victorias' },
+                porNivel: {
+                    $push: {
+                        nivel: '$_id.nivel',
+                        peleas: '$peleas',
+                        victorias: '$victorias',
+                        tasaVictoria: { $divide: ['$victorias', '$peleas'] }
+                    }
+                }
+            }
+        },
+        { $project: { _id: 0, tipo: '$_id', ...TASA_VICTORIA, porNivel: 1 } },
+        { $sort: { tipo: 1 } }
+    ]).toArray();
+}
+
+// Etapas que dejan en `grupo` el valor por el que se agrupa: la ciudad actual del personaje
+// o cada uno de los equipos a los que pertenece ahora (los que no tienen equipo no cuentan)
+const ETAPAS_GRUPO = {
+    ciudad: [
+        { $lookup: { from: 'personajes', localField: 'id', foreignField: 'id', as: 'personaje' } },
+        { $unwind: '$personaje' },
+        { $addFields: { grupo: { $ifNull: ['$personaje.ciudad', null] } } }
+    ],
+    equipo: [
+        { $lookup: { from: 'teams', localField: 'id', foreignField: 'miembros', as: 'equipo' } },
+        { $unwind: '$equipo' },
+        { $addFields: { grupo: '$equipo.nombre' } }
+    ]
+};
+
+// Tasa de victoria por ciudad o por equipo, opcionalmente solo de un tipo
+async function getTasaVictoriaPorCampo(campo, filtro, tipo) {
+    const db = await connectDB();
+    return db.collection('fights').aggregate([
+        ...etapasParticipantes(filtro),
+        ...(tipo ? [{ $match: { tipo } }] : []),
+        ...ETAPAS_GRUPO[campo],
+        {
+            $group: {
+                _id: '$grupo',
+                peleas: { $sum: 1 },
+                victorias: { $sum: { $cond: ['$gano', 1, 0] } }
+            }
+        },
+        { $project: { _id: 0, [campo]: '$_id', ...TASA_VICTORIA } },
+        { $sort: { tasaVictoria: -1, peleas: -1 } }
+    ]).toArray();
+}
+
+// Tasa de victoria según cuántos niveles por encima (positivo) o por debajo del rival estaba el personaje.
+// Las peleas sin registro de progresión no tienen nivel y no cuentan.
+async function getTasaVictoriaPorDiferenciaNivel(filtro) {
+    const db = await connectDB();
+    return db.collection('fights').aggregate([
+        ...etapasParticipantes(filtro),
+        { $match: { nivel: { $type: 'number' }, nivelRival: { $type: 'number' } } },
+        {
+            $group: {
+                _id: { $subtract: ['$nivel', '$nivelRival'] },
+                peleas: { $sum: 1 },
+                victorias: { $sum: { $cond: ['$gano', 1, 0] } }
+            }
+        },
+        { $project: { _id: 0, diferenciaNivel: '$_id', ...TASA_VICTORIA } },
+        { $sort: { diferenciaNivel: 1 } }
+    ]).toArray();
+}
+
+// Distribución de la duración (en turnos) de los 1 vs 1 terminados
+async function getDistribucionDuracion(filtro) {
+    const db = await connectDB();
+    const [resultado] = await db.collection('fights').aggregate([
+        { $match: { ...PELEA_1V1_TERMINADA, ...filtro } },
+        { $project: { turnos: { $size: { $ifNull: ['$historia', []] } } } },
+        {
+            $facet: {
+                resumen: [
+                    { $group: { _id: null, peleas: { $sum: 1 }, media: { $avg: '$turnos' }, min: { $min: '$turnos' }, max: { $max: '$turnos' } } },
+                    { $project: { _id: 0 } }
+                ],
+                distribucion: [
+                    { $group: { _id: '$turnos', peleas: { $sum: 1 } } },
+                    { $project: { _id: 0, turnos: '$_id', peleas: 1 } },
+                    { $sort: { turnos: 1 } }
+                ]
+            }
+        }
+    ]).toArray();
+    const resumen = resultado.resumen.length > 0 ? resultado.resumen[0] : { peleas: 0, media: 0, min: null, max: null };
+    return { ...resumen, distribucion: resultado.distribucion };
+}
+
+// Peleas creadas por día (UTC), separando los 1 vs 1 de las peleas por equipos
+async function getPeleasPorDia(filtro) {
+    const db = await connectDB();
+    return db.collection('fights').aggregate([
+        { $match: { createdAt: { $type: 'date' }, ...filtro } },
+        {
+            $group: {
+                _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+                total: { $sum: 1 },
+                equipos: { $sum: { $cond: [{ $ifNull: ['$equipoHeroes', false] }, 1, 0] } }
+            }
+        },
+        { $project: { _id: 0, dia: '$_id', total: 1, unoContraUno: { $subtract: ['$total', '$equipos'] }, equipos: 1 } },
+        { $sort: { dia: 1 } }
+    ]).toArray();
+}
+
+// Peleas por equipos terminadas y con los equipos identificados (las anteriores a la colección de equipos
+// solo guardan los nombres de los luchadores y no cuentan hasta que se migran)
+const PELEA_EQUIPOS_TERMINADA = {
+    'equipos.superheroe.id': { $type: 'number' },
+    'equipos.villano.id': { $type: 'number' },
+    resultado: { $in: ['¡Ganan los superhéroes!', '¡Ganan los villanos!'] }
+};
+
+function ladoEquipo(faccion, rival, resultadoVictoria) {
+    return {
+        equipoId: `$equipos.${faccion}.id`,
+        equipo: `$equipos.${faccion}.nombre`,
+        faccion: { $literal: faccion },
+        rivalId: `$equipos.${rival}.id`,
+        rival: `$equipos.${rival}.nombre`,
+        gano: { $eq: ['$resultado', resultadoVictoria] },
+        luchadores: {
+            $filter: { input: { $ifNull: ['$luchadores', []] }, as: 'l', cond: { $eq: ['$$l.tipo', faccion] } }
+        }
+    };
+}
+
+// Un documento por equipo de cada pelea por equipos terminada:
+// { fightId, createdAt, equipoId, equipo, faccion, rivalId, rival, gano, luchadores (los de su bando) }
+function etapasEquipos(filtro) {
+    return [
+        { $match: { ...PELEA_EQUIPOS_TERMINADA, ...filtro } },
+        {
+            $project: {
+                _id: 0,
+                fightId: 1,
+                createdAt: 1,
+                lados: [
+                    ladoEquipo('superheroe', 'villano', '¡Ganan los superhéroes!'),
+                    ladoEquipo('villano', 'superheroe', '¡Ganan los villanos!')
+                ]
+            }
+        },
+        { $unwind: '$lados' },
+        { $replaceRoot: { newRoot: { $mergeObjects: ['$lados', { fightId: '$fightId', createdAt: '$createdAt' }] } } }
+    ];
+}
+
+// Rondas ganadas y eliminaciones del bando del equipo en una pelea (en melee no hay rondas)
+const RONDAS_GANADAS = { $sum: '$luchadores.rondasGanadas' };
+const ELIMINACIONES = { $sum: '$luchadores.eliminaciones' };
+
+// Resumen de las peleas de un equipo, su MVP (el integrante con más rondas ganadas; en caso de empate,
+// más eliminaciones) y la forma reciente (los `forma` últimos resultados, del más reciente al más antiguo)
+async function getEstadisticasEquipo(id, forma) {
+    const db = await connectDB();
+    const [resultado] = await db.collection('fights').aggregate([
+        ...etapasEquipos({ $or: [{ 'equipos.superheroe.id': id }, { 'equipos.villano.id': id }] }),
+        { $match: { equipoId: id } },
+        { $sort: { fightId: -1 } },
+        {
+            $facet: {
+                resumen: [
+                    {
+                        $group: {
+                            _id: null,
+                            peleas: { $sum: 1 },
+                            victorias: { $sum: { $cond: ['$gano', 1, 0] } },
+                            rondasGanadas: { $sum: RONDAS_GANADAS },
+                            eliminaciones: { $sum: ELIMINACIONES },
+                            resultados: {
+                                $push: {
+                                    fightId: '$fightId',
+                                    resultado: { $cond: ['$gano', 'victoria', 'derrota'] },
+                                    rivalId: '$rivalId',
+                                    rival: '$rival',
+                                    fecha: '$createdAt'
+                                }
+                            }
+                        }
+                    },
+                    {
+                        $project: {
+                            _id: 0,
+                            peleas: 1,
+                            victorias: 1,
+                            derrotas: { $subtract: ['$peleas', '$victorias'] },
+                            tasaVictoria: { $divide: ['$victorias', '$peleas'] },
+                            rondasGanadas: 1,
+                            eliminaciones: 1,
+                            formaReciente: { $slice: ['$resultados', forma] }
+                        }
+                    }
+                ],
+                mvp: [
+                    { $unwind: '$luchadores' },
+                    {
+                        $group: {
+                            _id: '$luchadores.id',
+                            nombre: { $first: '$luchadores.nombre' },
+                            peleas: { $sum: 1 },
+                            rondasGanadas: { $sum: '$luchadores.rondasGanadas' },
+                            eliminaciones: { $sum: '$luchadores.eliminaciones' }
+                        }
+                    },
+                    { $sort: { rondasGanadas: -1, eliminaciones: -1, _id: 1 } },
+                    { $limit: 1 },
+                    { $project: { _id: 0, id: '$_id', nombre: 1, peleas: 1, rondasGanadas: 1, eliminaciones: 1 } }
+                ]
+            }
+        }
+    ]).toArray();
+    if (resultado.resumen.length === 0) return null;
+    return { ...resultado.resumen[0], mvp: resultado.mvp.length > 0 ? resultado.mvp[0] : null };
+}
+
+// Clasificación de los equipos en todas las peleas por equipos: más victorias, mejor tasa y más rondas ganadas.
+// El nombre es el que tenía el equipo en su última pelea.
+async function getRankingEquipos(faccion, skip, limit) {
+    const db = await connectDB();
+    const [resultado] = await db.collection('fights').aggregate([
+        ...etapasEquipos({}),
+        ...(faccion ? [{ $match: { faccion } }] : []),
+        { $sort: { fightId: 1 } },
+        {
+            $group: {
+                _id: '$equipoId',
+                equipo: { $last: '$equipo' },
+                faccion: { $last: '$faccion' },
+                peleas: { $sum: 1 },
+                victorias: { $sum: { $cond: ['$gano', 1, 0] } },
+                rondasGanadas: { $sum: RONDAS_GANADAS }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                equipoId: '$_id',
+                equipo: 1,
+                faccion: 1,
+                peleas: 1,
+                victorias: 1,
+                derrotas: { $subtract: ['$peleas', '$victorias'] },
+                tasaVictoria: { $divide: ['$victorias', '$peleas'] },
+                rondasGanadas: 1
+            }
+        },
+        { $sort: { victorias: -1, tasaVictoria: -1, rondasGanadas: -1, equipoId: 1 } },
+        {
+            $facet: {
+                total: [{ $count: 'cantidad' }],
+                data: [{ $skip: skip }, { $limit: limit }]
+            }
+        }
+    ]).toArray();
+    return { total: resultado.total.length > 0 ? resultado.total[0].cantidad : 0, data: resultado.data };
+}
+
+export default {
+    getEstadisticasPersonaje,
+    getEnfrentamientos,
+    getTasaVictoriaPorTipo,
+    getTasaVictoriaPorCampo,
+    getTasaVictoriaPorDiferenciaNivel,
+    getDistribucionDuracion,
+    getPeleasPorDia,
+    getEstadisticasEquipo,
+    getRankingEquipos
+};
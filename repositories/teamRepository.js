@@ -0,0 +1,53 @@
+import { connectDB } from '../data/mongoClient.js';
+import counterRepository from './counterRepository.js';
+
+async function getEquipos() {
+    const db = await connectDB();
+    return db.collection('teams').find({}, { projection: { _id: 0 } }).sort({ id: 1 }).toArray();
+}
+
+async function getEquipoById(id) {
+    const db = await connectDB();
+    return db.collection('teams').findOne({ id: Number(id) }, { projection: { _id: 0 } });
+}
+
+async function getEquipoByClave(clave) {
+    const db = await connectDB();
+    return db.collection('teams').findOne({ clave }, { projection: { _id: 0 } });
+}
+
+// Equipos en cuya plantilla actual está un personaje
+async function getEquiposDePersonaje(personajeId) {
+    const db = await connectDB();
+    return db.collection('teams').find({ miembros: Number(personajeId) }, { projection: { _id: 0 } }).sort({ id: 1 }).toArray();
+}
+
+async function getNextEquipoId() {
+    return await counterRepository.siguienteValor('teams', 'teams', 'id');
+}
+
+async function addEquipo(equipo) {
+    const db = await connectDB();
+    await db.collection('teams').insertOne({ ...equipo });
+}
+
+async function updateEquipo(id, cambios) {
+    const db = await connectDB();
+    await db.collection('teams').updateOne({ id: Number(id) }, { $set: cambios });
+}
+
+async function deleteEquipo(id) {
+    const db = await connectDB();
+    await db.collection('teams').deleteOne({ id: Number(id) });
+}
+
+export default {
+    getEquipos,
+    getEquipoById,
+    getEquipoByClave,
+    getEquiposDePersonaje,
+    getNextEquipoId,
+    addEquipo,
+    updateEquipo,
+    deleteEquipo
+};
@@ -0,0 +1,52 @@
+import { connectDB } from '../data/mongoClient.js';
+import counterRepository from './counterRepository.js';
+
+async function getTorneos() {
+    const db = await connectDB();
+    return db.collection('torneos').find({}, { projection: { _id: 0 } }).sort({ id: 1 }).toArray();
+}
+
+async function getTorneoById(id, session) {
+    const db = await connectDB();
+    return db.collection('torneos').findOne({ id: Number(id) }, { projection: { _id: 0 }, session });
+}
+
+async function getNextTorneoId() {
+    return await counterRepository.siguienteValor('torneos', 'torneos', 'id');
+}
+
+async function addTorneo(torneo) {
+    const db = await connectDB();
+    await db.collection('torneos').insertOne({ ...torneo });
+}
+
+async function updateTorneo(id, cambios) {
+    const db = await connectDB();
+    await db.collection('torneos').updateOne({ id: Number(id) }, { $set: cambios });
+}
+
+// Guardar el resultado de una partida solo si sigue lista para jugarse; devuelve false si otro proceso se adelantó
+async function registrarPartida(id, partidaId, cambios, session) {
+    const db = await connectDB();
+    const resultado = await db.collection('torneos').updateOne(
+        { id: Number(id), partidas: { $elemMatch: { id: Number(partidaId), estado: 'lista' } } },
+        { $set: cambios },
+        { session }
+    );
+    return resultado.modifiedCount === 1;
+}
+
+async function deleteTorneo(id) {
+    const db = await connectDB();
+    await db.collection('torneos').deleteOne({ id: Number(id) });
+}
+
+export default {
+    getTorneos,
+    getTorneoById,
+    getNextTorneoId,
+    addTorneo,
+    updateTorneo,
+    registrarPartida,
+    deleteTorneo
+};
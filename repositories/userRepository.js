@@ -5,6 +5,11 @@ async function getUsers() {
     return db.collection('users').find({}).toArray();
 }
 
+async function getUserByName(name) {
+    const db = await connectDB();
+    return db.collection('users').findOne({ name });
+}
+
 async function getUserById(id) {
     const db = await connectDB();
     return db.collection('users').findOne({ id: Number(id) });
@@ -31,6 +36,7 @@ async function deleteUser(id) {
 export default {
     getUsers,
     getUserById,
+    getUserByName,
     addUser,
     updateUser,
     deleteUser
@@ -0,0 +1,55 @@
+import abilityRepository from '../repositories/abilityRepository.js';
+
+const CAMPOS_TEXTO = ['nombre', 'efecto'];
+const CAMPOS_NUMERICOS = ['potencia', 'cooldown', 'nivelRequerido', 'duracion'];
+
+// Quedarse solo con los campos conocidos de una habilidad
+function limpiarHabilidad(datos) {
+    const habilidad = {};
+    for (const campo of CAMPOS_TEXTO) {
+        if (datos[campo] !== undefined) habilidad[campo] = datos[campo];
+    }
+    for (const campo of CAMPOS_NUMERICOS) {
+        if (datos[campo] !== undefined) habilidad[campo] = Number(datos[campo]);
+    }
+    return habilidad;
+}
+
+// Devuelve null si el personaje no existe
+async function getHabilidades(personajeId) {
+    return await abilityRepository.getHabilidades(personajeId);
+}
+
+async function addHabilidad(personajeId, datos) {
+    const habilidades = await abilityRepository.getHabilidades(personajeId);
+    if (habilidades === null) return null;
+    const newId = habilidades.length > 0 ? Math.max(...habilidades.map(h => h.id)) + 1 : 1;
+    const habilidad = { id: newId, cooldown: 0, nivelRequerido: 1, duracion: 1, ...limpiarHabilidad(datos) };
+    await abilityRepository.addHabilidad(personajeId, habilidad);
+    return habilidad;
+}
+
+async function updateHabilidad(personajeId, habilidadId, datos) {
+    const habilidades = await abilityRepository.getHabilidades(personajeId);
+    const actual = habilidades && habilidades.find(h => h.id === Number(habilidadId));
+    if (!actual) return null;
+    const cambios = limpiarHabilidad(datos);
+    if (Object.keys(cambios).length > 0) {
+        await abilityRepository.updateHabilidad(personajeId, habilidadId, cambios);
+    }
+    return { ...actual, ...cambios };
+}
+
+async function deleteHabilidad(personajeId, habilidadId) {
+    const habilidades = await abilityRepository.getHabilidades(personajeId);
+    if (!habilidades || !habilidades.some(h => h.id === Number(habilidadId))) return null;
+    await abilityRepository.deleteHabilidad(personajeId, habilidadId);
+    return { message: 'Habilidad eliminada' };
+}
+
+export default {
+    getHabilidades,
+    addHabilidad,
+    updateHabilidad,
+    deleteHabilidad
+};
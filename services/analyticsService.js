@@ -0,0 +1,52 @@
+import statsRepository from '../repositories/statsRepository.js';
+
+// Filtro por `createdAt`; si `hasta` es solo una fecha (AAAA-MM-DD) se incluye el día completo
+function filtroFechas({ desde, hasta }) {
+    if (!desde && !hasta) return {};
+    const createdAt = {};
+    if (desde) createdAt.$gte = new Date(desde);
+    if (hasta) {
+        const fin = new Date(hasta);
+        if (/^\d{4}-\d{2}-\d{2}$/.test(hasta)) {
+            fin.setUTCDate(fin.getUTCDate() + 1);
+            createdAt.$lt = fin;
+        } else {
+            createdAt.$lte = fin;
+        }
+    }
+    return { createdAt };
+}
+
+async function getTasaVictoriaPorTipo(fechas) {
+    return await statsRepository.getTasaVictoriaPorTipo(filtroFechas(fechas));
+}
+
+async function getTasaVictoriaPorCiudad(fechas, tipo) {
+    return await statsRepository.getTasaVictoriaPorCampo('ciudad', filtroFechas(fechas), tipo);
+}
+
+async function getTasaVictoriaPorEquipo(fechas, tipo) {
+    return await statsRepository.getTasaVictoriaPorCampo('equipo', filtroFechas(fechas), tipo);
+}
+
+async function getTasaVictoriaPorDiferenciaNivel(fechas) {
+    return await statsRepository.getTasaVictoriaPorDiferenciaNivel(filtroFechas(fechas));
+}
+
+async function getDistribucionDuracion(fechas) {
+    return await statsRepository.getDistribucionDuracion(filtroFechas(fechas));
+}
+
+async function getPeleasPorDia(fechas) {
+    return await statsRepository.getPeleasPorDia(filtroFechas(fechas));
+}
+
+export default {
+    filtroFechas,
+    getTasaVictoriaPorTipo,
+    getTasaVictoriaPorCiudad,
+    getTasaVictoriaPorEquipo,
+    getTasaVictoriaPorDiferenciaNivel,
+    getDistribucionDuracion,
+    getPeleasPorDia
+};
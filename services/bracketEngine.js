@@ -0,0 +1,227 @@
+// Generación y avance de los cuadros de torneo. Todo es síncrono y sin acceso a la base de datos:
+// las partidas son objetos planos que se guardan dentro del documento del torneo.
+//
+// Cada partida tiene dos lados. Un lado puede venir sembrado (personajeId fijo, o null si es un hueco)
+// o depender del resultado de otra partida (`origen`: su ganador o su perdedor). Cuando los dos lados
+// están definidos la partida pasa a 'lista'; si a uno le falta rival pasa a 'bye' y el otro avanza solo.
+
+const FORMATOS_TORNEO = ['eliminacionSimple', 'eliminacionDoble', 'todosContraTodos'];
+
+const ESTADOS_TERMINADOS = ['jugada', 'bye', 'omitida'];
+
+// Orden de siembra estándar: el cabeza de serie 1 solo puede cruzarse con el 2 en la final
+function ordenSiembra(tamano) {
+    let orden = [1];
+    while (orden.length < tamano) {
+        const suma = orden.length * 2 + 1;
+        orden = orden.flatMap(siembra => [siembra, suma - siembra]);
+    }
+    return orden;
+}
+
+function crearPartida(partidas, datos) {
+    const partida = { id: partidas.length + 1, estado: 'pendiente', ganadorId: null, perdedorId: null, fightId: null, ...datos };
+    partidas.push(partida);
+    return partida;
+}
+
+const sembrado = personajeId => ({ personajeId, origen: null });
+const desde = (partida, resultado) => ({ personajeId: null, origen: { partidaId: partida.id, resultado } });
+
+// Cuadro de eliminación; devuelve las partidas agrupadas por ronda
+function generarCuadroGanadores(partidas, ids) {
+    const tamano = Math.pow(2, Math.ceil(Math.log2(ids.length)));
+    const orden = ordenSiembra(tamano);
+    const participante = siembra => (siembra <= ids.length ? ids[siembra - 1] : null);
+    let ronda = [];
+    for (let i = 0; i < tamano; i += 2) {
+        ronda.push(crearPartida(partidas, {
+            llave: 'ganadores',
+            ronda: 1,
+            lados: [sembrado(participante(orden[i])), sembrado(participante(orden[i + 1]))]
+        }));
+    }
+    const rondas = [ronda];
+    while (ronda.length > 1) {
+        const anterior = ronda;
+        ronda = [];
+        for (let i = 0; i < anterior.length; i += 2) {
+            ronda.push(crearPartida(partidas, {
+                llave: 'ganadores',
+                ronda: rondas.length + 1,
+                lados: [desde(anterior[i], 'ganador'), desde(anterior[i + 1], 'ganador')]
+            }));
+        }
+        rondas.push(ronda);
+    }
+    return rondas;
+}
+
+// Cuadro de perdedores de la doble eliminación: alterna rondas entre supervivientes del propio cuadro
+// con rondas contra los que caen del cuadro de ganadores. Devuelve su final (o null si no hace falta).
+function generarCuadroPerdedores(partidas, rondasGanadores) {
+    if (rondasGanadores.length < 2) return null;
+    let numero = 1;
+    const emparejar = lados => {
+        const ronda = [];
+        for (let i = 0; i < lados.length; i += 2) {
+            ronda.push(crearPartida(partidas, { llave: 'perdedores', ronda: numero, lados: [lados[i], lados[i + 1]] }));
+        }
+        numero++;
+        return ronda;
+    };
+    let ronda = emparejar(rondasGanadores[0].map(p => desde(p, 'perdedor')));
+    for (let r = 1; r < rondasGanadores.length; r++) {
+        // Los que caen se cruzan en orden inverso para evitar revanchas inmediatas
+        const caen = rondasGanadores[r].map(p => desde(p, 'perdedor')).reverse();
+        ronda = ronda.map((p, i) => crearPartida(partidas, { llave: 'perdedores', ronda: numero, lados: [desde(p, 'ganador'), caen[i]] }));
+        numero++;
+        if (ronda.length > 1) ronda = emparejar(ronda.map(p => desde(p, 'ganador')));
+    }
+    return ronda[0];
+}
+
+// Liga a una vuelta por el método del círculo. Si no se permiten peleas entre personajes del mismo tipo
+// solo se programan los cruces entre superhéroes y villanos.
+function generarLiga(partidas, participantes, permitirMismoTipo) {
+    const lista = participantes.length % 2 === 0 ? [...participantes] : [...participantes, null];
+    for (let ronda = 1; ronda < lista.length; ronda++) {
+        for (let i = 0; i < lista.length / 2; i++) {
+            const a = lista[i];
+            const b = lista[lista.length - 1 - i];
+            if (!a || !b || (!permitirMismoTipo && a.tipo === b.tipo)) continue;
+            crearPartida(partidas, { llave: 'liga', ronda, lados: [sembrado(a.id), sembrado(b.id)] });
+        }
+        lista.splice(1, 0, lista.pop());
+    }
+}
+
+// Partidas iniciales de un torneo; `participantes` va en orden de siembra
+function generarPartidas(formato, participantes, permitirMismoTipo) {
+    const partidas = [];
+    const ids = participantes.map(p => p.id);
+    if (formato === 'todosContraTodos') {
+        generarLiga(partidas, participantes, permitirMismoTipo);
+    } else {
+        const rondasGanadores = generarCuadroGanadores(partidas, ids);
+        if (formato === 'eliminacionDoble') {
+            const finalGanadores = rondasGanadores[rondasGanadores.length - 1][0];
+            const finalPerdedores = generarCuadroPerdedores(partidas, rondasGanadores);
+            const granFinal = crearPartida(partidas, {
+                llave: 'final',
+                ronda: 1,
+                lados: [desde(finalGanadores, 'ganador'), finalPerdedores ? desde(finalPerdedores, 'ganador') : desde(finalGanadores, 'perdedor')]
+            });
+            // Solo se juega si gana la gran final quien llega desde el cuadro de perdedores
+            crearPartida(partidas, {
+                llave: 'final',
+                ronda: 2,
+                reinicio: true,
+                lados: [desde(granFinal, 'ganador'), desde(granFinal, 'perdedor')]
+            });
+        }
+    }
+    actualizarPartidas(partidas);
+    return partidas;
+}
+
+// Rellenar los lados de las partidas cuyos orígenes ya terminaron y resolver byes y reinicios,
+// repitiendo hasta que no haya más cambios
+function actualizarPartidas(partidas) {
+    const porId = new Map(partidas.map(p => [p.id, p]));
+    let cambios = true;
+    while (cambios) {
+        cambios = false;
+        for (const partida of partidas) {
+            if (partida.estado !== 'pendiente') continue;
+            const origenes = partida.lados.map(lado => (lado.origen ? porId.get(lado.origen.partidaId) : null));
+            if (origenes.some(o => o && !ESTADOS_TERMINADOS.includes(o.estado))) continue;
+            partida.lados.forEach((lado, i) => {
+                if (origenes[i]) lado.personajeId = lado.origen.resultado === 'ganador' ? origenes[i].ganadorId : origenes[i].perdedorId;
+            });
+            cambios = true;
+            if (partida.reinicio) {
+                const granFinal = origenes[0];
+                if (granFinal.estado !== 'jugada' || granFinal.ganadorId === granFinal.lados[0].personajeId) {
+                    Object.assign(partida, { estado: 'omitida', ganadorId: granFinal.ganadorId, perdedorId: granFinal.perdedorId });
+                    continue;
+                }
+            }
+            const [a, b] = partida.lados.map(lado => lado.personajeId);
+            if (a !== null && b !== null) {
+                partida.estado = 'lista';
+            } else {
+                Object.assign(partida, { estado: 'bye', ganadorId: a !== null ? a : b });
+            }
+        }
+    }
+}
+
+// Guardar el resultado de una partida y avanzar el cuadro
+function registrarResultado(partidas, partidaId, { ganadorId, perdedorId, fightId, vidaGanador }) {
+    const partida = partidas.find(p => p.id === partidaId);
+    Object.assign(partida, { estado: 'jugada', ganadorId, perdedorId, fightId, vidaGanador });
+    actualizarPartidas(partidas);
+    return partida;
+}
+
+function torneoTerminado(torneo) {
+    return torneo.partidas.every(p => ESTADOS_TERMINADOS.includes(p.estado));
+}
+
+// Clasificación: victorias, derrotas, vida restante acumulada en las victorias y si ya está eliminado.
+// El campeón va primero; el resto se ordena por victorias, derrotas, vida restante y siembra.
+function calcularClasificacion(torneo, campeonId) {
+    const derrotasParaEliminar = { eliminacionSimple: 1, eliminacionDoble: 2 }[torneo.formato];
+    const filas = new Map(torneo.participantes.map((p, i) => [p.id, {
+        id: p.id,
+        nombre: p.nombre,
+        tipo: p.tipo,
+        siembra: i + 1,
+        jugadas: 0,
+        victorias: 0,
+        derrotas: 0,
+        vidaRestante: 0,
+        eliminado: false
+    }]));
+    for (const partida of torneo.partidas) {
+        if (partida.estado !== 'jugada') continue;
+        const ganador = filas.get(partida.ganadorId);
+        const perdedor = filas.get(partida.perdedorId);
+        ganador.jugadas++;
+        ganador.victorias++;
+        ganador.vidaRestante += partida.vidaGanador || 0;
+        perdedor.jugadas++;
+        perdedor.derrotas++;
+    }
+    const clasificacion = [...filas.values()];
+    for (const fila of clasificacion) {
+        if (derrotasParaEliminar) fila.eliminado = fila.derrotas >= derrotasParaEliminar;
+    }
+    clasificacion.sort((a, b) =>
+        (b.id === campeonId) - (a.id === campeonId) ||
+        b.victorias - a.victorias ||
+        a.derrotas - b.derrotas ||
+        b.vidaRestante - a.vidaRestante ||
+        a.siembra - b.siembra);
+    return clasificacion.map((fila, i) => ({ posicion: i + 1, ...fila }));
+}
+
+// Campeón de un torneo terminado (null si aún no ha terminado)
+function getCampeonId(torneo) {
+    if (!torneoTerminado(torneo)) return null;
+    if (torneo.formato === 'todosContraTodos') {
+        const [primero] = calcularClasificacion(torneo, null);
+        return primero ? primero.id : null;
+    }
+    return torneo.partidas[torneo.partidas.length - 1].ganadorId;
+}
+
+export default {
+    FORMATOS_TORNEO,
+    generarPartidas,
+    registrarResultado,
+    torneoTerminado,
+    calcularClasificacion,
+    getCampeonId
+};
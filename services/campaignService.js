@@ -0,0 +1,202 @@
+import campaignRepository from '../repositories/campaignRepository.js';
+import itemRepository from '../repositories/itemRepository.js';
+import inventoryRepository from '../repositories/inventoryRepository.js';
+import inventoryService from './inventoryService.js';
+import progressionService from './progressionService.js';
+import personajeService from './heroService.js';
+import combatEngine from './combatEngine.js';
+import rulesService from './rulesService.js';
+
+async function getCampanas() {
+    return await campaignRepository.getCampanas();
+}
+
+async function getCampanaById(id) {
+    return await campaignRepository.getCampanaById(id);
+}
+
+// Crear una campaña; los oponentes deben ser villanos y los items de recompensa deben existir.
+// Devuelve { errores } si algún capítulo no es válido.
+async function addCampana({ nombre, descripcion, capitulos }, usuario) {
+    const personajes = await personajeService.getAllPersonajes();
+    const errores = [];
+    for (const [i, capitulo] of capitulos.entries()) {
+        const oponente = personajes.find(p => p.id === Number(capitulo.oponenteId));
+        if (!oponente) {
+            errores.push(`Capítulo ${i + 1}: el oponente ${capitulo.oponenteId} no existe`);
+        } else if (oponente.tipo !== 'villano') {
+            errores.push(`Capítulo ${i + 1}: el oponente ${oponente.nombre} no es un villano`);
+        }
+        const recompensa = capitulo.recompensa || {};
+        if (recompensa.itemId !== undefined && !await itemRepository.getItemById(recompensa.itemId)) {
+            errores.push(`Capítulo ${i + 1}: el item ${recompensa.itemId} no existe`);
+        }
+    }
+    if (errores.length > 0) return { errores };
+    const campana = {
+        id: await campaignRepository.getNextCampanaId(),
+        nombre,
+        descripcion: descripcion || '',
+        capitulos: capitulos.map((capitulo, i) => {
+            const recompensa = capitulo.recompensa || {};
+            return {
+                numero: i + 1,
+                nombre: capitulo.nombre || `Capítulo ${i + 1}`,
+                oponenteId: Number(capitulo.oponenteId),
+                nivelExtra: Number(capitulo.nivelExtra || 0),
+                descanso: Number(capitulo.descanso || 0),
+                recompensa: {
+                    experiencia: Number(recompensa.experiencia || 0),
+                    itemId: recompensa.itemId !== undefined ? Number(recompensa.itemId) : null
+                }
+            };
+        }),
+        creadaPor: usuario,
+        creadaEn: new Date()
+    };
+    await campaignRepository.addCampana(campana);
+    return { campana };
+}
+
+async function deleteCampana(id) {
+    const campana = await campaignRepository.getCampanaById(id);
+    if (!campana) return null;
+    await campaignRepository.deleteCampana(id);
+    return { message: 'Campaña eliminada' };
+}
+
+async function getProgreso(campana, usuario) {
+    return await campaignRepository.getProgreso(campana.id, usuario);
+}
+
+// Empezar (o reiniciar) la campaña con un superhéroe, con la vida llena y solo el primer capítulo desbloqueado.
+// Un progreso en curso solo se reemplaza si se pide `reiniciar`.
+async function iniciarProgreso(campana, heroeId, usuario, reiniciar) {
+    const actual = await campaignRepository.getProgreso(campana.id, usuario);
+    if (actual && actual.estado === 'en_curso' && !reiniciar) {
+        return { error: 'Ya tienes esta campaña en curso; envía reiniciar para empezar de nuevo', status: 409 };
+    }
+    const heroe = await personajeService.getPersonajeById(heroeId);
+    if (!heroe) return { error: 'Personaje no encontrado', status: 404 };
+    if (heroe.tipo !== 'superheroe') return { error: 'Las campañas se juegan con un superhéroe', status: 400 };
+    const reglas = await rulesService.getReglasActuales();
+    const progreso = {
+        campanaId: campana.id,
+        usuario,
+        heroeId: heroe.id,
+        heroe: heroe.nombre,
+        estado: 'en_curso',
+        capituloActual: 1,
+        vida: combatEngine.prepararCombatiente(heroe, reglas).getVidaMaxima(),
+        encuentros: [],
+        iniciadaEn: new Date(),
+        actualizadaEn: new Date()
+    };
+    await campaignRepository.guardarProgreso(progreso);
+    return { progreso };
+}
+
+// Oponente de un capítulo con `nivelExtra` niveles por encima de su nivel guardado y la vida llena
+function escalarOponente(personaje, nivelExtra, reglas) {
+    const sim = combatEngine.prepararCombatiente(personaje, reglas);
+    for (let i = 0; i < nivelExtra; i++) sim.subirNivel();
+    sim.vida = sim.getVidaMaxima();
+    return sim;
+}
+
+// Vida con la que el héroe empieza un capítulo: la que le quedaba (sin pasar de su vida máxima actual)
+// más el `descanso` del capítulo, un porcentaje de la vida máxima
+function vidaTrasDescanso(vida, vidaMaxima, descanso) {
+    return Math.min(vidaMaxima, Math.min(vida, vidaMaxima) + Math.round(vidaMaxima * descanso / 100));
+}
+
+// Guardar el progreso de un capítulo ganado junto con su recompensa (experiencia e item) en una sola transacción.
+// Cada héroe cobra la recompensa de un capítulo una sola vez: si lo vuelve a ganar tras reiniciar la campaña
+// no recibe nada. El item tampoco se da si el héroe ya lo tiene.
+async function guardarCapituloGanado(heroe, capitulo, progreso, encuentro) {
+    const { experiencia, itemId } = capitulo.recompensa;
+    const item = itemId !== null ? await itemRepository.getItemById(itemId) : null;
+    const { inventario } = await inventoryService.getInventario(heroe.id);
+    const origen = { campanaId: progreso.campanaId, capitulo: capitulo.numero };
+    await progressionService.registrarRecompensa(heroe, experiencia, origen, async (session, registro) => {
+        const darItem = registro !== null && item !== null && !inventario.some(i => i.id === item.id);
+        encuentro.recompensa = {
+            experiencia: registro ? experiencia : 0,
+            nivelAntes: registro ? registro.nivelAntes : heroe.nivel,
+            nivelDespues: heroe.nivel,
+            item: darItem ? item : null,
+            yaCobrada: registro === null
+        };
+        if (darItem) await inventoryRepository.addItemInventario(heroe.id, item, session);
+        await campaignRepository.guardarProgreso(progreso, session);
+    });
+}
+
+// Jugar el capítulo desbloqueado: descanso opcional, pelea con la vida que le queda al héroe y, si gana,
+// recompensa y siguiente capítulo. Si pierde, la campaña termina y hay que reiniciarla.
+async function jugarCapitulo(campana, usuario, seed) {
+    const progreso = await campaignRepository.getProgreso(campana.id, usuario);
+    if (!progreso) return { error: 'No has empezado esta campaña', status: 404 };
+    if (progreso.estado !== 'en_curso') {
+        return { error: `La campaña ya terminó (estado: ${progreso.estado})`, status: 400 };
+    }
+    const capitulo = campana.capitulos[progreso.capituloActual - 1];
+    const heroe = await personajeService.getPersonajeById(progreso.heroeId);
+    const oponente = await personajeService.getPersonajeById(capitulo.oponenteId);
+    if (!heroe || !oponente) return { error: 'El héroe o el oponente del capítulo ya no existen', status: 400 };
+
+    const reglas = await rulesService.getReglasActuales();
+    const simHeroe = combatEngine.prepararCombatiente(heroe, reglas);
+    const vidaMaxima = simHeroe.getVidaMaxima();
+    const vidaAntesDescanso = Math.min(progreso.vida, vidaMaxima);
+    simHeroe.vida = vidaTrasDescanso(progreso.vida, vidaMaxima, capitulo.descanso);
+    const vidaAntes = simHeroe.vida;
+    const simOponente = escalarOponente(oponente, capitulo.nivelExtra, reglas);
+    const { ganador, historia } = combatEngine.simularDuelo(simHeroe, simOponente, combatEngine.crearRng(seed));
+    // Un empate por máximo de turnos cuenta como derrota
+    const gano = ganador === simHeroe;
+
+    const encuentro = {
+        capitulo: capitulo.numero,
+        oponente: { id: oponente.id, nombre: oponente.nombre, nivel: simOponente.nivel },
+        gano,
+        descanso: vidaAntes - vidaAntesDescanso,
+        vidaAntes,
+        vidaDespues: Math.max(simHeroe.vida, 0),
+        turnos: historia.length,
+        seed,
+        reglasVersion: reglas.version,
+        fecha: new Date()
+    };
+    if (gano) {
+        progreso.vida = encuentro.vidaDespues;
+        if (capitulo.numero === campana.capitulos.length) {
+            progreso.estado = 'completada';
+        } else {
+            progreso.capituloActual = capitulo.numero + 1;
+        }
+    } else {
+        progreso.vida = 0;
+        progreso.estado = 'derrotado';
+    }
+    progreso.encuentros.push(encuentro);
+    progreso.actualizadaEn = new Date();
+    if (gano) {
+        await guardarCapituloGanado(heroe.setReglas(reglas), capitulo, progreso, encuentro);
+    } else {
+        await campaignRepository.guardarProgreso(progreso);
+    }
+    return { encuentro, historia, progreso };
+}
+
+export default {
+    getCampanas,
+    getCampanaById,
+    addCampana,
+    deleteCampana,
+    getProgreso,
+    iniciarProgreso,
+    escalarOponente,
+    vidaTrasDescanso,
+    jugarCapitulo
+};
@@ -0,0 +1,100 @@
+import cityRepository from '../repositories/cityRepository.js';
+import fightRepository from '../repositories/fightRepository.js';
+import personajeService from './heroService.js';
+import { INFLUENCIA_INICIAL, claveCiudad, calcularControl, aplicarVictoria } from '../models/Ciudad.js';
+
+const PELEAS_RECIENTES = 5;
+
+function resumenResidente(p) {
+    return { id: p.id, nombre: p.nombre, tipo: p.tipo, nivel: p.nivel };
+}
+
+async function peleasRecientes(ciudad) {
+    const peleas = await fightRepository.getFightsByCiudad(ciudad.nombre, PELEAS_RECIENTES);
+    return peleas.map(f => ({
+        fightId: f.fightId,
+        personaje1: f.personaje1.nombre,
+        personaje2: f.personaje2.nombre,
+        ganador: f.ganador,
+        createdAt: f.createdAt
+    }));
+}
+
+async function getCiudades() {
+    return await cityRepository.getCiudades();
+}
+
+async function findCiudad(nombre) {
+    return await cityRepository.getCiudadByClave(claveCiudad(nombre));
+}
+
+// Ciudad con sus residentes y sus últimas peleas; null si no está registrada
+async function getCiudad(nombre) {
+    const ciudad = await cityRepository.getCiudadByClave(claveCiudad(nombre));
+    if (!ciudad) return null;
+    const residentes = await personajeService.findPersonajesByCiudad(ciudad.nombre);
+    return {
+        ...ciudad,
+        residentes: residentes.map(resumenResidente),
+        peleasRecientes: await peleasRecientes(ciudad)
+    };
+}
+
+// Registrar una ciudad nueva (o devolver la existente); null si no hay nombre
+async function registrarCiudad(nombre) {
+    if (!nombre || !nombre.trim()) return null;
+    return await cityRepository.asegurarCiudad({
+        clave: claveCiudad(nombre),
+        nombre: nombre.trim(),
+        influencia: { ...INFLUENCIA_INICIAL },
+        controladaPor: calcularControl(INFLUENCIA_INICIAL),
+        creadaEn: new Date()
+    });
+}
+
+async function addCiudad(nombre) {
+    if (await cityRepository.getCiudadByClave(claveCiudad(nombre))) {
+        return { error: 'La ciudad ya existe', status: 409 };
+    }
+    return { ciudad: await registrarCiudad(nombre) };
+}
+
+// Mover la influencia de la ciudad donde se jugó una pelea (dentro de la transacción de la pelea)
+async function registrarVictoria(nombre, bandoGanador, bandoPerdedor, session) {
+    if (!nombre) return;
+    const ciudad = await cityRepository.getCiudadByClave(claveCiudad(nombre), session);
+    if (!ciudad) return;
+    const influencia = aplicarVictoria(ciudad.influencia, bandoGanador, bandoPerdedor);
+    await cityRepository.updateCiudad(ciudad.clave, {
+        influencia,
+        controladaPor: calcularControl(influencia),
+        actualizadaEn: new Date()
+    }, session);
+}
+
+// Mapa del mundo: cada ciudad con su control, residentes y últimas peleas, y el total por bando
+async function getMundo() {
+    const ciudades = await cityRepository.getCiudades();
+    const personajes = await personajeService.getAllPersonajes();
+    const mapa = [];
+    for (const ciudad of ciudades) {
+        mapa.push({
+            ...ciudad,
+            residentes: personajes.filter(p => p.ciudad && claveCiudad(p.ciudad) === ciudad.clave).map(resumenResidente),
+            peleasRecientes: await peleasRecientes(ciudad)
+        });
+    }
+    const control = { superheroe: 0, villano: 0, disputada: 0 };
+    for (const ciudad of ciudades) control[ciudad.controladaPor]++;
+    return { control, ciudades: mapa };
+}
+
+export default {
+    getCiudades,
+    findCiudad,
+    getCiudad,
+    registrarCiudad,
+    addCiudad,
+    registrarVictoria,
+    getMundo
+};
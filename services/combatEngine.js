@@ -0,0 +1,458 @@
+import { PORCENTAJE_ROBO_VIDA, PUNTOS_ROMPE_ESCUDO } from '../models/Habilidad.js';
+
+// Motor de combate compartido por todas las rutas de peleas.
+// Toda la aleatoriedad pasa por un generador con semilla para que una pelea
+// pueda reproducirse exactamente a partir de su semilla y sus participantes.
+
+// Generador pseudoaleatorio mulberry32: devuelve números en [0, 1)
+function crearRng(seed) {
+    let estado = Number(seed) >>> 0;
+    return function () {
+        estado = (estado + 0x6D2B79F5) >>> 0;
+        let t = estado;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Semilla nueva para peleas que no envían una
+function generarSemilla() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+// Clonar un personaje para simular sin tocar el original, con vida completa.
+// `reglas` es la versión del reglamento con la que se simula (por defecto la versión 1).
+function prepararCombatiente(personaje, reglas, sinergias = []) {
+    const sim = Object.assign(Object.create(Object.getPrototypeOf(personaje)), personaje);
+    if (reglas) sim.setReglas(reglas);
+    if (sinergias.length > 0) sim.setSinergias(sinergias);
+    sim.vida = sim.getVidaMaxima();
+    return sim;
+}
+
+// Elegir el ataque del turno: ultimate si está cargada; si el personaje tiene habilidades, una de ellas
+// (o un ataque básico/especial); si no, según las probabilidades del reglamento
+function elegirAtaque(atacante, rng) {
+    if (atacante.ultimateDisponible) {
+        return { tipoAtaque: 'ultimate', ataque: atacante.usarUltimate(), esUltimate: true };
+    }
+    if (atacante.habilidades && atacante.habilidades.length > 0) {
+        return elegirHabilidad(atacante, rng);
+    }
+    const { probabilidades, ataques } = atacante.getReglas();
+    const prob = rng();
+    if (prob < probabilidades.critico) {
+        const base = (rng() < ataques.probabilidadCriticoBasico) ? atacante.getAtaqueBasico() : atacante.getAtaqueEspecial();
+        return { tipoAtaque: 'critico', ataque: atacante.getAtaqueCritico(base), esUltimate: false };
+    }
+    if (prob < probabilidades.critico + probabilidades.especial) {
+        return { tipoAtaque: 'especial', ataque: atacante.getAtaqueEspecial(), esUltimate: false };
+    }
+    return { tipoAtaque: 'basico', ataque: atacante.getAtaqueBasico(), esUltimate: false };
+}
+
+// Con vida baja se prioriza una curación disponible; si no, se elige al azar entre
+// el ataque básico, el especial y las habilidades disponibles
+function elegirHabilidad(atacante, rng) {
+    const disponibles = atacante.getHabilidadesDisponibles();
+    const curacion = disponibles.find(h => h.efecto === 'curacion');
+    if (curacion && atacante.vida < atacante.getVidaMaxima() * 0.4) {
+        return { habilidad: curacion };
+    }
+    const utiles = disponibles.filter(h => !['curacion', 'regeneracion'].includes(h.efecto) || atacante.vida < atacante.getVidaMaxima());
+    const opciones = ['basico', 'especial', ...utiles];
+    const elegida = opciones[Math.floor(rng() * opciones.length)];
+    if (typeof elegida === 'object') return { habilidad: elegida };
+    return resolverAccion(atacante, elegida);
+}
+
+const ACCIONES = ['basico', 'especial', 'ultimate', 'habilidad'];
+
+// Formatos de pelea por equipos: relevos (1 vs 1 encadenados) o melee (todos a la vez)
+const FORMATOS_EQUIPO = ['relevos', 'melee'];
+
+// Límite de turnos de un duelo y de ciclos de una melee: si se alcanza, la pelea termina en empate.
+// Con el daño mínimo de 1 por ataque no debería alcanzarse, pero evita bucles sin fin si nadie hace daño.
+const MAXIMO_TURNOS_DUELO = 500;
+const MAXIMO_CICLOS_MELEE = 500;
+
+const RESULTADOS_EQUIPOS = {
+    superheroe: '¡Ganan los superhéroes!',
+    villano: '¡Ganan los villanos!',
+    empate: 'Empate'
+};
+
+// Resolver una acción elegida por un jugador (se valida antes que la ultimate o la habilidad estén disponibles)
+function resolverAccion(atacante, accion, habilidadId) {
+    if (accion === 'habilidad') {
+        return { habilidad: atacante.habilidades.find(h => h.id === habilidadId) };
+    }
+    if (accion === 'ultimate') {
+        return { tipoAtaque: 'ultimate', ataque: atacante.usarUltimate(), esUltimate: true };
+    }
+    if (accion === 'especial') {
+        return { tipoAtaque: 'especial', ataque: atacante.getAtaqueEspecial(), esUltimate: false };
+    }
+    return { tipoAtaque: 'basico', ataque: atacante.getAtaqueBasico(), esUltimate: false };
+}
+
+// Comprobar si un jugador puede elegir una habilidad antes de ejecutarTurno: como su turno aún no ha empezado,
+// el enfriamiento se mide como quedará tras iniciarTurno, igual que cuando la habilidad se elige al azar
+function habilidadDisponible(atacante, habilidadId) {
+    return atacante.getHabilidadesDisponibles(true).some(h => h.id === habilidadId);
+}
+
+const DESCRIPCIONES = {
+    ultimate: danio => `¡Ultimate! (${danio} daño, ignora escudo)`,
+    critico: danio => `Ataque crítico (${danio} daño)`,
+    especial: danio => `Ataque especial (${danio} daño)`,
+    basico: danio => `Ataque básico (${danio} daño)`
+};
+
+const DESCRIPCIONES_HABILIDAD = {
+    danio: e => `${e.danioBruto} daño`,
+    curacion: e => `recupera ${e.curacion.toFixed(2)} de vida`,
+    escudo: e => `+${e.habilidad.potencia} de escudo durante ${e.habilidad.duracion} turno(s)`,
+    aturdir: e => `${e.danioBruto} daño y aturde durante ${e.habilidad.duracion} turno(s)`,
+    roboVida: e => `${e.danioBruto} daño y recupera ${e.curacion.toFixed(2)} de vida`,
+    quemadura: e => `quema durante ${e.habilidad.duracion} turno(s) (${e.habilidad.potencia} daño por turno)`,
+    regeneracion: e => `regenera ${e.habilidad.potencia} de vida por turno durante ${e.habilidad.duracion} turno(s)`,
+    rompeEscudo: e => `anula el escudo durante ${e.habilidad.duracion} turno(s) y hace ${e.danioBruto} daño`
+};
+
+// Habilidades que solo afectan al propio atacante
+const HABILIDADES_PROPIAS = ['curacion', 'escudo', 'regeneracion'];
+
+// Texto de lo ocurrido al inicio del turno por los efectos de estado del atacante
+function renderizarInicioTurno(inicio, atacante) {
+    const partes = [];
+    if (inicio.danio > 0) partes.push(`${atacante.nombre} sufre ${inicio.danio.toFixed(2)} de daño por quemadura. `);
+    if (inicio.curacion > 0) partes.push(`${atacante.nombre} regenera ${inicio.curacion.toFixed(2)} de vida. `);
+    return partes.join('');
+}
+
+// Texto legible de un evento de turno (el formato histórico de `historia`)
+function renderizarEvento(evento, atacante, defensor) {
+    const vida = `(vida: ${evento.vidaAntes.toFixed(2)} → ${evento.vidaDespues.toFixed(2)})`;
+    const inicio = evento.inicioTurno ? renderizarInicioTurno(evento.inicioTurno, atacante) : '';
+    if (evento.tipoAtaque === 'caido') {
+        return `${inicio}${atacante.nombre} cae derrotado por la quemadura`;
+    }
+    if (evento.tipoAtaque === 'aturdido') {
+        return `${inicio}${atacante.nombre} está aturdido y pierde el turno`;
+    }
+    if (evento.tipoAtaque === 'habilidad') {
+        const desc = DESCRIPCIONES_HABILIDAD[evento.habilidad.efecto](evento);
+        if (HABILIDADES_PROPIAS.includes(evento.habilidad.efecto)) {
+            return `${inicio}${atacante.nombre} usa ${evento.habilidad.nombre}: ${desc}`;
+        }
+        return `${inicio}${atacante.nombre} usa ${evento.habilidad.nombre} contra ${defensor.nombre}: ${desc} ${vida}`;
+    }
+    const desc = DESCRIPCIONES[evento.tipoAtaque](evento.danioBruto);
+    const sinergias = evento.sinergias ? ` [sinergias: ${evento.sinergias.map(s => s.id).join(', ')}]` : '';
+    return `${inicio}${atacante.nombre} ataca a ${defensor.nombre}: ${desc} ${vida}${sinergias}`;
+}
+
+// Aplicar una habilidad y devolver los datos del evento que produce
+function aplicarHabilidad(atacante, defensor, habilidad) {
+    atacante.activarEnfriamiento(habilidad);
+    const { efecto, potencia, duracion = 1 } = habilidad;
+    let danioBruto = 0;
+    let reduccionEscudo = 0;
+    let curacion = 0;
+    if (efecto === 'curacion') {
+        curacion = atacante.curar(potencia);
+    } else if (efecto === 'escudo') {
+        atacante.aplicarEfecto('proteccion', potencia, duracion, atacante.id);
+    } else if (efecto === 'regeneracion') {
+        atacante.aplicarEfecto('regeneracion', potencia, duracion, atacante.id);
+    } else if (efecto === 'quemadura') {
+        defensor.aplicarEfecto('quemadura', potencia, duracion, atacante.id);
+    } else {
+        const vidaAntes = defensor.vida;
+        // La rotura de escudo se aplica antes del golpe para que este ya la aproveche
+        if (efecto === 'rompeEscudo') defensor.aplicarEfecto('rompeEscudo', PUNTOS_ROMPE_ESCUDO, duracion, atacante.id);
+        danioBruto = potencia;
+        reduccionEscudo = defensor.recibirDanio(potencia);
+        atacante.cargarUltimate(potencia);
+        if (efecto === 'aturdir') defensor.aplicarEfecto('aturdimiento', 0, duracion, atacante.id);
+        if (efecto === 'roboVida') curacion = atacante.curar((vidaAntes - defensor.vida) * PORCENTAJE_ROBO_VIDA);
+    }
+    return {
+        tipoAtaque: 'habilidad',
+        habilidad: { id: habilidad.id, nombre: habilidad.nombre, efecto, potencia, duracion },
+        danioBruto,
+        reduccionEscudo,
+        curacion
+    };
+}
+
+// Copia de los efectos de estado activos de un personaje para el registro de la pelea
+function efectosActivos(sim) {
+    return (sim.efectos || []).map(e => ({ ...e }));
+}
+
+// Sinergias de equipo que influyeron en un turno: las de ataque del atacante en los ataques (las
+// habilidades usan su potencia y no se bonifican) y las de escudo del defensor si el escudo redujo daño
+function sinergiasDelTurno(evento, atacante, defensor) {
+    const sinergias = [];
+    if (DESCRIPCIONES[evento.tipoAtaque] && evento.danioBruto > 0) {
+        for (const id of atacante.getSinergiasDe('ataque')) sinergias.push({ id, personajeId: atacante.id, estadistica: 'ataque' });
+    }
+    if (evento.reduccionEscudo > 0) {
+        for (const id of defensor.getSinergiasDe('escudo')) sinergias.push({ id, personajeId: defensor.id, estadistica: 'escudo' });
+    }
+    return sinergias;
+}
+
+// Ejecutar un ataque y devolver el evento estructurado del turno.
+// Primero se resuelven los efectos de estado del atacante: puede perder el turno
+// por aturdimiento o caer por una quemadura antes de actuar.
+// Si se indica `accion` se usa esa acción en lugar de elegir una al azar.
+function ejecutarTurno(atacante, defensor, rng, accion, habilidadId) {
+    const vidaAntes = defensor.vida;
+    const inicio = atacante.iniciarTurno();
+    let datos;
+    if (atacante.vida <= 0) {
+        datos = { tipoAtaque: 'caido', danioBruto: 0, reduccionEscudo: 0 };
+    } else if (inicio.aturdido) {
+        datos = { tipoAtaque: 'aturdido', danioBruto: 0, reduccionEscudo: 0 };
+    } else {
+        const decision = accion ? resolverAccion(atacante, accion, habilidadId) : elegirAtaque(atacante, rng);
+        if (decision.habilidad) {
+            datos = aplicarHabilidad(atacante, defensor, decision.habilidad);
+        } else {
+            const { tipoAtaque, ataque, esUltimate } = decision;
+            const reduccionEscudo = defensor.recibirDanio(ataque, esUltimate);
+            atacante.cargarUltimate(ataque);
+            datos = { tipoAtaque, danioBruto: ataque, reduccionEscudo };
+        }
+    }
+    const evento = {
+        atacanteId: atacante.id,
+        defensorId: defensor.id,
+        ...datos,
+        esUltimate: datos.tipoAtaque === 'ultimate',
+        vidaAntes,
+        vidaDespues: defensor.vida,
+        cargaUltimate: atacante.dañoUltimate,
+        ultimateDisponible: atacante.ultimateDisponible,
+        efectos: { atacante: efectosActivos(atacante), defensor: efectosActivos(defensor) }
+    };
+    if (inicio.danio > 0 || inicio.curacion > 0) {
+        evento.inicioTurno = { danio: inicio.danio, curacion: inicio.curacion, origenId: inicio.origenDanioId };
+    }
+    const sinergias = sinergiasDelTurno(evento, atacante, defensor);
+    if (sinergias.length > 0) evento.sinergias = sinergias;
+    evento.texto = renderizarEvento(evento, atacante, defensor);
+    return evento;
+}
+
+// Simular un duelo alternando turnos (empieza `primero`) hasta que uno llegue a 0 de vida.
+// Si se alcanza MAXIMO_TURNOS_DUELO con ambos en pie, es un empate: ganador y perdedor son null.
+function simularDuelo(primero, segundo, rng) {
+    const historia = [];
+    let turno = 0;
+    while (primero.vida > 0 && segundo.vida > 0) {
+        if (turno >= MAXIMO_TURNOS_DUELO) {
+            return { ganador: null, perdedor: null, empate: true, historia };
+        }
+        const atacante = turno % 2 === 0 ? primero : segundo;
+        const defensor = turno % 2 === 0 ? segundo : primero;
+        historia.push({ turno: turno + 1, ...ejecutarTurno(atacante, defensor, rng) });
+        turno++;
+    }
+    const ganador = primero.vida > 0 ? primero : segundo;
+    const perdedor = ganador === primero ? segundo : primero;
+    return { ganador, perdedor, empate: false, historia };
+}
+
+// Resumen inicial por luchador para una pelea por equipos
+function crearResumenLuchador(sim) {
+    return {
+        id: sim.id,
+        nombre: sim.nombre,
+        tipo: sim.tipo,
+        rondasGanadas: 0,
+        eliminaciones: 0,
+        danioInfligido: 0,
+        danioRecibido: 0,
+        ultimatesUsadas: 0,
+        vidaFinal: sim.vida,
+        cargaUltimate: sim.dañoUltimate,
+        eliminadoEnRonda: null,
+        equipamiento: sim.getEquipamiento()
+    };
+}
+
+// Sumar al resumen de los luchadores el daño y las ultimates de un evento
+// (la quemadura del inicio del turno cuenta para quien la aplicó)
+function acumularEvento(resumen, evento) {
+    const danio = evento.vidaAntes - evento.vidaDespues;
+    resumen.get(evento.atacanteId).danioInfligido += danio;
+    resumen.get(evento.defensorId).danioRecibido += danio;
+    if (evento.esUltimate) resumen.get(evento.atacanteId).ultimatesUsadas++;
+    if (evento.inicioTurno && evento.inicioTurno.danio > 0) {
+        resumen.get(evento.atacanteId).danioRecibido += evento.inicioTurno.danio;
+        const origen = resumen.get(evento.inicioTurno.origenId);
+        if (origen) origen.danioInfligido += evento.inicioTurno.danio;
+    }
+}
+
+// Copiar al resumen el estado con el que cada luchador termina la pelea
+function cerrarResumen(resumen, simulados) {
+    for (const sim of simulados) {
+        Object.assign(resumen.get(sim.id), { vidaFinal: sim.vida, cargaUltimate: sim.dañoUltimate });
+    }
+    return [...resumen.values()];
+}
+
+// Simular una pelea por relevos hasta que un equipo se quede sin luchadores.
+// La vida y la carga de ultimate se conservan entre rondas y el ganador de cada ronda sigue en pie.
+// Una ronda empatada elimina a ambos luchadores; si los dos equipos se quedan sin nadie, la pelea es un empate.
+function simularBatallaEquipos(heroes, villanos, rng, rondaInicial = 1) {
+    const resumen = new Map([...heroes, ...villanos].map(sim => [sim.id, crearResumenLuchador(sim)]));
+    const vivosHeroes = heroes.filter(sim => sim.vida > 0);
+    const vivosVillanos = villanos.filter(sim => sim.vida > 0);
+    const rondas = [];
+    let numero = rondaInicial;
+    while (vivosHeroes.length > 0 && vivosVillanos.length > 0) {
+        const heroe = vivosHeroes[0];
+        const villano = vivosVillanos[0];
+        const vidaInicial = { heroe: heroe.vida, villano: villano.vida };
+        const { ganador, perdedor, empate, historia } = simularDuelo(heroe, villano, rng);
+        historia.forEach(evento => acumularEvento(resumen, evento));
+        const ronda = {
+            ronda: numero,
+            heroe: heroe.nombre,
+            villano: villano.nombre,
+            heroeId: heroe.id,
+            villanoId: villano.id,
+            vidaInicial
+        };
+        if (empate) {
+            resumen.get(heroe.id).eliminadoEnRonda = numero;
+            resumen.get(villano.id).eliminadoEnRonda = numero;
+            vivosHeroes.shift();
+            vivosVillanos.shift();
+            Object.assign(ronda, { ganadorId: null, vidaRestante: null, turnos: historia.length, resultado: 'Ronda empatada', historia });
+        } else {
+            resumen.get(ganador.id).rondasGanadas++;
+            resumen.get(ganador.id).eliminaciones++;
+            resumen.get(perdedor.id).eliminadoEnRonda = numero;
+            (perdedor === heroe ? vivosHeroes : vivosVillanos).shift();
+            Object.assign(ronda, {
+                ganadorId: ganador.id,
+                vidaRestante: ganador.vida,
+                turnos: historia.length,
+                resultado: `${ganador.nombre} gana la ronda`,
+                historia
+            });
+        }
+        rondas.push(ronda);
+        numero++;
+    }
+    const resultado = vivosHeroes.length > 0
+        ? RESULTADOS_EQUIPOS.superheroe
+        : (vivosVillanos.length > 0 ? RESULTADOS_EQUIPOS.villano : RESULTADOS_EQUIPOS.empate);
+    return { resultado, rondas, luchadores: cerrarResumen(resumen, [...heroes, ...villanos]) };
+}
+
+function menorVida(enemigos) {
+    return enemigos.reduce((min, e) => (e.vida < min.vida ? e : min));
+}
+
+// Estrategias de selección de objetivo para el formato melee; cada una devuelve { objetivo, motivo }
+const ESTRATEGIAS = {
+    menorVida: ({ enemigos }) => {
+        const objetivo = menorVida(enemigos);
+        return { objetivo, motivo: `${objetivo.nombre} es el enemigo con menos vida` };
+    },
+    mayorNivel: ({ enemigos }) => {
+        const objetivo = enemigos.reduce((max, e) =>
+            (e.nivel > max.nivel || (e.nivel === max.nivel && e.vida < max.vida) ? e : max));
+        return { objetivo, motivo: `${objetivo.nombre} es el enemigo de mayor nivel` };
+    },
+    aleatorio: ({ enemigos, rng }) => {
+        const objetivo = enemigos[Math.floor(rng() * enemigos.length)];
+        return { objetivo, motivo: `${objetivo.nombre} elegido al azar` };
+    },
+    // Atacar a quien golpeó por última vez al aliado más débil; si nadie lo ha hecho, al enemigo con menos vida
+    protegerDebil: ({ aliados, enemigos, ultimoAtacante }) => {
+        const debil = menorVida(aliados);
+        const amenaza = enemigos.find(e => e.id === ultimoAtacante.get(debil.id));
+        if (amenaza) {
+            return { objetivo: amenaza, motivo: `${amenaza.nombre} atacó a ${debil.nombre}, el aliado más débil` };
+        }
+        return ESTRATEGIAS.menorVida({ enemigos });
+    }
+};
+
+// Simular un combate simultáneo: los luchadores actúan por orden de iniciativa (nivel + azar)
+// y cada bando elige a quién atacar con su estrategia hasta que un equipo queda sin luchadores
+// o se alcanza MAXIMO_CICLOS_MELEE (empate).
+function simularMelee(heroes, villanos, rng, estrategias) {
+    const todos = [...heroes, ...villanos];
+    const resumen = new Map(todos.map(sim => [sim.id, crearResumenLuchador(sim)]));
+    const vivos = tipo => todos.filter(sim => sim.tipo === tipo && sim.vida > 0);
+    const rival = tipo => (tipo === 'superheroe' ? 'villano' : 'superheroe');
+    const orden = todos
+        .map(sim => ({ sim, valor: sim.nivel + rng() }))
+        .sort((a, b) => b.valor - a.valor);
+    const iniciativa = orden.map(({ sim, valor }) => ({ id: sim.id, nombre: sim.nombre, valor }));
+    const ultimoAtacante = new Map();
+    const historia = [];
+    let ciclo = 1;
+    let turno = 1;
+    while (vivos('superheroe').length > 0 && vivos('villano').length > 0 && ciclo <= MAXIMO_CICLOS_MELEE) {
+        for (const { sim: atacante } of orden) {
+            const enemigos = vivos(rival(atacante.tipo));
+            if (atacante.vida <= 0 || enemigos.length === 0) continue;
+            const estrategia = estrategias[atacante.tipo];
+            const { objetivo, motivo } = ESTRATEGIAS[estrategia]({
+                aliados: vivos(atacante.tipo), enemigos, rng, ultimoAtacante
+            });
+            const evento = ejecutarTurno(atacante, objetivo, rng);
+            acumularEvento(resumen, evento);
+            if (evento.tipoAtaque === 'caido') {
+                const origen = resumen.get(evento.inicioTurno.origenId);
+                if (origen) origen.eliminaciones++;
+                resumen.get(atacante.id).eliminadoEnRonda = ciclo;
+            } else {
+                ultimoAtacante.set(objetivo.id, atacante.id);
+            }
+            if (objetivo.vida <= 0) {
+                resumen.get(atacante.id).eliminaciones++;
+                resumen.get(objetivo.id).eliminadoEnRonda = ciclo;
+            }
+            historia.push({ turno: turno++, ciclo, ...evento, objetivo: { estrategia, motivo } });
+        }
+        ciclo++;
+    }
+    const quedan = { superheroe: vivos('superheroe').length > 0, villano: vivos('villano').length > 0 };
+    let resultado = RESULTADOS_EQUIPOS.empate;
+    if (quedan.superheroe && !quedan.villano) resultado = RESULTADOS_EQUIPOS.superheroe;
+    if (quedan.villano && !quedan.superheroe) resultado = RESULTADOS_EQUIPOS.villano;
+    return { resultado, iniciativa, historia, luchadores: cerrarResumen(resumen, todos) };
+}
+
+export default {
+    ACCIONES,
+    FORMATOS_EQUIPO,
+    MAXIMO_TURNOS_DUELO,
+    MAXIMO_CICLOS_MELEE,
+    RESULTADOS_EQUIPOS,
+    ESTRATEGIAS,
+    crearRng,
+    generarSemilla,
+    prepararCombatiente,
+    elegirAtaque,
+    resolverAccion,
+    habilidadDisponible,
+    renderizarEvento,
+    ejecutarTurno,
+    simularDuelo,
+    simularBatallaEquipos,
+    simularMelee
+};
@@ -0,0 +1,72 @@
+import fightRepository from '../repositories/fightRepository.js';
+import combatEngine from './combatEngine.js';
+import progressionService from './progressionService.js';
+import rulesService from './rulesService.js';
+import cityService from './cityService.js';
+import ratingService from './ratingService.js';
+
+// Simular un 1 vs 1 con las reglas vigentes y guardarlo junto con la progresión de ambos personajes.
+// `datosPelea` se añade al documento de la pelea (por ejemplo, el torneo y la partida a la que pertenece).
+// La pelea se juega en `ciudad` o, si no se indica, en la ciudad de personaje1, y mueve su influencia.
+// Si se alcanza el máximo de turnos es un empate: no hay ganador ni perdedor y la ciudad no cambia.
+// `alGuardar(resultado, session)`, si se indica, se ejecuta en la misma transacción que guarda la pelea.
+async function simularPelea(personaje1, personaje2, seed, datosPelea = {}, ciudad = personaje1.ciudad, alGuardar = null) {
+    const lugar = await cityService.registrarCiudad(ciudad);
+    const nombreCiudad = lugar ? lugar.nombre : null;
+    const rng = combatEngine.crearRng(seed);
+    const reglas = await rulesService.getReglasActuales();
+    const sim1 = combatEngine.prepararCombatiente(personaje1, reglas);
+    const sim2 = combatEngine.prepararCombatiente(personaje2, reglas);
+    const { ganador, perdedor, empate, historia } = combatEngine.simularDuelo(sim1, sim2, rng);
+    const fightId = await fightRepository.getNextFightId();
+    const participantes = [sim1, sim2].map(sim => ({ sim, gano: !empate && sim.id === ganador.id }));
+    const progresion = await progressionService.registrarResultado(fightId, participantes, async session => {
+        await fightRepository.addFight({
+            fightId,
+            ...datosPelea,
+            ciudad: nombreCiudad,
+            personaje1: {
+                id: sim1.id,
+                nombre: sim1.nombre,
+                tipo: sim1.tipo,
+                equipamiento: sim1.getEquipamiento()
+            },
+            personaje2: {
+                id: sim2.id,
+                nombre: sim2.nombre,
+                tipo: sim2.tipo,
+                equipamiento: sim2.getEquipamiento()
+            },
+            ganador: empate ? null : ganador.nombre,
+            empate,
+            seed,
+            reglasVersion: reglas.version,
+            historia
+        }, session);
+        if (!empate) await cityService.registrarVictoria(nombreCiudad, ganador.tipo, perdedor.tipo, session);
+        if (alGuardar) await alGuardar({ fightId, sim1, sim2, ganador, perdedor, empate }, session);
+    });
+    return { fightId, sim1, sim2, ganador, perdedor, empate, reglas, progresion, historia, ciudad: nombreCiudad };
+}
+
+// Corregir el ganador de un 1 vs 1 terminado. Las estadísticas se calculan a partir de `ganador`, así que
+// se corrigen solas; los ratings se reconstruyen desde cero. La experiencia y la influencia en la ciudad
+// que se repartieron al jugar la pelea no se tocan. Devuelve { error, status } si no se puede corregir.
+async function corregirGanador(fightId, ganador) {
+    const fight = await fightRepository.getFightById(fightId);
+    if (!fight) return { error: 'Pelea no encontrada', status: 404 };
+    if (fight.rondas || fight.luchadores || fight.estado === 'en_curso') {
+        return { error: 'Solo se puede corregir el ganador de un 1 vs 1 terminado', status: 400 };
+    }
+    if (ganador !== fight.personaje1.nombre && ganador !== fight.personaje2.nombre) {
+        return { error: `El ganador debe ser ${fight.personaje1.nombre} o ${fight.personaje2.nombre}`, status: 400 };
+    }
+    await fightRepository.updateFight(fightId, { ganador, empate: false });
+    const ratings = await ratingService.reconstruirRatings();
+    return { fight: await fightRepository.getFightById(fightId), ratings };
+}
+
+export default {
+    simularPelea,
+    corregirGanador
+};
@@ -1,9 +1,18 @@
 import personajeRepository from '../repositories/heroRepository.js';
+import personajeMapper from '../repositories/personajeMapper.js';
+import teamRepository from '../repositories/teamRepository.js';
+import rulesService from './rulesService.js';
+import { ARQUETIPO_POR_DEFECTO } from '../models/Arquetipo.js';
+import { claveCiudad } from '../models/Ciudad.js';
 
 async function getAllPersonajes() {
     return await personajeRepository.getPersonajes();
 }
 
+async function getPersonajeById(id) {
+    return await personajeRepository.getPersonajeById(id);
+}
+
 async function addPersonaje(personaje) {
     if (!personaje.nombre || !personaje.tipo) {
         throw new Error("El personaje debe tener un nombre y un tipo.");
@@ -11,13 +20,41 @@ async function addPersonaje(personaje) {
     // Obtener el mayor id actual para asignar uno nuevo
     const personajes = await personajeRepository.getPersonajes();
     const newId = personajes.length > 0 ? Math.max(...personajes.map(p => p.id)) + 1 : 1;
-    const newPersonaje = { ...personaje, id: newId };
+    const { arquetipo = ARQUETIPO_POR_DEFECTO, ...datos } = personaje;
+    const newPersonaje = personajeMapper.toDomain({ ...datos, id: newId });
+    newPersonaje.setReglas(await rulesService.getReglasActuales()).cambiarArquetipo(arquetipo);
     await personajeRepository.addPersonaje(newPersonaje);
     return newPersonaje;
 }
 
-async function updatePersonaje(id, updatedPersonaje) {
-    await personajeRepository.updatePersonaje(id, updatedPersonaje);
+// Campos que se pueden editar desde la API; el resto (nivel, experiencia, inventario...) solo lo cambia el juego
+const CAMPOS_EDITABLES = ['nombre', 'ciudad', 'tipo', 'arquetipo'];
+
+// Devuelve { error, status } si el cambio rompe la facción de algún equipo del personaje
+async function updatePersonaje(id, cambios) {
+    let updatedPersonaje = Object.fromEntries(
+        CAMPOS_EDITABLES.filter(campo => cambios[campo] !== undefined).map(campo => [campo, cambios[campo]])
+    );
+    const actual = await personajeRepository.getPersonajeById(id);
+    // Los equipos son de una sola facción: quien está en uno no puede cambiar de tipo hasta que salga
+    if (actual && updatedPersonaje.tipo && updatedPersonaje.tipo !== actual.tipo) {
+        const equipos = await teamRepository.getEquiposDePersonaje(id);
+        if (equipos.length > 0) {
+            return {
+                error: `No se puede cambiar el tipo de un personaje que está en un equipo (${equipos.map(e => e.nombre).join(', ')})`,
+                status: 409
+            };
+        }
+    }
+    // Un cambio de arquetipo también cambia el escudo por nivel y la vida máxima (con las reglas vigentes)
+    if (actual && updatedPersonaje.arquetipo) {
+        actual.setReglas(await rulesService.getReglasActuales());
+        actual.cambiarArquetipo(updatedPersonaje.arquetipo);
+        updatedPersonaje = { ...updatedPersonaje, escudo: actual.escudo, vida: actual.vida };
+    }
+    if (Object.keys(updatedPersonaje).length > 0) {
+        await personajeRepository.updatePersonaje(id, updatedPersonaje);
+    }
     return await personajeRepository.getPersonajeById(id);
 }
 
@@ -28,7 +65,7 @@ async function deletePersonaje(id) {
 
 async function findPersonajesByCiudad(ciudad) {
     const personajes = await personajeRepository.getPersonajes();
-    return personajes.filter(p => p.ciudad && p.ciudad.toLowerCase() === ciudad.toLowerCase());
+    return personajes.filter(p => p.ciudad && claveCiudad(p.ciudad) === claveCiudad(ciudad));
 }
 
 async function findPersonajesByTipo(tipo) {
@@ -38,6 +75,7 @@ async function findPersonajesByTipo(tipo) {
 
 export default {
     getAllPersonajes,
+    getPersonajeById,
     addPersonaje,
     updatePersonaje,
     deletePersonaje,
@@ -0,0 +1,50 @@
+import inventoryRepository from '../repositories/inventoryRepository.js';
+import itemRepository from '../repositories/itemRepository.js';
+
+// Inventario de un personaje con los items equipados resueltos por ranura; null si el personaje no existe
+async function getInventario(personajeId) {
+    const datos = await inventoryRepository.getInventario(personajeId);
+    if (!datos) return null;
+    const equipados = {};
+    for (const [ranura, itemId] of Object.entries(datos.equipados)) {
+        equipados[ranura] = datos.inventario.find(i => i.id === itemId) || null;
+    }
+    return { inventario: datos.inventario, equipados };
+}
+
+// Añadir al inventario una copia del item del catálogo
+async function addItem(personajeId, itemId) {
+    const item = await itemRepository.getItemById(itemId);
+    if (!item) return null;
+    await inventoryRepository.addItemInventario(personajeId, item);
+    return item;
+}
+
+// Quitar un item del inventario, desequipándolo antes si estaba equipado
+async function deleteItem(personajeId, item) {
+    const { equipados } = await inventoryRepository.getInventario(personajeId);
+    if (equipados[item.ranura] === item.id) {
+        await inventoryRepository.desequiparRanura(personajeId, item.ranura);
+    }
+    await inventoryRepository.deleteItemInventario(personajeId, item.id);
+    return { message: 'Item eliminado del inventario' };
+}
+
+// Equipar un item en su ranura; sustituye al que hubiera en ella
+async function equiparItem(personajeId, item) {
+    await inventoryRepository.equiparItem(personajeId, item.ranura, item.id);
+    return await getInventario(personajeId);
+}
+
+async function desequiparItem(personajeId, item) {
+    await inventoryRepository.desequiparRanura(personajeId, item.ranura);
+    return await getInventario(personajeId);
+}
+
+export default {
+    getInventario,
+    addItem,
+    deleteItem,
+    equiparItem,
+    desequiparItem
+};
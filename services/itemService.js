@@ -0,0 +1,37 @@
+import itemRepository from '../repositories/itemRepository.js';
+
+async function getItems() {
+    return await itemRepository.getItems();
+}
+
+async function getItemById(id) {
+    return await itemRepository.getItemById(id);
+}
+
+async function addItem(datos) {
+    const items = await itemRepository.getItems();
+    const newId = items.length > 0 ? Math.max(...items.map(i => i.id)) + 1 : 1;
+    const item = {
+        id: newId,
+        nombre: datos.nombre,
+        ranura: datos.ranura,
+        bonificaciones: (datos.bonificaciones || []).map(({ estadistica, tipo, valor }) => ({ estadistica, tipo, valor: Number(valor) }))
+    };
+    await itemRepository.addItem(item);
+    return item;
+}
+
+// Los personajes que ya lo tienen conservan su copia en el inventario
+async function deleteItem(id) {
+    const item = await itemRepository.getItemById(id);
+    if (!item) return null;
+    await itemRepository.deleteItem(id);
+    return { message: 'Item eliminado' };
+}
+
+export default {
+    getItems,
+    getItemById,
+    addItem,
+    deleteItem
+};
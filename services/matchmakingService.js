@@ -0,0 +1,177 @@
+import matchmakingRepository from '../repositories/matchmakingRepository.js';
+import personajeService from './heroService.js';
+import combatEngine from './combatEngine.js';
+import fightService from './fightService.js';
+import fightRepository from '../repositories/fightRepository.js';
+import { RATING_INICIAL } from '../models/Rating.js';
+import { calcularRango, TIEMPO_MAXIMO_EMPAREJANDO_MS } from '../models/Emparejamiento.js';
+
+function diferencia(ticket, rival) {
+    return Math.abs(ticket[ticket.criterio] - rival[ticket.criterio]);
+}
+
+function conRango(ticket, ahora) {
+    if (ticket.estado !== 'esperando') return ticket;
+    return { ...ticket, rangoActual: calcularRango(ticket.criterio, ahora - new Date(ticket.creadoEn).getTime()) };
+}
+
+// Mejor rival para `ticket` entre los que esperan: tipo contrario, mismo criterio, de otro jugador (nadie
+// puede enfrentar a sus propios personajes) y diferencia dentro del rango del que más tiempo lleva esperando.
+// Gana el más parecido y, a igualdad, el más antiguo.
+function buscarRival(ticket, candidatos, ahora) {
+    let mejor = null;
+    for (const rival of candidatos) {
+        if (rival.tipo === ticket.tipo || rival.criterio !== ticket.criterio || rival.jugador === ticket.jugador) continue;
+        const rango = Math.max(conRango(ticket, ahora).rangoActual, conRango(rival, ahora).rangoActual);
+        const dif = diferencia(ticket, rival);
+        if (dif <= rango && (!mejor || dif < diferencia(ticket, mejor))) mejor = rival;
+    }
+    return mejor;
+}
+
+// Devolver un ticket reservado a la cola (o cancelarlo si su personaje ya no existe)
+async function liberar(ticket, personaje) {
+    const cambios = personaje
+        ? { estado: 'esperando' }
+        : { estado: 'cancelado', activo: false, motivo: 'El personaje ya no existe', canceladoEn: new Date() };
+    await matchmakingRepository.cambiarEstado(ticket.id, 'emparejando', cambios);
+}
+
+// Cerrar un ticket reservado con la pelea que jugó contra `rival` ({ id, nombre } del personaje rival)
+async function marcarEmparejado(ticketId, rival, fightId, ganador, emparejadoEn) {
+    await matchmakingRepository.cambiarEstado(ticketId, 'emparejando', {
+        estado: 'emparejado',
+        activo: false,
+        rivalId: rival.id,
+        rivalNombre: rival.nombre,
+        fightId,
+        ganador,
+        emparejadoEn
+    });
+}
+
+// Reservar los dos tickets, simular la pelea y marcar ambos como emparejados.
+// Devuelve null si alguno ya no estaba esperando o su personaje fue eliminado.
+async function emparejar(ticket, rival) {
+    const reserva = { estado: 'emparejando', reservadoEn: new Date() };
+    if (!await matchmakingRepository.cambiarEstado(ticket.id, 'esperando', reserva)) return null;
+    if (!await matchmakingRepository.cambiarEstado(rival.id, 'esperando', reserva)) {
+        await liberar(ticket, true);
+        return null;
+    }
+    const personaje1 = await personajeService.getPersonajeById(ticket.personajeId);
+    const personaje2 = await personajeService.getPersonajeById(rival.personajeId);
+    if (!personaje1 || !personaje2) {
+        await liberar(ticket, personaje1);
+        await liberar(rival, personaje2);
+        return null;
+    }
+    let pelea;
+    try {
+        pelea = await fightService.simularPelea(personaje1, personaje2, combatEngine.generarSemilla(), {
+            emparejamiento: [ticket.id, rival.id]
+        });
+    } catch (err) {
+        await liberar(ticket, true);
+        await liberar(rival, true);
+        throw err;
+    }
+    const emparejadoEn = new Date();
+    const ganador = pelea.empate ? null : pelea.ganador.nombre;
+    for (const [propio, otro] of [[ticket, rival], [rival, ticket]]) {
+        await marcarEmparejado(propio.id, { id: otro.personajeId, nombre: otro.nombre }, pelea.fightId, ganador, emparejadoEn);
+    }
+    return pelea.fightId;
+}
+
+// Recuperar los tickets que se quedaron emparejando más de TIEMPO_MAXIMO_EMPAREJANDO_MS: si su pelea llegó
+// a guardarse se cierran con ella (no se vuelve a pelear ni a repartir experiencia) y, si no, vuelven a esperar
+async function recuperarAtascados(ahora) {
+    const atascados = await matchmakingRepository.getTicketsEmparejandoDesde(new Date(ahora - TIEMPO_MAXIMO_EMPAREJANDO_MS));
+    for (const ticket of atascados) {
+        const pelea = await fightRepository.getFightByTicket(ticket.id);
+        if (!pelea) {
+            await matchmakingRepository.cambiarEstado(ticket.id, 'emparejando', { estado: 'esperando' });
+            continue;
+        }
+        const rival = pelea.personaje1.id === ticket.personajeId ? pelea.personaje2 : pelea.personaje1;
+        await marcarEmparejado(ticket.id, rival, pelea.fightId, pelea.ganador, pelea.createdAt);
+    }
+}
+
+// Recorrer la cola del ticket más antiguo al más nuevo y pelear todas las parejas posibles.
+// Se ejecuta en cada alta y con POST /matchmaking/process, así que el rango de los que esperan crece entre llamadas.
+async function procesarCola(ahora = Date.now()) {
+    await recuperarAtascados(ahora);
+    let pendientes = await matchmakingRepository.getTicketsEsperando();
+    const peleas = [];
+    while (pendientes.length > 1) {
+        const [ticket, ...resto] = pendientes;
+        const rival = buscarRival(ticket, resto, ahora);
+        if (!rival) {
+            pendientes = resto;
+            continue;
+        }
+        const fightId = await emparejar(ticket, rival);
+        if (fightId !== null) peleas.push(fightId);
+        pendientes = resto.filter(t => t.id !== rival.id);
+    }
+    return peleas;
+}
+
+// Las consultas no emparejan: solo muestran el estado de la cola
+async function getCola() {
+    const ahora = Date.now();
+    return (await matchmakingRepository.getTicketsEsperando()).map(t => conRango(t, ahora));
+}
+
+async function getTicket(id) {
+    const ticket = await matchmakingRepository.getTicketById(id);
+    return ticket ? conRango(ticket, Date.now()) : null;
+}
+
+// Poner un personaje en la cola y procesarla. Devuelve { error, status } si no existe o ya tiene un ticket activo.
+async function encolar(personajeId, criterio, jugador) {
+    const personaje = await personajeService.getPersonajeById(personajeId);
+    if (!personaje) return { error: 'Personaje no encontrado', status: 404 };
+    const yaEnCola = { error: 'El personaje ya está en la cola', status: 409 };
+    if (await matchmakingRepository.getTicketActivoDePersonaje(personaje.id)) return yaEnCola;
+    const ticket = {
+        id: await matchmakingRepository.getNextTicketId(),
+        personajeId: personaje.id,
+        nombre: personaje.nombre,
+        tipo: personaje.tipo,
+        nivel: personaje.nivel,
+        rating: personaje.rating !== undefined ? personaje.rating : RATING_INICIAL,
+        criterio,
+        jugador,
+        estado: 'esperando',
+        activo: true,
+        creadoEn: new Date(),
+        rivalId: null,
+        fightId: null
+    };
+    // El índice único de tickets activos resuelve las altas simultáneas del mismo personaje
+    if (!await matchmakingRepository.addTicket(ticket)) return yaEnCola;
+    await procesarCola();
+    return { ticket: await getTicket(ticket.id) };
+}
+
+// Sacar de la cola un ticket que sigue esperando; solo puede hacerlo quien lo creó
+async function cancelar(id, jugador) {
+    const ticket = await matchmakingRepository.getTicketById(id);
+    if (!ticket) return { error: 'Ticket no encontrado', status: 404 };
+    if (ticket.jugador !== jugador) return { error: 'No puedes cancelar un ticket de otro jugador', status: 403 };
+    const cancelado = await matchmakingRepository.cambiarEstado(ticket.id, 'esperando', { estado: 'cancelado', activo: false, canceladoEn: new Date() });
+    if (!cancelado) return { error: `El ticket ya no está esperando (estado: ${ticket.estado})`, status: 400 };
+    return { ticket: await matchmakingRepository.getTicketById(id) };
+}
+
+export default {
+    buscarRival,
+    procesarCola,
+    getCola,
+    getTicket,
+    encolar,
+    cancelar
+};
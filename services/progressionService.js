@@ -0,0 +1,133 @@
+import { withTransaction } from '../data/mongoClient.js';
+import heroRepository from '../repositories/heroRepository.js';
+import progressionRepository from '../repositories/progressionRepository.js';
+import { calcularElo } from '../models/Rating.js';
+
+// Otorgar experiencia a un combatiente simulado y devolver el registro de progresión
+function otorgarExperiencia(sim, gano, fightId) {
+    const nivelAntes = sim.nivel;
+    const { experienciaGanador, experienciaPerdedor } = sim.getReglas().progresion;
+    const experienciaGanada = gano ? experienciaGanador : experienciaPerdedor;
+    sim.ganarExperiencia(experienciaGanada);
+    return {
+        personajeId: sim.id,
+        fightId,
+        experienciaGanada,
+        nivelAntes,
+        nivelDespues: sim.nivel,
+        experiencia: sim.experiencia,
+        fecha: new Date()
+    };
+}
+
+// Actualizar el rating Elo del ganador y el perdedor de un 1 vs 1 y devolver el cambio de cada uno por id
+function actualizarRatings(participantes) {
+    const ganador = participantes.find(p => p.gano);
+    const perdedor = participantes.find(p => !p.gano);
+    const cambios = new Map();
+    if (participantes.length !== 2 || !ganador || !perdedor) return cambios;
+    const nuevos = calcularElo(ganador.sim.rating, perdedor.sim.rating);
+    for (const [{ sim }, ratingDespues] of [[ganador, nuevos.ganador], [perdedor, nuevos.perdedor]]) {
+        cambios.set(sim.id, { ratingAntes: sim.rating, ratingDespues });
+        sim.rating = ratingDespues;
+    }
+    return cambios;
+}
+
+// Campos de progresión que se releen dentro de la transacción antes de sumar experiencia y rating
+const CAMPOS_PROGRESO = ['nivel', 'experiencia', 'escudo', 'umbralUltimate', 'rating'];
+
+// Partir de la progresión guardada en la base de datos y no de la leída antes de la pelea: si otra pelea del
+// mismo personaje terminó entretanto no se pierde su experiencia ni su rating, y si termina a la vez las dos
+// transacciones chocan y la que se reintenta vuelve a leerla
+async function cargarProgreso(sim, session) {
+    const guardado = await heroRepository.getPersonajeById(sim.id, session);
+    if (!guardado) return;
+    for (const campo of CAMPOS_PROGRESO) sim[campo] = guardado[campo];
+}
+
+// Guardar el nivel, la experiencia y el estado de la ultimate de un personaje dentro de una transacción
+async function guardarPersonaje(sim, session) {
+    await heroRepository.updatePersonaje(sim.id, {
+        nivel: sim.nivel,
+        experiencia: sim.experiencia,
+        escudo: sim.escudo,
+        dañoUltimate: sim.dañoUltimate,
+        umbralUltimate: sim.umbralUltimate,
+        ultimateDisponible: sim.ultimateDisponible,
+        rating: sim.rating
+    }, session);
+}
+
+// Guardar la pelea (con `guardarPelea`) y la progresión de sus participantes en una sola transacción.
+// `participantes` es una lista de { sim, gano }; devuelve los registros de progresión creados.
+async function registrarResultado(fightId, participantes, guardarPelea) {
+    return await withTransaction(async (db, session) => {
+        for (const { sim } of participantes) {
+            await cargarProgreso(sim, session);
+        }
+        const ratings = actualizarRatings(participantes);
+        const registros = participantes.map(({ sim, gano }) => ({
+            ...otorgarExperiencia(sim, gano, fightId),
+            ...ratings.get(sim.id)
+        }));
+        await guardarPelea(session);
+        for (const { sim } of participantes) {
+            await guardarPersonaje(sim, session);
+        }
+        for (const registro of registros) {
+            await progressionRepository.addRegistro(registro, session);
+        }
+        return registros;
+    });
+}
+
+// Dar experiencia fuera de una pelea y guardarla, con lo que haga `guardar(session, registro)`, en una sola
+// transacción. `origen` identifica la recompensa en el registro (por ejemplo { campanaId, capitulo }) y cada
+// personaje la cobra una sola vez: si ya la cobró no gana nada y `guardar` recibe registro null.
+async function registrarRecompensa(personaje, experiencia, origen, guardar) {
+    const vida = personaje.vida;
+    return await withTransaction(async (db, session) => {
+        // La transacción puede reintentarse, así que cada intento parte del personaje guardado sin la recompensa
+        personaje.vida = vida;
+        await cargarProgreso(personaje, session);
+        const nivelAntes = personaje.nivel;
+        let registro = null;
+        if (!await progressionRepository.getRegistro({ personajeId: personaje.id, ...origen }, session)) {
+            personaje.ganarExperiencia(experiencia);
+            registro = {
+                personajeId: personaje.id,
+                fightId: null,
+                ...origen,
+                experienciaGanada: experiencia,
+                nivelAntes,
+                nivelDespues: personaje.nivel,
+                experiencia: personaje.experiencia,
+                fecha: new Date()
+            };
+            await guardarPersonaje(personaje, session);
+            await progressionRepository.addRegistro(registro, session);
+        }
+        await guardar(session, registro);
+        return registro;
+    });
+}
+
+// Historial de progresión de un personaje con las fechas en que alcanzó cada nivel
+async function getProgresion(personajeId) {
+    const registros = await progressionRepository.getRegistrosByPersonaje(personajeId);
+    const niveles = [];
+    for (const r of registros) {
+        for (let nivel = r.nivelAntes + 1; nivel <= r.nivelDespues; nivel++) {
+            niveles.push({ nivel, fightId: r.fightId, fecha: r.fecha });
+        }
+    }
+    return { registros, niveles };
+}
+
+export default {
+    otorgarExperiencia,
+    registrarResultado,
+    registrarRecompensa,
+    getProgresion
+};
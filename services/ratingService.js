@@ -0,0 +1,66 @@
+import { withTransaction } from '../data/mongoClient.js';
+import fightRepository from '../repositories/fightRepository.js';
+import ratingRepository from '../repositories/ratingRepository.js';
+import teamRepository from '../repositories/teamRepository.js';
+import { RATING_INICIAL, calcularElo } from '../models/Rating.js';
+import { claveEquipo } from '../models/Equipo.js';
+
+function escaparRegex(texto) {
+    return texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Clasificación por rating con filtros opcionales por tipo, ciudad y equipo (ambos sin distinguir mayúsculas)
+async function getLeaderboard({ tipo, ciudad, equipo }, page, limit) {
+    const filtro = {};
+    if (tipo) filtro.tipo = tipo;
+    if (ciudad) filtro.ciudad = { $regex: `^${escaparRegex(ciudad)}$`, $options: 'i' };
+    if (equipo) {
+        const encontrado = await teamRepository.getEquipoByClave(claveEquipo(equipo));
+        filtro.id = { $in: encontrado ? encontrado.miembros : [] };
+    }
+    const skip = (page - 1) * limit;
+    const { total, data } = await ratingRepository.getRanking(filtro, skip, limit);
+    return {
+        total,
+        page,
+        limit,
+        data: data.map((p, i) => ({ posicion: skip + i + 1, ...p }))
+    };
+}
+
+// Ganador y perdedor de una pelea 1 vs 1 terminada; null si la pelea no cuenta para el rating
+// (peleas por equipos o interactivas sin terminar)
+function resultadoPelea(fight) {
+    if (!fight.personaje1 || !fight.personaje2 || !fight.ganador || fight.rondas || fight.luchadores) return null;
+    if (fight.ganador === fight.personaje1.nombre) return { ganadorId: fight.personaje1.id, perdedorId: fight.personaje2.id };
+    if (fight.ganador === fight.personaje2.nombre) return { ganadorId: fight.personaje2.id, perdedorId: fight.personaje1.id };
+    return null;
+}
+
+// Recalcular todos los ratings desde cero repitiendo las peleas 1 vs 1 en orden de fightId
+async function reconstruirRatings() {
+    const fights = (await fightRepository.getFights()).sort((a, b) => a.fightId - b.fightId);
+    const ratings = new Map();
+    const rating = id => (ratings.has(id) ? ratings.get(id) : RATING_INICIAL);
+    let peleas = 0;
+    for (const fight of fights) {
+        const resultado = resultadoPelea(fight);
+        if (!resultado) continue;
+        const nuevos = calcularElo(rating(resultado.ganadorId), rating(resultado.perdedorId));
+        ratings.set(resultado.ganadorId, nuevos.ganador);
+        ratings.set(resultado.perdedorId, nuevos.perdedor);
+        peleas++;
+    }
+    await withTransaction(async (db, session) => {
+        await ratingRepository.reiniciarRatings(session);
+        for (const [id, valor] of ratings) {
+            await ratingRepository.setRating(id, valor, session);
+        }
+    });
+    return { peleas, personajes: ratings.size };
+}
+
+export default {
+    getLeaderboard,
+    reconstruirRatings
+};
@@ -0,0 +1,119 @@
+import rulesRepository from '../repositories/rulesRepository.js';
+import { REGLAS_POR_DEFECTO } from '../models/Reglas.js';
+import { ARQUETIPOS } from '../models/Arquetipo.js';
+
+const SECCIONES = ['probabilidades', 'ataques', 'progresion'];
+const ATAQUES_CON_DANIO = ['basico', 'especial', 'ultimate'];
+// El arquetipo que más escudo gana por nivel, para comprobar que ningún personaje llegue al 100%
+const MAXIMO_ESCUDO_ARQUETIPO = Math.max(...Object.values(ARQUETIPOS).map(a => a.escudoPorNivel));
+
+// Reglas vigentes: la última versión guardada o, si no hay ninguna, las de por defecto
+async function getReglasActuales() {
+    return (await rulesRepository.getUltimaVersion()) || REGLAS_POR_DEFECTO;
+}
+
+// Reglas de una versión concreta (la versión 1 existe siempre aunque no esté guardada)
+async function getReglasVersion(version) {
+    const reglas = await rulesRepository.getVersion(version);
+    if (reglas) return reglas;
+    return Number(version) === REGLAS_POR_DEFECTO.version ? REGLAS_POR_DEFECTO : null;
+}
+
+async function getVersiones() {
+    const versiones = await rulesRepository.getVersiones();
+    if (!versiones.some(v => v.version === REGLAS_POR_DEFECTO.version)) {
+        versiones.unshift({ version: REGLAS_POR_DEFECTO.version, creadoEn: null, creadoPor: null });
+    }
+    return versiones;
+}
+
+// Aplicar cambios parciales sobre unas reglas; solo se tienen en cuenta las secciones conocidas
+function combinarReglas(actuales, cambios = {}) {
+    const combinadas = structuredClone({ ...actuales });
+    for (const seccion of SECCIONES) {
+        const cambiosSeccion = cambios[seccion];
+        if (!cambiosSeccion || typeof cambiosSeccion !== 'object') continue;
+        for (const [clave, valor] of Object.entries(cambiosSeccion)) {
+            if (!(clave in combinadas[seccion])) continue;
+            if (typeof combinadas[seccion][clave] === 'object' && valor && typeof valor === 'object' && !Array.isArray(valor)) {
+                Object.assign(combinadas[seccion][clave], valor);
+            } else {
+                combinadas[seccion][clave] = valor;
+            }
+        }
+    }
+    return combinadas;
+}
+
+// Devolver la lista de errores de unas reglas (vacía si son válidas).
+// La forma de las reglas por defecto indica qué valores deben ser objetos y cuáles números.
+function validarReglas(reglas) {
+    const errores = [];
+    let incompletas = false;
+    const numeros = (obj, forma, ruta) => {
+        for (const [clave, esperado] of Object.entries(forma)) {
+            const valor = obj[clave];
+            const rutaValor = ruta ? `${ruta}.${clave}` : clave;
+            if (typeof esperado === 'object') {
+                if (valor && typeof valor === 'object' && !Array.isArray(valor)) numeros(valor, esperado, rutaValor);
+                else {
+                    errores.push(`${rutaValor} debe ser un objeto`);
+                    incompletas = true;
+                }
+            } else if (typeof valor !== 'number' || !Number.isFinite(valor) || valor < 0) {
+                errores.push(`${rutaValor} debe ser un número mayor o igual a 0`);
+            }
+        }
+    };
+    numeros(reglas, Object.fromEntries(SECCIONES.map(seccion => [seccion, REGLAS_POR_DEFECTO[seccion]])), '');
+    // Las comprobaciones siguientes leen dentro de cada sección y de cada ataque
+    if (incompletas) return errores;
+    const { critico, especial, basico } = reglas.probabilidades;
+    if (Math.abs(critico + especial + basico - 1) > 1e-9) {
+        errores.push('Las probabilidades de crítico, especial y básico deben sumar 1');
+    }
+    if (reglas.ataques.probabilidadCriticoBasico > 1) {
+        errores.push('ataques.probabilidadCriticoBasico debe estar entre 0 y 1');
+    }
+    // Cada ataque debe hacer daño desde el nivel 1 y el crítico no puede quedar por debajo de su ataque base
+    for (const tipo of ATAQUES_CON_DANIO) {
+        if (!(reglas.ataques[tipo].base > 0)) {
+            errores.push(`ataques.${tipo}.base debe ser mayor a 0`);
+        }
+    }
+    if (reglas.ataques.multiplicadorCritico < 1) {
+        errores.push('ataques.multiplicadorCritico debe ser mayor o igual a 1');
+    }
+    const { nivelMaximo, experienciaPorNivel, escudoPorNivel } = reglas.progresion;
+    if (!Number.isInteger(nivelMaximo) || nivelMaximo < 1) {
+        errores.push('progresion.nivelMaximo debe ser un entero mayor a 0');
+    }
+    if (experienciaPorNivel <= 0) {
+        errores.push('progresion.experienciaPorNivel debe ser mayor a 0');
+    }
+    if ((nivelMaximo - 1) * escudoPorNivel * MAXIMO_ESCUDO_ARQUETIPO >= 100) {
+        errores.push('progresion.escudoPorNivel no puede llevar el escudo al 100% en el nivel máximo');
+    }
+    return errores;
+}
+
+// Guardar unas reglas como nueva versión; la versión por defecto se guarda antes si aún no existe
+async function publicarReglas(reglas, usuario) {
+    const ultima = await rulesRepository.getUltimaVersion();
+    if (!ultima) {
+        await rulesRepository.addVersion({ ...REGLAS_POR_DEFECTO, creadoEn: null, creadoPor: null });
+    }
+    const version = await rulesRepository.getNextVersion();
+    const nuevas = { ...reglas, version, creadoEn: new Date(), creadoPor: usuario };
+    await rulesRepository.addVersion(nuevas);
+    return nuevas;
+}
+
+export default {
+    getReglasActuales,
+    getReglasVersion,
+    getVersiones,
+    combinarReglas,
+    validarReglas,
+    publicarReglas
+};
@@ -0,0 +1,133 @@
+import combatEngine from './combatEngine.js';
+
+// Valor en el percentil `p` (0-1) de una lista ya ordenada
+function percentil(ordenados, p) {
+    if (ordenados.length === 0) return 0;
+    return ordenados[Math.max(0, Math.ceil(p * ordenados.length) - 1)];
+}
+
+// Acumulador de estadísticas comunes a todas las simulaciones
+function crearEstadisticas() {
+    return {
+        duraciones: [],
+        ataques: {},
+        ultimates: 0,
+        peleasConUltimate: 0
+    };
+}
+
+function registrarPelea(estadisticas, eventos) {
+    estadisticas.duraciones.push(eventos.length);
+    let huboUltimate = false;
+    for (const evento of eventos) {
+        const tipo = estadisticas.ataques[evento.tipoAtaque] || (estadisticas.ataques[evento.tipoAtaque] = { usos: 0, danio: 0 });
+        tipo.usos++;
+        tipo.danio += evento.vidaAntes - evento.vidaDespues;
+        if (evento.inicioTurno && evento.inicioTurno.danio > 0) {
+            const quemadura = estadisticas.ataques.quemadura || (estadisticas.ataques.quemadura = { usos: 0, danio: 0 });
+            quemadura.usos++;
+            quemadura.danio += evento.inicioTurno.danio;
+        }
+        if (evento.esUltimate) {
+            estadisticas.ultimates++;
+            huboUltimate = true;
+        }
+    }
+    if (huboUltimate) estadisticas.peleasConUltimate++;
+}
+
+function resumirEstadisticas(estadisticas, runs) {
+    const ordenadas = [...estadisticas.duraciones].sort((a, b) => a - b);
+    const danioPorTipo = {};
+    for (const [tipo, { usos, danio }] of Object.entries(estadisticas.ataques)) {
+        danioPorTipo[tipo] = { usos, danioMedio: usos > 0 ? danio / usos : 0 };
+    }
+    return {
+        duracion: {
+            media: ordenadas.reduce((a, b) => a + b, 0) / runs,
+            min: ordenadas[0],
+            p50: percentil(ordenadas, 0.5),
+            p90: percentil(ordenadas, 0.9),
+            p99: percentil(ordenadas, 0.99),
+            max: ordenadas[ordenadas.length - 1]
+        },
+        danioPorTipo,
+        ultimates: {
+            usosPorPelea: estadisticas.ultimates / runs,
+            tasaPeleasConUltimate: estadisticas.peleasConUltimate / runs
+        }
+    };
+}
+
+// Peleas que se simulan seguidas antes de dejar que el servidor atienda otras peticiones
+const PELEAS_POR_TANDA = 250;
+
+// Ejecutar `simular` `runs` veces, cediendo el event loop entre tandas
+async function repetir(runs, simular) {
+    for (let i = 0; i < runs; i++) {
+        if (i > 0 && i % PELEAS_POR_TANDA === 0) await new Promise(resolve => setImmediate(resolve));
+        simular();
+    }
+}
+
+// Repetir un 1 vs 1 `runs` veces sin guardar nada
+async function simularEnfrentamiento(personaje1, personaje2, runs, rng, reglas) {
+    const estadisticas = crearEstadisticas();
+    let victorias1 = 0;
+    let empates = 0;
+    await repetir(runs, () => {
+        const sim1 = combatEngine.prepararCombatiente(personaje1, reglas);
+        const sim2 = combatEngine.prepararCombatiente(personaje2, reglas);
+        const { ganador, empate, historia } = combatEngine.simularDuelo(sim1, sim2, rng);
+        if (empate) empates++;
+        else if (ganador === sim1) victorias1++;
+        registrarPelea(estadisticas, historia);
+    });
+    return {
+        formato: '1v1',
+        runs,
+        probabilidadVictoria: {
+            personaje1: { id: personaje1.id, nombre: personaje1.nombre, probabilidad: victorias1 / runs },
+            personaje2: { id: personaje2.id, nombre: personaje2.nombre, probabilidad: (runs - victorias1 - empates) / runs },
+            empate: empates / runs
+        },
+        ...resumirEstadisticas(estadisticas, runs)
+    };
+}
+
+// Repetir una pelea por equipos `runs` veces sin guardar nada (formato relevos o melee)
+async function simularEquipos(heroes, villanos, runs, rng, { formato = 'relevos', estrategias, reglas, sinergias = {} } = {}) {
+    const estadisticas = crearEstadisticas();
+    let victoriasHeroes = 0;
+    let empates = 0;
+    await repetir(runs, () => {
+        const simHeroes = heroes.map(p => combatEngine.prepararCombatiente(p, reglas, sinergias.superheroe));
+        const simVillanos = villanos.map(p => combatEngine.prepararCombatiente(p, reglas, sinergias.villano));
+        let resultado, eventos;
+        if (formato === 'melee') {
+            ({ resultado, historia: eventos } = combatEngine.simularMelee(simHeroes, simVillanos, rng, estrategias));
+        } else {
+            const batalla = combatEngine.simularBatallaEquipos(simHeroes, simVillanos, rng);
+            resultado = batalla.resultado;
+            eventos = batalla.rondas.flatMap(r => r.historia);
+        }
+        if (resultado === combatEngine.RESULTADOS_EQUIPOS.superheroe) victoriasHeroes++;
+        else if (resultado === combatEngine.RESULTADOS_EQUIPOS.empate) empates++;
+        registrarPelea(estadisticas, eventos);
+    });
+    return {
+        formato,
+        runs,
+        probabilidadVictoria: {
+            superheroes: victoriasHeroes / runs,
+            villanos: (runs - victoriasHeroes - empates) / runs,
+            empate: empates / runs
+        },
+        ...resumirEstadisticas(estadisticas, runs)
+    };
+}
+
+export default {
+    simularEnfrentamiento,
+    simularEquipos
+};
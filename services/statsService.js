@@ -0,0 +1,90 @@
+import statsRepository from '../repositories/statsRepository.js';
+import personajeService from './heroService.js';
+import teamService from './teamService.js';
+
+// Resultados que se muestran en la forma reciente de un equipo
+const PELEAS_FORMA_RECIENTE = 5;
+
+// Estadísticas de las peleas 1 vs 1 de un personaje; null si no existe
+async function getEstadisticasPersonaje(id) {
+    const personaje = await personajeService.getPersonajeById(id);
+    if (!personaje) return null;
+    const stats = await statsRepository.getEstadisticasPersonaje(personaje.id);
+    if (!stats) {
+        return {
+            personajeId: personaje.id,
+            nombre: personaje.nombre,
+            peleas: 0,
+            victorias: 0,
+            derrotas: 0,
+            tasaVictoria: 0,
+            duracionMedia: 0,
+            danioHecho: 0,
+            danioRecibido: 0,
+            ultimates: 0,
+            rachaActual: null
+        };
+    }
+    const { racha, ...resto } = stats;
+    return {
+        personajeId: personaje.id,
+        nombre: personaje.nombre,
+        ...resto,
+        rachaActual: { tipo: racha.gano ? 'victorias' : 'derrotas', cantidad: racha.cantidad }
+    };
+}
+
+// Historial entre dos personajes; null si alguno no existe
+async function getEnfrentamientos(id1, id2) {
+    const personaje1 = await personajeService.getPersonajeById(id1);
+    const personaje2 = await personajeService.getPersonajeById(id2);
+    if (!personaje1 || !personaje2) return null;
+    const { total, victorias1, victorias2, peleas } = await statsRepository.getEnfrentamientos(personaje1.id, personaje2.id);
+    return {
+        personaje1: { id: personaje1.id, nombre: personaje1.nombre, victorias: victorias1 },
+        personaje2: { id: personaje2.id, nombre: personaje2.nombre, victorias: victorias2 },
+        total,
+        peleas
+    };
+}
+
+// Estadísticas de las peleas por equipos de un equipo (por id o nombre); null si no existe
+async function getEstadisticasEquipo(referencia) {
+    const equipo = await teamService.resolverEquipo(referencia);
+    if (!equipo) return null;
+    const stats = await statsRepository.getEstadisticasEquipo(equipo.id, PELEAS_FORMA_RECIENTE);
+    return {
+        equipoId: equipo.id,
+        nombre: equipo.nombre,
+        faccion: equipo.faccion,
+        ...(stats || {
+            peleas: 0,
+            victorias: 0,
+            derrotas: 0,
+            tasaVictoria: 0,
+            rondasGanadas: 0,
+            eliminaciones: 0,
+            formaReciente: [],
+            mvp: null
+        })
+    };
+}
+
+// Clasificación de equipos por sus peleas por equipos, opcionalmente de una sola facción
+async function getRankingEquipos(faccion, page, limit) {
+    const skip = (page - 1) * limit;
+    const { total, data } = await statsRepository.getRankingEquipos(faccion, skip, limit);
+    return {
+        total,
+        page,
+        limit,
+        data: data.map((e, i) => ({ posicion: skip + i + 1, ...e }))
+    };
+}
+
+export default {
+    getEstadisticasPersonaje,
+    getEnfrentamientos,
+    getEstadisticasEquipo,
+    getRankingEquipos
+};
@@ -0,0 +1,221 @@
+import teamRepository from '../repositories/teamRepository.js';
+import personajeService from './heroService.js';
+import { FACCIONES, TAMANO_POR_DEFECTO, TAMANO_MAXIMO, claveEquipo, validarNombreEquipo } from '../models/Equipo.js';
+import { FORMATOS_BATALLA, comprobarFormato } from '../models/FormatoBatalla.js';
+import { sinergiasActivas } from '../models/Sinergia.js';
+
+function resumenIntegrante(p) {
+    return { id: p.id, nombre: p.nombre, tipo: p.tipo, nivel: p.nivel };
+}
+
+// Equipo con el capitán, los integrantes (en el orden de la plantilla) y las sinergias activas
+function conIntegrantes(equipo, personajes) {
+    const integrantes = equipo.miembros.map(id => personajes.find(p => p.id === id)).filter(Boolean);
+    const capitan = integrantes.find(p => p.id === equipo.capitanId);
+    return {
+        ...equipo,
+        capitan: capitan ? resumenIntegrante(capitan) : null,
+        integrantes: integrantes.map(resumenIntegrante),
+        sinergias: sinergiasActivas(equipo, integrantes)
+    };
+}
+
+// Error de una plantilla (personajes inexistentes, repetidos, de otra facción o demasiados) o null si es válida
+function validarPlantilla(ids, faccion, tamano, personajes) {
+    if (new Set(ids).size !== ids.length) return 'Los integrantes no pueden repetirse';
+    const faltan = ids.filter(id => !personajes.some(p => p.id === id));
+    if (faltan.length > 0) return `No existen los personajes: ${faltan.join(', ')}`;
+    const otros = ids.map(id => personajes.find(p => p.id === id)).filter(p => p.tipo !== faccion);
+    if (otros.length > 0) return `${otros.map(p => p.nombre).join(', ')} no son de la facción ${faccion}`;
+    if (ids.length > tamano) return `El equipo admite como máximo ${tamano} integrantes`;
+    return null;
+}
+
+// Error ({ error, regla, status }) si la plantilla no encaja en el formato de batalla del equipo, o null.
+// Mientras la plantilla no esté completa solo se comprueban las reglas que no dependen de los que faltan.
+function validarFormatoEquipo(formatoBatalla, ids, tamano, personajes) {
+    if (!formatoBatalla) return null;
+    if (!FORMATOS_BATALLA[formatoBatalla]) {
+        return { error: `formatoBatalla debe ser uno de: ${Object.keys(FORMATOS_BATALLA).join(', ')}`, status: 400 };
+    }
+    if (tamano !== FORMATOS_BATALLA[formatoBatalla].integrantes) {
+        return {
+            error: `El formato ${formatoBatalla} requiere un tamaño de ${FORMATOS_BATALLA[formatoBatalla].integrantes} integrantes`,
+            regla: 'integrantes',
+            status: 400
+        };
+    }
+    const integrantes = ids.map(id => personajes.find(p => p.id === id));
+    const fallo = comprobarFormato(formatoBatalla, integrantes, ids.length === tamano);
+    return fallo ? { ...fallo, status: 400 } : null;
+}
+
+// Nueva plantilla con el historial actualizado: se cierra la membresía de quien sale y se abre la de quien entra.
+// Si el capitán sale, pasa a serlo el primer integrante.
+function aplicarPlantilla(equipo, ids, personajes, fecha) {
+    const historial = equipo.historial.map(h =>
+        (h.salida === null && !ids.includes(h.personajeId) ? { ...h, salida: fecha } : h));
+    for (const id of ids) {
+        if (!equipo.miembros.includes(id)) {
+            historial.push({ personajeId: id, nombre: personajes.find(p => p.id === id).nombre, entrada: fecha, salida: null });
+        }
+    }
+    const capitanId = ids.includes(equipo.capitanId) ? equipo.capitanId : (ids.length > 0 ? ids[0] : null);
+    return { miembros: ids, historial, capitanId };
+}
+
+async function getEquipos(page, limit) {
+    const equipos = await teamRepository.getEquipos();
+    const personajes = await personajeService.getAllPersonajes();
+    const start = (page - 1) * limit;
+    return {
+        totalEquipos: equipos.length,
+        totalPages: Math.ceil(equipos.length / limit),
+        page,
+        equipos: equipos.slice(start, start + limit).map(e => conIntegrantes(e, personajes))
+    };
+}
+
+// Buscar un equipo por id (número) o por nombre
+async function resolverEquipo(referencia) {
+    if (Number.isInteger(referencia) || /^\d+$/.test(String(referencia))) {
+        return await teamRepository.getEquipoById(referencia);
+    }
+    return await teamRepository.getEquipoByClave(claveEquipo(String(referencia)));
+}
+
+async function getEquipo(referencia) {
+    const equipo = await resolverEquipo(referencia);
+    if (!equipo) return null;
+    return conIntegrantes(equipo, await personajeService.getAllPersonajes());
+}
+
+// Crear un equipo. Sin facción se toma la del primer integrante y sin capitán lo es el primer integrante.
+// Con un formato de batalla, el tamaño por defecto es el del formato y la plantilla debe cumplir sus reglas.
+async function crearEquipo({ nombre, faccion, tamano, ids = [], capitanId, formatoBatalla }) {
+    if (tamano === undefined) {
+        tamano = formatoBatalla && FORMATOS_BATALLA[formatoBatalla] ? FORMATOS_BATALLA[formatoBatalla].integrantes : TAMANO_POR_DEFECTO;
+    }
+    const errorNombre = validarNombreEquipo(nombre);
+    if (errorNombre) return { error: errorNombre, status: 400 };
+    if (await teamRepository.getEquipoByClave(claveEquipo(nombre))) {
+        return { error: `Ya existe un equipo llamado ${nombre}`, status: 409 };
+    }
+    const personajes = await personajeService.getAllPersonajes();
+    if (!faccion) {
+        const primero = personajes.find(p => p.id === ids[0]);
+        if (!primero) return { error: 'Indica la facción o al menos un integrante existente', status: 400 };
+        faccion = primero.tipo;
+    }
+    if (!FACCIONES.includes(faccion)) return { error: `La facción debe ser una de: ${FACCIONES.join(', ')}`, status: 400 };
+    const error = validarPlantilla(ids, faccion, tamano, personajes);
+    if (error) return { error, status: 400 };
+    const errorFormato = validarFormatoEquipo(formatoBatalla, ids, tamano, personajes);
+    if (errorFormato) return errorFormato;
+    if (capitanId !== undefined && !ids.includes(capitanId)) {
+        return { error: 'El capitán debe ser uno de los integrantes', status: 400 };
+    }
+    const ahora = new Date();
+    const vacio = { miembros: [], historial: [], capitanId: null };
+    const equipo = {
+        id: await teamRepository.getNextEquipoId(),
+        nombre: nombre.trim(),
+        clave: claveEquipo(nombre),
+        faccion,
+        tamano,
+        formatoBatalla: formatoBatalla || null,
+        ...aplicarPlantilla(vacio, ids, personajes, ahora),
+        creadoEn: ahora
+    };
+    if (capitanId !== undefined) equipo.capitanId = capitanId;
+    await teamRepository.addEquipo(equipo);
+    return { equipo: conIntegrantes(equipo, personajes) };
+}
+
+// Cambiar nombre, tamaño, capitán, formato de batalla (null lo quita) o plantilla completa de un equipo
+async function actualizarEquipo(equipo, { nombre, tamano, capitanId, ids, formatoBatalla }) {
+    const cambios = {};
+    if (nombre !== undefined && claveEquipo(nombre) !== equipo.clave) {
+        const errorNombre = validarNombreEquipo(nombre);
+        if (errorNombre) return { error: errorNombre, status: 400 };
+        if (await teamRepository.getEquipoByClave(claveEquipo(nombre))) {
+            return { error: `Ya existe un equipo llamado ${nombre}`, status: 409 };
+        }
+        Object.assign(cambios, { nombre: nombre.trim(), clave: claveEquipo(nombre) });
+    }
+    const personajes = await personajeService.getAllPersonajes();
+    const formatoFinal = formatoBatalla !== undefined ? formatoBatalla : (equipo.formatoBatalla || null);
+    let tamanoFinal = tamano !== undefined ? tamano : equipo.tamano;
+    if (tamano === undefined && formatoBatalla && FORMATOS_BATALLA[formatoBatalla]) {
+        tamanoFinal = FORMATOS_BATALLA[formatoBatalla].integrantes;
+    }
+    const miembros = ids !== undefined ? ids : equipo.miembros;
+    const error = validarPlantilla(miembros, equipo.faccion, tamanoFinal, personajes);
+    if (error) return { error, status: 400 };
+    const errorFormato = validarFormatoEquipo(formatoFinal, miembros, tamanoFinal, personajes);
+    if (errorFormato) return errorFormato;
+    Object.assign(cambios, { tamano: tamanoFinal, formatoBatalla: formatoFinal });
+    if (ids !== undefined) Object.assign(cambios, aplicarPlantilla(equipo, ids, personajes, new Date()));
+    if (capitanId !== undefined) {
+        if (!miembros.includes(capitanId)) return { error: 'El capitán debe ser uno de los integrantes', status: 400 };
+        cambios.capitanId = capitanId;
+    }
+    await teamRepository.updateEquipo(equipo.id, cambios);
+    return { equipo: conIntegrantes({ ...equipo, ...cambios }, personajes) };
+}
+
+async function agregarMiembro(equipo, personajeId) {
+    if (equipo.miembros.includes(personajeId)) return { error: 'El personaje ya es integrante del equipo', status: 400 };
+    return await actualizarEquipo(equipo, { ids: [...equipo.miembros, personajeId] });
+}
+
+async function quitarMiembro(equipo, personajeId) {
+    if (!equipo.miembros.includes(personajeId)) return { error: 'El personaje no es integrante del equipo', status: 404 };
+    return await actualizarEquipo(equipo, { ids: equipo.miembros.filter(id => id !== personajeId) });
+}
+
+async function deleteEquipo(equipo) {
+    await teamRepository.deleteEquipo(equipo.id);
+    return { message: 'Equipo eliminado exitosamente' };
+}
+
+// Equipo, integrantes (personajes completos) y sinergias activas listos para una pelea;
+// { error } si no existe o no es de la facción
+async function getPlantillaParaPelea(referencia, faccion) {
+    const equipo = await resolverEquipo(referencia);
+    if (!equipo) return { error: `El equipo ${referencia} no existe` };
+    if (equipo.faccion !== faccion) return { error: `${equipo.nombre} no es un equipo de la facción ${faccion}` };
+    const personajes = await personajeService.getAllPersonajes();
+    const integrantes = equipo.miembros.map(id => personajes.find(p => p.id === id)).filter(Boolean);
+    return { equipo, integrantes, sinergias: sinergiasActivas(equipo, integrantes) };
+}
+
+// Formato de batalla de una pelea entre dos plantillas: el pedido o, si no se pide ninguno, el que tenga
+// asignado alguno de los equipos. Sin formato no se aplica ninguna regla de plantilla ({ formatoBatalla: null }).
+// Devuelve { formatoBatalla } si ambas plantillas cumplen todas sus reglas, o { error, regla } con la
+// primera regla que incumple alguno de los equipos.
+function comprobarEnfrentamiento(plantillaHeroes, plantillaVillanos, pedido) {
+    const formatoBatalla = pedido || plantillaHeroes.equipo.formatoBatalla || plantillaVillanos.equipo.formatoBatalla;
+    if (!formatoBatalla) return { formatoBatalla: null };
+    if (!FORMATOS_BATALLA[formatoBatalla]) {
+        return { error: `formatoBatalla debe ser uno de: ${Object.keys(FORMATOS_BATALLA).join(', ')}` };
+    }
+    for (const { equipo, integrantes } of [plantillaHeroes, plantillaVillanos]) {
+        const fallo = comprobarFormato(formatoBatalla, integrantes);
+        if (fallo) return { error: `${equipo.nombre}: ${fallo.error}`, regla: fallo.regla };
+    }
+    return { formatoBatalla };
+}
+
+export default {
+    getEquipos,
+    resolverEquipo,
+    getEquipo,
+    crearEquipo,
+    actualizarEquipo,
+    agregarMiembro,
+    quitarMiembro,
+    deleteEquipo,
+    getPlantillaParaPelea,
+    comprobarEnfrentamiento
+};
@@ -0,0 +1,172 @@
+import tournamentRepository from '../repositories/tournamentRepository.js';
+import personajeService from './heroService.js';
+import fightService from './fightService.js';
+import bracketEngine from './bracketEngine.js';
+import combatEngine from './combatEngine.js';
+
+// Comprobar los datos de un torneo nuevo; devuelve la lista de errores (vacía si es válido)
+function validarTorneo(formato, participantes, permitirMismoTipo) {
+    const errores = [];
+    const tipos = participantes.map(p => p.tipo);
+    if (formato === 'todosContraTodos' && !permitirMismoTipo
+        && !(tipos.includes('superheroe') && tipos.includes('villano'))) {
+        errores.push('Sin permitirMismoTipo la liga necesita al menos un superhéroe y un villano');
+    }
+    if (formato !== 'todosContraTodos' && !permitirMismoTipo) {
+        // Se comprueban los cruces de la primera ronda tal como quedan sembrados en el cuadro
+        const tipoDe = new Map(participantes.map(p => [p.id, p.tipo]));
+        for (const partida of bracketEngine.generarPartidas(formato, participantes, permitirMismoTipo)) {
+            const ids = partida.lados.filter(l => !l.origen).map(l => l.personajeId);
+            if (ids.length === 2 && ids.every(id => id !== null) && tipoDe.get(ids[0]) === tipoDe.get(ids[1])) {
+                const [a, b] = ids.map(id => participantes.find(p => p.id === id).nombre);
+                errores.push(`En la primera ronda se cruzan ${a} y ${b}, del mismo tipo; cambia el orden de siembra o envía permitirMismoTipo: true`);
+            }
+        }
+    }
+    return errores;
+}
+
+async function getTorneos() {
+    return await tournamentRepository.getTorneos();
+}
+
+async function getTorneoById(id) {
+    return await tournamentRepository.getTorneoById(id);
+}
+
+// Crear un torneo con su cuadro o calendario. `ids` va en orden de siembra.
+// Devuelve { errores } si los participantes o el formato no son válidos.
+async function addTorneo({ nombre, formato, ids, permitirMismoTipo = false }, usuario) {
+    const personajes = await personajeService.getAllPersonajes();
+    const faltan = ids.filter(id => !personajes.some(p => p.id === id));
+    if (faltan.length > 0) {
+        return { errores: [`No existen los personajes: ${faltan.join(', ')}`] };
+    }
+    const participantes = ids.map(id => {
+        const { nombre: nombrePersonaje, tipo } = personajes.find(p => p.id === id);
+        return { id, nombre: nombrePersonaje, tipo };
+    });
+    const errores = validarTorneo(formato, participantes, permitirMismoTipo);
+    if (errores.length > 0) return { errores };
+    const torneo = {
+        id: await tournamentRepository.getNextTorneoId(),
+        nombre,
+        formato,
+        permitirMismoTipo,
+        participantes,
+        estado: 'en_curso',
+        campeonId: null,
+        partidas: bracketEngine.generarPartidas(formato, participantes, permitirMismoTipo),
+        creadoPor: usuario,
+        creadoEn: new Date()
+    };
+    torneo.campeonId = bracketEngine.getCampeonId(torneo);
+    if (torneo.campeonId !== null) torneo.estado = 'finalizado';
+    await tournamentRepository.addTorneo(torneo);
+    return { torneo };
+}
+
+// Simular una partida lista como una pelea normal (con progresión y rating) y avanzar el cuadro.
+// La pelea y el cuadro se guardan en una sola transacción, y el cuadro solo si la partida sigue lista:
+// si otra petición la jugó antes no se guarda nada. El resultado se aplica sobre el cuadro leído dentro de
+// la transacción, así que no se pierden las partidas que se hayan jugado mientras tanto (si se guardan a
+// la vez, las transacciones chocan y la que se reintenta vuelve a leerlo).
+// Devuelve { error } si la partida no se puede jugar.
+async function simularPartida(torneo, partidaId, seed) {
+    const partida = torneo.partidas.find(p => p.id === partidaId);
+    if (!partida) return { error: 'Partida no encontrada', status: 404 };
+    if (partida.estado !== 'lista') {
+        return { error: `La partida no se puede jugar (estado: ${partida.estado})`, status: 400 };
+    }
+    const [personaje1, personaje2] = await Promise.all(partida.lados.map(l => personajeService.getPersonajeById(l.personajeId)));
+    if (!personaje1 || !personaje2) return { error: 'Ambos personajes deben existir', status: 400 };
+    // Solo los cruces sembrados se conocen al crear el torneo; los que salen del cuadro se juegan siempre
+    const sembrada = partida.lados.every(l => !l.origen);
+    if (sembrada && personaje1.tipo === personaje2.tipo && !torneo.permitirMismoTipo) {
+        return { error: 'Solo se permiten peleas entre un superhéroe y un villano en este torneo', status: 400 };
+    }
+    const semilla = seed !== undefined ? seed : combatEngine.generarSemilla();
+    let actualizado = null;
+    let yaJugada = false;
+    try {
+        await fightService.simularPelea(personaje1, personaje2, semilla, { torneoId: torneo.id, partidaId }, undefined, async (pelea, session) => {
+            const guardado = await tournamentRepository.getTorneoById(torneo.id, session);
+            const partidas = guardado ? guardado.partidas : [];
+            const pendiente = partidas.find(p => p.id === partidaId);
+            if (!pendiente || pendiente.estado !== 'lista') {
+                yaJugada = true;
+                throw new Error(`La partida ${partidaId} ya se jugó`);
+            }
+            // Un empate por máximo de turnos se desempata por la vida restante y, si coincide, avanza el lado 1
+            const [ganador, perdedor] = !pelea.empate ? [pelea.ganador, pelea.perdedor]
+                : pelea.sim2.vida > pelea.sim1.vida ? [pelea.sim2, pelea.sim1] : [pelea.sim1, pelea.sim2];
+            bracketEngine.registrarResultado(partidas, partidaId, {
+                ganadorId: ganador.id,
+                perdedorId: perdedor.id,
+                fightId: pelea.fightId,
+                vidaGanador: ganador.vida
+            });
+            const siguiente = { ...guardado, partidas };
+            siguiente.campeonId = bracketEngine.getCampeonId(siguiente);
+            siguiente.estado = siguiente.campeonId !== null || bracketEngine.torneoTerminado(siguiente) ? 'finalizado' : 'en_curso';
+            const registrada = await tournamentRepository.registrarPartida(torneo.id, partidaId, {
+                partidas: siguiente.partidas,
+                campeonId: siguiente.campeonId,
+                estado: siguiente.estado
+            }, session);
+            if (!registrada) {
+                yaJugada = true;
+                throw new Error(`La partida ${partidaId} ya se jugó`);
+            }
+            actualizado = siguiente;
+        });
+    } catch (err) {
+        if (yaJugada) return { error: err.message, status: 409 };
+        throw err;
+    }
+    Object.assign(torneo, actualizado);
+    const jugada = torneo.partidas.find(p => p.id === partidaId);
+    return { partida: jugada, fightId: jugada.fightId, torneo };
+}
+
+// Jugar todas las partidas pendientes hasta que termine el torneo.
+// Con `seed` cada partida usa seed + id de la partida, así el torneo entero es reproducible.
+async function simularTorneo(torneo, seed) {
+    const jugadas = [];
+    let partida;
+    while ((partida = torneo.partidas.find(p => p.estado === 'lista'))) {
+        const semilla = seed !== undefined ? (seed + partida.id) >>> 0 : undefined;
+        const resultado = await simularPartida(torneo, partida.id, semilla);
+        if (resultado.error) return resultado;
+        jugadas.push({ partidaId: partida.id, fightId: resultado.fightId, ganadorId: resultado.partida.ganadorId });
+    }
+    return { jugadas, torneo };
+}
+
+function getClasificacion(torneo) {
+    const campeon = torneo.participantes.find(p => p.id === torneo.campeonId) || null;
+    return {
+        torneoId: torneo.id,
+        estado: torneo.estado,
+        campeon,
+        clasificacion: bracketEngine.calcularClasificacion(torneo, torneo.campeonId)
+    };
+}
+
+async function deleteTorneo(id) {
+    const torneo = await tournamentRepository.getTorneoById(id);
+    if (!torneo) return null;
+    await tournamentRepository.deleteTorneo(id);
+    return { message: 'Torneo eliminado' };
+}
+
+export default {
+    getTorneos,
+    getTorneoById,
+    validarTorneo,
+    addTorneo,
+    simularPartida,
+    simularTorneo,
+    getClasificacion,
+    deleteTorneo
+};
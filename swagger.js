@@ -26,6 +26,30 @@ const options = {
           bearerFormat: 'JWT',
         }
       },
+      parameters: {
+        Desde: {
+          in: 'query',
+          name: 'desde',
+          schema: { type: 'string', format: 'date-time' },
+          description: 'Solo peleas creadas desde esta fecha (ISO 8601)'
+        },
+        Hasta: {
+          in: 'query',
+          name: 'hasta',
+          schema: { type: 'string', format: 'date-time' },
+          description: 'Solo peleas creadas hasta esta fecha (ISO 8601); si es solo un día, se incluye completo'
+        }
+      },
+      responses: {
+        SoloAdmin: {
+          description: 'El usuario no tiene el rol admin',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Error' }
+            }
+          }
+        }
+      },
       schemas: {
         Personaje: {
           type: 'object',
@@ -34,14 +58,488 @@ const options = {
             nombre: { type: 'string', description: 'Nombre del personaje' },
             ciudad: { type: 'string', description: 'Ciudad de origen' },
             tipo: { type: 'string', enum: ['superheroe', 'villano'], description: 'Tipo de personaje' },
-            vida: { type: 'integer', description: 'Vida actual del personaje', default: 100 }
+            arquetipo: {
+              type: 'string',
+              enum: ['neutral', 'tank', 'bruiser', 'striker', 'support'],
+              default: 'neutral',
+              description: 'Arquetipo: modifica la vida base, el escudo por nivel, el daño de los ataques y el umbral de la ultimate'
+            },
+            vida: { type: 'integer', description: 'Vida actual del personaje', default: 100 },
+            rating: { type: 'number', description: 'Rating Elo, actualizado tras cada pelea 1 vs 1', default: 1500 }
           },
           required: ['nombre', 'tipo']
         },
+        Habilidad: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', description: 'ID de la habilidad dentro del personaje' },
+            nombre: { type: 'string', description: 'Nombre de la habilidad' },
+            efecto: { type: 'string', enum: ['danio', 'curacion', 'escudo', 'aturdir', 'roboVida', 'quemadura', 'regeneracion', 'rompeEscudo'], description: 'Efecto de la habilidad' },
+            potencia: { type: 'number', maximum: 120, description: 'Daño, curación o puntos de escudo según el efecto (por turno en quemadura y regeneración)' },
+            cooldown: { type: 'integer', description: 'Turnos propios que deben pasar antes de volver a usarla', default: 0 },
+            nivelRequerido: { type: 'integer', description: 'Nivel mínimo para usarla', default: 1 },
+            duracion: { type: 'integer', description: 'Turnos que dura el efecto de estado que aplica (escudo, aturdimiento, quemadura, regeneración o rotura de escudo)', default: 1, maximum: 3 }
+          },
+          required: ['nombre', 'efecto', 'potencia']
+        },
+        Item: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', description: 'ID del item en el catálogo' },
+            nombre: { type: 'string', description: 'Nombre del item' },
+            ranura: { type: 'string', enum: ['arma', 'armadura', 'reliquia'], description: 'Ranura en la que se equipa' },
+            bonificaciones: {
+              type: 'array',
+              maxItems: 6,
+              description: 'Como máximo una por estadística y tipo. Con todo lo equipado y las sinergias, los porcentajes de una estadística suman entre -75 y 300, la vida máxima es al menos 1 y el escudo no pasa de 90',
+              items: {
+                type: 'object',
+                properties: {
+                  estadistica: { type: 'string', enum: ['ataque', 'escudo', 'vida'] },
+                  tipo: { type: 'string', enum: ['plano', 'porcentaje'], description: 'plano suma puntos; porcentaje suma un % del valor base' },
+                  valor: { type: 'number', description: 'Entre -50 y 100 si es plano; entre -90 y 200 si es porcentaje' }
+                }
+              }
+            }
+          },
+          required: ['nombre', 'ranura', 'bonificaciones']
+        },
+        Inventario: {
+          type: 'object',
+          properties: {
+            inventario: { type: 'array', items: { $ref: '#/components/schemas/Item' } },
+            equipados: {
+              type: 'object',
+              description: 'Item equipado en cada ranura',
+              properties: {
+                arma: { $ref: '#/components/schemas/Item' },
+                armadura: { $ref: '#/components/schemas/Item' },
+                reliquia: { $ref: '#/components/schemas/Item' }
+              }
+            }
+          }
+        },
+        PartidaTorneo: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            llave: { type: 'string', enum: ['ganadores', 'perdedores', 'final', 'liga'], description: 'Cuadro al que pertenece la partida' },
+            ronda: { type: 'integer' },
+            lados: {
+              type: 'array',
+              description: 'Los dos lados de la partida: personaje asignado y, si depende de otra partida, su origen',
+              items: {
+                type: 'object',
+                properties: {
+                  personajeId: { type: 'integer', nullable: true },
+                  origen: {
+                    type: 'object',
+                    nullable: true,
+                    properties: {
+                      partidaId: { type: 'integer' },
+                      resultado: { type: 'string', enum: ['ganador', 'perdedor'] }
+                    }
+                  }
+                }
+              }
+            },
+            estado: { type: 'string', enum: ['pendiente', 'lista', 'jugada', 'bye', 'omitida'], description: 'bye: un lado no tiene rival y el otro avanza; omitida: reinicio de la gran final que no hizo falta' },
+            reinicio: { type: 'boolean', description: 'Segunda gran final de la doble eliminación' },
+            ganadorId: { type: 'integer', nullable: true },
+            perdedorId: { type: 'integer', nullable: true },
+            fightId: { type: 'integer', nullable: true },
+            vidaGanador: { type: 'number' }
+          }
+        },
+        Torneo: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            nombre: { type: 'string' },
+            formato: { type: 'string', enum: ['eliminacionSimple', 'eliminacionDoble', 'todosContraTodos'] },
+            permitirMismoTipo: { type: 'boolean' },
+            participantes: { type: 'array', items: { type: 'object' } },
+            estado: { type: 'string', enum: ['en_curso', 'finalizado'] },
+            campeonId: { type: 'integer', nullable: true },
+            partidas: { type: 'array', items: { $ref: '#/components/schemas/PartidaTorneo' } },
+            creadoPor: { type: 'string' },
+            creadoEn: { type: 'string', format: 'date-time' }
+          }
+        },
+        TicketEmparejamiento: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            personajeId: { type: 'integer' },
+            nombre: { type: 'string' },
+            tipo: { type: 'string' },
+            nivel: { type: 'integer' },
+            rating: { type: 'integer' },
+            criterio: { type: 'string', enum: ['nivel', 'rating'] },
+            jugador: { type: 'string' },
+            estado: { type: 'string', enum: ['esperando', 'emparejando', 'emparejado', 'cancelado'] },
+            activo: { type: 'boolean', description: 'true mientras espera o empareja; un personaje solo puede tener un ticket activo' },
+            rangoActual: { type: 'integer', description: 'Diferencia máxima de nivel o rating aceptada ahora (solo mientras espera)' },
+            creadoEn: { type: 'string', format: 'date-time' },
+            reservadoEn: { type: 'string', format: 'date-time', description: 'Cuándo pasó a emparejando' },
+            rivalId: { type: 'integer', nullable: true },
+            rivalNombre: { type: 'string' },
+            fightId: { type: 'integer', nullable: true, description: 'Pelea 1 vs 1 simulada al emparejar' },
+            ganador: { type: 'string' },
+            emparejadoEn: { type: 'string', format: 'date-time' }
+          }
+        },
+        Equipo: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            nombre: { type: 'string', example: 'LigaDeLaJusticia' },
+            clave: { type: 'string', description: 'Nombre normalizado (mayúsculas, sin espacios sobrantes)' },
+            faccion: { type: 'string', enum: ['superheroe', 'villano'], description: 'Todos los integrantes son de este tipo' },
+            tamano: { type: 'integer', description: 'Máximo de integrantes de la plantilla' },
+            formatoBatalla: { type: 'string', nullable: true, example: '3v3', description: 'Formato en el que compite el equipo' },
+            capitanId: { type: 'integer', nullable: true },
+            miembros: { type: 'array', items: { type: 'integer' }, description: 'IDs de los integrantes actuales, en orden' },
+            historial: {
+              type: 'array',
+              description: 'Membresías pasadas y actuales',
+              items: {
+                type: 'object',
+                properties: {
+                  personajeId: { type: 'integer' },
+                  nombre: { type: 'string' },
+                  entrada: { type: 'string', format: 'date-time' },
+                  salida: { type: 'string', format: 'date-time', nullable: true, description: 'null si sigue en el equipo' }
+                }
+              }
+            },
+            capitan: { type: 'object', nullable: true },
+            integrantes: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'integer' },
+                  nombre: { type: 'string' },
+                  tipo: { type: 'string' },
+                  nivel: { type: 'integer' }
+                }
+              }
+            },
+            sinergias: {
+              type: 'array',
+              description: 'Sinergias activas con la plantilla actual; sus bonificaciones se aplican en las peleas por equipos',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string', example: 'mismaCiudad' },
+                  nombre: { type: 'string' },
+                  descripcion: { type: 'string' },
+                  bonificaciones: { type: 'array', items: { type: 'object' } }
+                }
+              }
+            },
+            creadoEn: { type: 'string', format: 'date-time' }
+          }
+        },
+        Ciudad: {
+          type: 'object',
+          properties: {
+            nombre: { type: 'string', example: 'Gotham' },
+            clave: { type: 'string', description: 'Nombre normalizado (minúsculas, sin espacios sobrantes)' },
+            influencia: {
+              type: 'object',
+              description: 'Influencia de cada bando; siempre suma 100 y cada victoria pasa 5 puntos del bando perdedor al ganador',
+              properties: {
+                superheroe: { type: 'number' },
+                villano: { type: 'number' }
+              }
+            },
+            controladaPor: { type: 'string', enum: ['superheroe', 'villano', 'disputada'], description: 'Bando con al menos 60 de influencia' },
+            creadaEn: { type: 'string', format: 'date-time' },
+            actualizadaEn: { type: 'string', format: 'date-time' }
+          }
+        },
+        EstadoCiudad: {
+          allOf: [
+            { $ref: '#/components/schemas/Ciudad' },
+            {
+              type: 'object',
+              properties: {
+                residentes: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      id: { type: 'integer' },
+                      nombre: { type: 'string' },
+                      tipo: { type: 'string' },
+                      nivel: { type: 'integer' }
+                    }
+                  }
+                },
+                peleasRecientes: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      fightId: { type: 'integer' },
+                      personaje1: { type: 'string' },
+                      personaje2: { type: 'string' },
+                      ganador: { type: 'string' },
+                      createdAt: { type: 'string', format: 'date-time' }
+                    }
+                  }
+                }
+              }
+            }
+          ]
+        },
+        CapituloCampana: {
+          type: 'object',
+          properties: {
+            numero: { type: 'integer', readOnly: true },
+            nombre: { type: 'string', example: 'El callejón del crimen' },
+            oponenteId: { type: 'integer', description: 'Villano al que hay que vencer', example: 21 },
+            nivelExtra: { type: 'integer', default: 0, description: 'Niveles que sube el oponente por encima de su nivel guardado' },
+            descanso: { type: 'integer', default: 0, description: 'Porcentaje de la vida máxima que recupera el héroe antes de este capítulo' },
+            recompensa: {
+              type: 'object',
+              properties: {
+                experiencia: { type: 'integer', default: 0, maximum: 200 },
+                itemId: { type: 'integer', nullable: true, description: 'Item del catálogo que se añade al inventario del héroe' }
+              }
+            }
+          },
+          required: ['oponenteId']
+        },
+        Campana: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            nombre: { type: 'string' },
+            descripcion: { type: 'string' },
+            capitulos: { type: 'array', items: { $ref: '#/components/schemas/CapituloCampana' } },
+            creadaPor: { type: 'string' },
+            creadaEn: { type: 'string', format: 'date-time' }
+          }
+        },
+        EncuentroCampana: {
+          type: 'object',
+          properties: {
+            capitulo: { type: 'integer' },
+            oponente: {
+              type: 'object',
+              properties: {
+                id: { type: 'integer' },
+                nombre: { type: 'string' },
+                nivel: { type: 'integer', description: 'Nivel con el que peleó, ya escalado' }
+              }
+            },
+            gano: { type: 'boolean' },
+            descanso: { type: 'number', description: 'Vida recuperada antes de pelear' },
+            vidaAntes: { type: 'number' },
+            vidaDespues: { type: 'number' },
+            turnos: { type: 'integer' },
+            seed: { type: 'integer' },
+            reglasVersion: { type: 'integer' },
+            recompensa: {
+              type: 'object',
+              properties: {
+                experiencia: { type: 'integer' },
+                nivelAntes: { type: 'integer' },
+                nivelDespues: { type: 'integer' },
+                item: { type: 'object', nullable: true, description: 'null si no hay item o el héroe ya lo tenía' },
+                yaCobrada: { type: 'boolean', description: 'El héroe ya había cobrado la recompensa de este capítulo y no recibe nada' }
+              }
+            },
+            fecha: { type: 'string', format: 'date-time' }
+          }
+        },
+        ProgresoCampana: {
+          type: 'object',
+          properties: {
+            campanaId: { type: 'integer' },
+            usuario: { type: 'string' },
+            heroeId: { type: 'integer' },
+            heroe: { type: 'string' },
+            estado: { type: 'string', enum: ['en_curso', 'completada', 'derrotado'] },
+            capituloActual: { type: 'integer', description: 'Último capítulo desbloqueado' },
+            vida: { type: 'number', description: 'Vida con la que el héroe empezará el siguiente capítulo' },
+            encuentros: { type: 'array', items: { $ref: '#/components/schemas/EncuentroCampana' } },
+            iniciadaEn: { type: 'string', format: 'date-time' },
+            actualizadaEn: { type: 'string', format: 'date-time' }
+          }
+        },
+        EfectoEstado: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', enum: ['quemadura', 'regeneracion', 'aturdimiento', 'rompeEscudo', 'proteccion'], description: 'Efecto de estado' },
+            potencia: { type: 'number', description: 'Daño o curación por turno y acumulación, o puntos de escudo que quita o da' },
+            turnos: { type: 'integer', description: 'Turnos propios que le quedan al efecto' },
+            acumulaciones: { type: 'integer', description: 'Veces que se ha acumulado (solo quemadura y regeneración)' },
+            origenId: { type: 'integer', description: 'ID del personaje que aplicó el efecto' }
+          }
+        },
+        EstadoFinalPersonaje: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            nombre: { type: 'string' },
+            tipo: { type: 'string' },
+            nivel: { type: 'integer' },
+            experiencia: { type: 'integer' },
+            escudo: { type: 'number' },
+            vida: { type: 'number', description: 'Vida al terminar la pelea' },
+            ultimateDisponible: { type: 'boolean' },
+            efectos: { type: 'array', items: { $ref: '#/components/schemas/EfectoEstado' }, description: 'Efectos de estado activos al terminar la pelea' },
+            equipamiento: { type: 'array', items: { $ref: '#/components/schemas/Item' }, description: 'Items equipados durante la pelea' }
+          }
+        },
+        EventoTurno: {
+          type: 'object',
+          properties: {
+            turno: { type: 'integer', description: 'Número de turno dentro del duelo' },
+            atacanteId: { type: 'integer', description: 'ID del personaje que ataca' },
+            defensorId: { type: 'integer', description: 'ID del personaje que recibe el ataque' },
+            tipoAtaque: { type: 'string', enum: ['basico', 'especial', 'critico', 'ultimate', 'habilidad', 'aturdido', 'caido'], description: 'Tipo de ataque usado (aturdido si el atacante perdió el turno, caido si la quemadura lo derrotó antes de actuar)' },
+            habilidad: { type: 'object', description: 'Habilidad usada (solo si tipoAtaque es habilidad)' },
+            curacion: { type: 'number', description: 'Vida recuperada por el atacante (habilidades de curación o robo de vida)' },
+            danioBruto: { type: 'number', description: 'Daño antes de aplicar el escudo' },
+            reduccionEscudo: { type: 'number', description: 'Daño absorbido por el escudo del defensor' },
+            esUltimate: { type: 'boolean', description: 'Indica si el ataque fue una ultimate' },
+            vidaAntes: { type: 'number', description: 'Vida del defensor antes del ataque' },
+            vidaDespues: { type: 'number', description: 'Vida del defensor después del ataque' },
+            cargaUltimate: { type: 'number', description: 'Carga de ultimate del atacante tras el ataque' },
+            ultimateDisponible: { type: 'boolean', description: 'Si el atacante tiene la ultimate lista tras el ataque' },
+            inicioTurno: {
+              type: 'object',
+              description: 'Daño por quemadura y vida regenerada por el atacante al inicio del turno (solo si hubo alguno)',
+              properties: {
+                danio: { type: 'number' },
+                curacion: { type: 'number' },
+                origenId: { type: 'integer', description: 'ID de quien aplicó la quemadura' }
+              }
+            },
+            efectos: {
+              type: 'object',
+              description: 'Efectos de estado activos al terminar el turno',
+              properties: {
+                atacante: { type: 'array', items: { $ref: '#/components/schemas/EfectoEstado' } },
+                defensor: { type: 'array', items: { $ref: '#/components/schemas/EfectoEstado' } }
+              }
+            },
+            sinergias: {
+              type: 'array',
+              description: 'Sinergias de equipo que bonificaron el ataque del atacante o el escudo del defensor en este turno (solo si hubo alguna)',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  personajeId: { type: 'integer' },
+                  estadistica: { type: 'string', enum: ['ataque', 'escudo'] }
+                }
+              }
+            },
+            ciclo: { type: 'integer', description: 'Ciclo de iniciativa (solo peleas melee)' },
+            objetivo: {
+              type: 'object',
+              description: 'Decisión de objetivo (solo peleas melee)',
+              properties: {
+                estrategia: { type: 'string' },
+                motivo: { type: 'string' }
+              }
+            },
+            texto: { type: 'string', description: 'Descripción legible del turno (opcional)' }
+          }
+        },
+        RondaEquipos: {
+          type: 'object',
+          properties: {
+            ronda: { type: 'integer', description: 'Número de ronda' },
+            heroe: { type: 'string', description: 'Superhéroe que pelea la ronda' },
+            villano: { type: 'string', description: 'Villano que pelea la ronda' },
+            heroeId: { type: 'integer' },
+            villanoId: { type: 'integer' },
+            vidaInicial: { type: 'object', description: 'Vida de cada luchador al empezar la ronda' },
+            ganadorId: { type: 'integer', description: 'ID del ganador de la ronda' },
+            vidaRestante: { type: 'number', description: 'Vida con la que el ganador termina la ronda' },
+            turnos: { type: 'integer', description: 'Cantidad de turnos de la ronda' },
+            resultado: { type: 'string' },
+            historia: { type: 'array', items: { $ref: '#/components/schemas/EventoTurno' } }
+          }
+        },
+        ResumenLuchador: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            nombre: { type: 'string' },
+            tipo: { type: 'string' },
+            rondasGanadas: { type: 'integer' },
+            danioInfligido: { type: 'number' },
+            danioRecibido: { type: 'number' },
+            ultimatesUsadas: { type: 'integer' },
+            vidaFinal: { type: 'number' },
+            cargaUltimate: { type: 'number', description: 'Carga de ultimate al terminar la pelea' },
+            eliminaciones: { type: 'integer', description: 'Rivales a los que dejó fuera de combate' },
+            equipamiento: { type: 'array', items: { $ref: '#/components/schemas/Item' }, description: 'Items equipados durante la pelea' },
+            eliminadoEnRonda: { type: 'integer', nullable: true, description: 'Ronda (o ciclo de iniciativa en melee) en que quedó fuera; null si sobrevivió' }
+          }
+        },
+        Reglas: {
+          type: 'object',
+          properties: {
+            version: { type: 'integer', description: 'Versión del reglamento' },
+            probabilidades: {
+              type: 'object',
+              description: 'Probabilidad de cada ataque cuando no hay ultimate (deben sumar 1)',
+              properties: {
+                critico: { type: 'number', default: 0.4 },
+                especial: { type: 'number', default: 0.3 },
+                basico: { type: 'number', default: 0.3 }
+              }
+            },
+            ataques: {
+              type: 'object',
+              description: 'Daño de cada ataque: base + (nivel - 1) * porNivel',
+              properties: {
+                basico: { type: 'object', properties: { base: { type: 'number' }, porNivel: { type: 'number' } } },
+                especial: { type: 'object', properties: { base: { type: 'number' }, porNivel: { type: 'number' } } },
+                ultimate: { type: 'object', properties: { base: { type: 'number' }, porNivel: { type: 'number' } } },
+                multiplicadorCritico: { type: 'number', default: 1.5 },
+                probabilidadCriticoBasico: { type: 'number', default: 0.5 }
+              }
+            },
+            progresion: {
+              type: 'object',
+              properties: {
+                nivelMaximo: { type: 'integer', default: 10 },
+                experienciaPorNivel: { type: 'number', default: 100 },
+                experienciaGanador: { type: 'number', default: 40 },
+                experienciaPerdedor: { type: 'number', default: 25 },
+                vidaBase: { type: 'number', default: 100 },
+                vidaPorNivel: { type: 'number', default: 5 },
+                escudoPorNivel: { type: 'number', default: 5 },
+                crecimientoUmbralUltimate: { type: 'number', default: 1.1 }
+              }
+            },
+            creadoEn: { type: 'string', format: 'date-time', nullable: true },
+            creadoPor: { type: 'string', nullable: true }
+          }
+        },
+        Usuario: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            rol: { type: 'string', enum: ['admin', 'jugador'], description: 'Los administradores pueden borrar recursos, reescribir peleas y cambiar el reglamento' }
+          }
+        },
         Error: {
           type: 'object',
           properties: {
-            error: { type: 'string', description: 'Mensaje de error' }
+            error: { type: 'string', description: 'Mensaje de error' },
+            regla: { type: 'string', description: 'Regla del formato de batalla que no se cumple (solo en errores de plantilla)' }
           }
         }
       }
@@ -49,10 +547,21 @@ const options = {
     security: [{ bearerAuth: [] }],
     tags: [
       { name: 'Auth', description: 'Autenticación' },
-      { name: 'Usuarios', description: 'Gestión de usuarios' },
+      { name: 'Usuarios', description: 'Gestión de usuarios y de sus roles (admin o jugador)' },
       { name: 'Personajes', description: 'Gestión de personajes (superhéroes y villanos)' },
+      { name: 'Habilidades', description: 'Catálogo de habilidades de cada personaje' },
+      { name: 'Items', description: 'Catálogo de items e inventario de cada personaje' },
       { name: 'Equipos', description: 'Gestión de equipos' },
-      { name: 'Peleas', description: 'Gestión de peleas' }
+      { name: 'Peleas', description: 'Gestión de peleas' },
+      { name: 'Simulaciones', description: 'Estimación de probabilidades sin guardar peleas' },
+      { name: 'Reglas', description: 'Reglas de combate versionadas' },
+      { name: 'Clasificación', description: 'Clasificación de personajes por rating' },
+      { name: 'Torneos', description: 'Torneos por eliminación o liga' },
+      { name: 'Emparejamiento', description: 'Cola de emparejamiento por nivel o rating' },
+      { name: 'Estadísticas', description: 'Estadísticas de personajes calculadas a partir de las peleas' },
+      { name: 'Analítica', description: 'Estadísticas globales de las peleas con filtro por fechas' },
+      { name: 'Ciudades', description: 'Ciudades, control territorial y estado del mundo' },
+      { name: 'Campañas', description: 'Campañas contra villanos encadenados' }
     ]
   },
   apis: ['./controllers/*.js'],
@@ -0,0 +1,49 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import analyticsService from '../services/analyticsService.js';
+import analyticsController from '../controllers/analyticsController.js';
+
+test('sin rango de fechas no se filtran las peleas', () => {
+    assert.deepEqual(analyticsService.filtroFechas({}), {});
+});
+
+test('un hasta con solo la fecha incluye el día completo', () => {
+    assert.deepEqual(analyticsService.filtroFechas({ desde: '2024-03-01', hasta: '2024-03-31' }), {
+        createdAt: { $gte: new Date('2024-03-01T00:00:00Z'), $lt: new Date('2024-04-01T00:00:00Z') }
+    });
+});
+
+test('un hasta con hora se incluye tal cual', () => {
+    assert.deepEqual(analyticsService.filtroFechas({ hasta: '2024-03-31T12:00:00Z' }), {
+        createdAt: { $lte: new Date('2024-03-31T12:00:00Z') }
+    });
+});
+
+// Las validaciones de la API responden antes de consultar la base de datos
+const app = express();
+app.use('/api', analyticsController);
+
+let servidor;
+let base;
+
+before(async () => {
+    servidor = app.listen(0);
+    await new Promise(resolve => servidor.once('listening', resolve));
+    base = `http://127.0.0.1:${servidor.address().port}`;
+});
+
+after(() => new Promise(resolve => servidor.close(resolve)));
+
+test('las consultas rechazan fechas que no son ISO 8601 y tipos desconocidos', async () => {
+    const consultas = [
+        '/api/analytics/tipo?desde=ayer',
+        '/api/analytics/duracion?hasta=31/03/2024',
+        '/api/analytics/ciudad?tipo=antiheroe',
+        '/api/analytics/equipo?tipo=antiheroe'
+    ];
+    for (const consulta of consultas) {
+        const res = await fetch(base + consulta);
+        assert.equal(res.status, 400, consulta);
+    }
+});
@@ -0,0 +1,110 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { JWT_SECRET, firmarToken, authenticateJWT, autorizar } from '../middleware/authMiddleware.js';
+import { rolDe } from '../models/Usuario.js';
+import abilityController from '../controllers/abilityController.js';
+import itemController from '../controllers/itemController.js';
+import campaignController from '../controllers/campaignController.js';
+import inventoryController from '../controllers/inventoryController.js';
+import teamController from '../controllers/teamController.js';
+
+// App mínima con el mismo orden que app.js: autenticación y después las rutas
+const app = express();
+app.use(express.json());
+app.use(authenticateJWT);
+app.get('/abierta', (req, res) => res.json({ rol: req.user.rol }));
+app.get('/admin', autorizar('admin'), (req, res) => res.json({ ok: true }));
+app.use('/api', abilityController);
+app.use('/api', itemController);
+app.use('/api', campaignController);
+app.use('/api', inventoryController);
+app.use('/api/equipos', teamController);
+
+let servidor;
+let base;
+
+before(async () => {
+    servidor = app.listen(0);
+    await new Promise(resolve => servidor.once('listening', resolve));
+    base = `http://127.0.0.1:${servidor.address().port}`;
+});
+
+after(() => new Promise(resolve => servidor.close(resolve)));
+
+const pedir = (ruta, { token, method = 'GET', body } = {}) => fetch(base + ruta, {
+    method,
+    headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+});
+
+const ADMIN = firmarToken({ name: 'root', rol: 'admin' });
+const JUGADOR = firmarToken({ name: 'ana', rol: 'jugador' });
+
+test('rolDe usa el rol por defecto si el usuario no tiene uno válido', () => {
+    assert.equal(rolDe({ rol: 'admin' }), 'admin');
+    assert.equal(rolDe({}), 'jugador');
+    assert.equal(rolDe({ rol: 'superusuario' }), 'jugador');
+});
+
+test('sin token la respuesta es 401', async () => {
+    const res = await pedir('/abierta');
+    assert.equal(res.status, 401);
+});
+
+test('un token inválido se rechaza con 403', async () => {
+    const res = await pedir('/abierta', { token: jwt.sign({ name: 'ana' }, 'otro-secreto') });
+    assert.equal(res.status, 403);
+});
+
+test('un token sin rol se trata como jugador', async () => {
+    const res = await pedir('/abierta', { token: jwt.sign({ name: 'antiguo' }, JWT_SECRET) });
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { rol: 'jugador' });
+});
+
+test('autorizar deja pasar a los administradores y rechaza a los jugadores', async () => {
+    assert.equal((await pedir('/admin', { token: ADMIN })).status, 200);
+    const res = await pedir('/admin', { token: JUGADOR });
+    assert.equal(res.status, 403);
+    assert.deepEqual(await res.json(), { error: 'Se requiere el rol admin' });
+});
+
+test('un jugador no puede escribir datos del juego', async () => {
+    const escrituras = [
+        ['POST', '/api/personajes/1/habilidades'],
+        ['PUT', '/api/personajes/1/habilidades/1'],
+        ['DELETE', '/api/personajes/1/habilidades/1'],
+        ['POST', '/api/items'],
+        ['DELETE', '/api/items/1'],
+        ['POST', '/api/campanas'],
+        ['DELETE', '/api/campanas/1'],
+        ['POST', '/api/personajes/1/equipo-items'],
+        ['DELETE', '/api/personajes/1/equipo-items/1'],
+        ['PUT', '/api/personajes/1/equipo-items/1/equipar'],
+        ['DELETE', '/api/personajes/1/equipo-items/1/equipar']
+    ];
+    for (const [method, ruta] of escrituras) {
+        const res = await pedir(ruta, { token: JUGADOR, method, body: {} });
+        assert.equal(res.status, 403, `${method} ${ruta}`);
+    }
+});
+
+test('un jugador no puede cambiar la plantilla de un equipo ni borrarlo', async () => {
+    const escrituras = [
+        ['PUT', '/api/equipos'],
+        ['PUT', '/api/equipos/1'],
+        ['POST', '/api/equipos/1/miembros'],
+        ['DELETE', '/api/equipos/1/miembros/1'],
+        ['DELETE', '/api/equipos'],
+        ['DELETE', '/api/equipos/1']
+    ];
+    for (const [method, ruta] of escrituras) {
+        const res = await pedir(ruta, { token: JUGADOR, method, body: {} });
+        assert.equal(res.status, 403, `${method} ${ruta}`);
+    }
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import bracketEngine from '../services/bracketEngine.js';
+import tournamentService from '../services/tournamentService.js';
+
+const participante = (id, tipo) => ({ id, nombre: `P${id}`, tipo });
+const HEROES_Y_VILLANOS = [participante(1, 'superheroe'), participante(21, 'villano'), participante(2, 'superheroe'), participante(22, 'villano')];
+
+const crearTorneo = (formato, participantes, permitirMismoTipo = false) => ({
+    formato,
+    participantes,
+    partidas: bracketEngine.generarPartidas(formato, participantes, permitirMismoTipo)
+});
+
+const ladosDe = partida => partida.lados.map(l => l.personajeId);
+
+// Jugar todas las partidas listas; `elegirGanador` recibe la partida y devuelve el id del ganador
+function jugarTodo(torneo, elegirGanador = partida => ladosDe(partida)[0]) {
+    let partida;
+    while ((partida = torneo.partidas.find(p => p.estado === 'lista'))) {
+        const ganadorId = elegirGanador(partida);
+        const perdedorId = ladosDe(partida).find(id => id !== ganadorId);
+        bracketEngine.registrarResultado(torneo.partidas, partida.id, { ganadorId, perdedorId, fightId: partida.id, vidaGanador: 10 });
+    }
+    return torneo;
+}
+
+test('la eliminación simple cruza al cabeza de serie 1 con el último', () => {
+    const torneo = crearTorneo('eliminacionSimple', HEROES_Y_VILLANOS);
+    const primeraRonda = torneo.partidas.filter(p => p.ronda === 1);
+    assert.equal(torneo.partidas.length, 3);
+    assert.deepEqual(primeraRonda.map(ladosDe), [[1, 22], [21, 2]]);
+    assert.ok(primeraRonda.every(p => p.estado === 'lista'));
+    assert.equal(torneo.partidas[2].estado, 'pendiente');
+});
+
+test('con un número impar de participantes el primero pasa por bye', () => {
+    const torneo = crearTorneo('eliminacionSimple', HEROES_Y_VILLANOS.slice(0, 3));
+    const bye = torneo.partidas.find(p => p.estado === 'bye');
+    assert.equal(bye.ganadorId, 1);
+});
+
+test('el ganador de la final de eliminación simple es el campeón', () => {
+    const torneo = jugarTodo(crearTorneo('eliminacionSimple', HEROES_Y_VILLANOS));
+    assert.ok(bracketEngine.torneoTerminado(torneo));
+    assert.equal(bracketEngine.getCampeonId(torneo), 1);
+});
+
+test('en la doble eliminación el reinicio se omite si gana la gran final quien viene de ganadores', () => {
+    const torneo = jugarTodo(crearTorneo('eliminacionDoble', HEROES_Y_VILLANOS));
+    const reinicio = torneo.partidas.find(p => p.reinicio);
+    assert.equal(reinicio.estado, 'omitida');
+    assert.equal(bracketEngine.getCampeonId(torneo), 1);
+});
+
+test('en la doble eliminación el reinicio se juega si gana quien viene de perdedores', () => {
+    const torneo = crearTorneo('eliminacionDoble', HEROES_Y_VILLANOS);
+    // Gana siempre el lado 1, salvo en la gran final, donde gana el que llega del cuadro de perdedores
+    jugarTodo(torneo, partida => (partida.llave === 'final' && !partida.reinicio ? ladosDe(partida)[1] : ladosDe(partida)[0]));
+    const reinicio = torneo.partidas.find(p => p.reinicio);
+    assert.equal(reinicio.estado, 'jugada');
+    assert.ok(bracketEngine.torneoTerminado(torneo));
+});
+
+test('la liga sin permitirMismoTipo solo programa cruces entre superhéroes y villanos', () => {
+    const torneo = crearTorneo('todosContraTodos', HEROES_Y_VILLANOS);
+    const tipo = id => HEROES_Y_VILLANOS.find(p => p.id === id).tipo;
+    assert.equal(torneo.partidas.length, 4);
+    assert.ok(torneo.partidas.every(p => tipo(ladosDe(p)[0]) !== tipo(ladosDe(p)[1])));
+});
+
+test('validarTorneo acepta un cuadro cuya primera ronda cruza superhéroes con villanos', () => {
+    assert.deepEqual(tournamentService.validarTorneo('eliminacionSimple', HEROES_Y_VILLANOS, false), []);
+    assert.deepEqual(tournamentService.validarTorneo('eliminacionDoble', HEROES_Y_VILLANOS, false), []);
+});
+
+test('validarTorneo rechaza un cuadro que cruza a dos personajes del mismo tipo en la primera ronda', () => {
+    const participantes = [participante(1, 'superheroe'), participante(21, 'villano'), participante(22, 'villano'), participante(2, 'superheroe')];
+    const errores = tournamentService.validarTorneo('eliminacionSimple', participantes, false);
+    assert.equal(errores.length, 2);
+    assert.deepEqual(tournamentService.validarTorneo('eliminacionSimple', participantes, true), []);
+});
+
+test('un torneo con partidas por jugar no ha terminado y todavía no tiene campeón', () => {
+    const torneo = crearTorneo('eliminacionSimple', HEROES_Y_VILLANOS);
+    bracketEngine.registrarResultado(torneo.partidas, 1, { ganadorId: 1, perdedorId: 22, fightId: 1, vidaGanador: 10 });
+    assert.equal(bracketEngine.torneoTerminado(torneo), false);
+    assert.equal(bracketEngine.getCampeonId(torneo), null);
+});
+
+test('en la liga gana quien más victorias tiene y el empate lo deshace la vida restante', () => {
+    // Los superhéroes (ids 1 y 2) ganan todas sus partidas; el 2 termina con más vida
+    const torneo = jugarTodo(crearTorneo('todosContraTodos', HEROES_Y_VILLANOS), partida => Math.min(...ladosDe(partida)));
+    for (const partida of torneo.partidas) {
+        if (partida.ganadorId === 2) partida.vidaGanador = 30;
+    }
+    assert.equal(bracketEngine.getCampeonId(torneo), 2);
+    const clasificacion = bracketEngine.calcularClasificacion(torneo, 2);
+    assert.deepEqual(clasificacion.map(f => f.id), [2, 1, 21, 22]);
+    assert.deepEqual(clasificacion.map(f => f.victorias), [2, 2, 0, 0]);
+    assert.equal(clasificacion[0].vidaRestante, 60);
+    assert.ok(clasificacion.every(f => !f.eliminado));
+});
+
+test('la clasificación de una eliminación pone primero al campeón y marca eliminados según el formato', () => {
+    const simple = jugarTodo(crearTorneo('eliminacionSimple', HEROES_Y_VILLANOS));
+    const clasificacionSimple = bracketEngine.calcularClasificacion(simple, 1);
+    assert.equal(clasificacionSimple[0].id, 1);
+    assert.deepEqual(clasificacionSimple.map(f => f.posicion), [1, 2, 3, 4]);
+    assert.ok(clasificacionSimple.slice(1).every(f => f.eliminado && f.derrotas === 1));
+
+    const doble = jugarTodo(crearTorneo('eliminacionDoble', HEROES_Y_VILLANOS));
+    const clasificacionDoble = bracketEngine.calcularClasificacion(doble, 1);
+    assert.equal(clasificacionDoble[0].id, 1);
+    assert.equal(clasificacionDoble[0].eliminado, false);
+    assert.ok(clasificacionDoble.slice(1).every(f => f.eliminado && f.derrotas === 2));
+});
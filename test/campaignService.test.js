@@ -0,0 +1,73 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import campaignService from '../services/campaignService.js';
+import campaignController from '../controllers/campaignController.js';
+import personajeMapper from '../repositories/personajeMapper.js';
+import { REGLAS_POR_DEFECTO } from '../models/Reglas.js';
+
+const villano = nivel => personajeMapper.toDomain({ id: 21, nombre: 'V21', ciudad: 'Gotham', tipo: 'villano', nivel });
+
+test('la vida que le queda al héroe pasa al capítulo siguiente y el descanso cura un porcentaje de la vida máxima', () => {
+    assert.equal(campaignService.vidaTrasDescanso(40, 120, 0), 40);
+    assert.equal(campaignService.vidaTrasDescanso(40, 120, 25), 70);
+    assert.equal(campaignService.vidaTrasDescanso(100, 120, 50), 120);
+    // Si la vida máxima bajó desde el último capítulo, se parte de ella
+    assert.equal(campaignService.vidaTrasDescanso(150, 120, 10), 120);
+});
+
+test('el oponente de un capítulo sube nivelExtra niveles y empieza con la vida llena', () => {
+    const oponente = villano(2);
+    oponente.vida = 1;
+    const sim = campaignService.escalarOponente(oponente, 3, REGLAS_POR_DEFECTO);
+    assert.equal(sim.nivel, 5);
+    assert.equal(sim.vida, sim.getVidaMaxima());
+    assert.ok(sim.getVidaMaxima() > villano(2).getVidaMaxima());
+    // El personaje guardado no cambia
+    assert.equal(oponente.nivel, 2);
+});
+
+test('el nivel extra de un capítulo no pasa del nivel máximo', () => {
+    const { nivelMaximo } = REGLAS_POR_DEFECTO.progresion;
+    const sim = campaignService.escalarOponente(villano(nivelMaximo - 1), 20, REGLAS_POR_DEFECTO);
+    assert.equal(sim.nivel, nivelMaximo);
+});
+
+// Las validaciones de la API responden antes de consultar la base de datos
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+    req.user = { name: 'root', rol: 'admin' };
+    next();
+});
+app.use('/api', campaignController);
+
+let servidor;
+let base;
+
+before(async () => {
+    servidor = app.listen(0);
+    await new Promise(resolve => servidor.once('listening', resolve));
+    base = `http://127.0.0.1:${servidor.address().port}`;
+});
+
+after(() => new Promise(resolve => servidor.close(resolve)));
+
+const publicar = (ruta, body) => fetch(base + ruta, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+});
+
+test('una campaña necesita capítulos con descanso, nivel extra y recompensa dentro de sus límites', async () => {
+    const invalidas = [
+        { nombre: 'Sin capítulos', capitulos: [] },
+        { nombre: 'Descanso', capitulos: [{ oponenteId: 21, descanso: 101 }] },
+        { nombre: 'Nivel extra', capitulos: [{ oponenteId: 21, nivelExtra: 21 }] },
+        { nombre: 'Recompensa', capitulos: [{ oponenteId: 21, recompensa: { experiencia: 201 } }] }
+    ];
+    for (const campana of invalidas) {
+        const res = await publicar('/api/campanas', campana);
+        assert.equal(res.status, 400, campana.nombre);
+    }
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import combatEngine from '../services/combatEngine.js';
+import personajeMapper from '../repositories/personajeMapper.js';
+import { DANIO_MINIMO } from '../models/Personaje.js';
+import { REGLAS_POR_DEFECTO } from '../models/Reglas.js';
+
+const personaje = (id, tipo, datos = {}) => personajeMapper.toDomain({ id, nombre: `P${id}`, ciudad: 'Gotham', tipo, nivel: 1, ...datos });
+
+// Reglas en las que ningún ataque hace daño por sí mismo (no pasarían validarReglas)
+const REGLAS_SIN_DANIO = {
+    ...REGLAS_POR_DEFECTO,
+    ataques: {
+        ...REGLAS_POR_DEFECTO.ataques,
+        basico: { base: 0, porNivel: 0 },
+        especial: { base: 0, porNivel: 0 },
+        ultimate: { base: 0, porNivel: 0 },
+        multiplicadorCritico: 0
+    }
+};
+
+// Combatiente con tanta vida que nadie puede derrotarlo antes del máximo de turnos
+function intocable(id, tipo) {
+    const sim = combatEngine.prepararCombatiente(personaje(id, tipo));
+    sim.vida = Number.MAX_SAFE_INTEGER;
+    return sim;
+}
+
+test('la misma semilla genera la misma secuencia', () => {
+    const a = combatEngine.crearRng(42);
+    const b = combatEngine.crearRng(42);
+    for (let i = 0; i < 10; i++) assert.equal(a(), b());
+});
+
+test('un duelo con la misma semilla se repite exactamente', () => {
+    const jugar = () => combatEngine.simularDuelo(
+        combatEngine.prepararCombatiente(personaje(1, 'superheroe')),
+        combatEngine.prepararCombatiente(personaje(2, 'villano')),
+        combatEngine.crearRng(7)
+    );
+    const primero = jugar();
+    const segundo = jugar();
+    assert.equal(primero.ganador.id, segundo.ganador.id);
+    assert.deepEqual(primero.historia, segundo.historia);
+});
+
+test('el ganador de un duelo queda en pie y el perdedor a 0 de vida', () => {
+    const { ganador, perdedor, empate } = combatEngine.simularDuelo(
+        combatEngine.prepararCombatiente(personaje(1, 'superheroe')),
+        combatEngine.prepararCombatiente(personaje(2, 'villano')),
+        combatEngine.crearRng(1)
+    );
+    assert.equal(empate, false);
+    assert.ok(ganador.vida > 0);
+    assert.equal(perdedor.vida, 0);
+});
+
+test('todo ataque hace al menos el daño mínimo aunque las reglas den 0', () => {
+    const sim = combatEngine.prepararCombatiente(personaje(1, 'superheroe'), REGLAS_SIN_DANIO);
+    assert.equal(sim.getAtaqueBasico(), DANIO_MINIMO);
+    assert.equal(sim.getAtaqueEspecial(), DANIO_MINIMO);
+    assert.equal(sim.getAtaqueUltimate(), DANIO_MINIMO);
+    assert.equal(sim.getAtaqueCritico(sim.getAtaqueBasico()), DANIO_MINIMO);
+});
+
+test('una pelea con reglas sin daño termina con un ganador', () => {
+    const { ganador, empate, historia } = combatEngine.simularDuelo(
+        combatEngine.prepararCombatiente(personaje(1, 'superheroe'), REGLAS_SIN_DANIO),
+        combatEngine.prepararCombatiente(personaje(2, 'villano'), REGLAS_SIN_DANIO),
+        combatEngine.crearRng(3)
+    );
+    assert.equal(empate, false);
+    assert.ok(ganador);
+    assert.ok(historia.length <= combatEngine.MAXIMO_TURNOS_DUELO);
+});
+
+test('un duelo en el que nadie puede hacer daño acaba en empate al llegar al máximo de turnos', () => {
+    const { ganador, perdedor, empate, historia } = combatEngine.simularDuelo(
+        intocable(1, 'superheroe'),
+        intocable(2, 'villano'),
+        combatEngine.crearRng(5)
+    );
+    assert.equal(empate, true);
+    assert.equal(ganador, null);
+    assert.equal(perdedor, null);
+    assert.equal(historia.length, combatEngine.MAXIMO_TURNOS_DUELO);
+});
+
+test('las peleas por equipos sin daño acaban en empate', () => {
+    const relevos = combatEngine.simularBatallaEquipos(
+        [intocable(1, 'superheroe'), intocable(2, 'superheroe')],
+        [intocable(3, 'villano'), intocable(4, 'villano')],
+        combatEngine.crearRng(9)
+    );
+    assert.equal(relevos.resultado, combatEngine.RESULTADOS_EQUIPOS.empate);
+
+    const melee = combatEngine.simularMelee(
+        [intocable(1, 'superheroe'), intocable(2, 'superheroe')],
+        [intocable(3, 'villano'), intocable(4, 'villano')],
+        combatEngine.crearRng(9),
+        { superheroe: 'menorVida', villano: 'menorVida' }
+    );
+    assert.equal(melee.resultado, combatEngine.RESULTADOS_EQUIPOS.empate);
+});
+
+test('en una pelea interactiva una habilidad vuelve a estar disponible en el mismo turno que en una automática', () => {
+    const habilidad = { id: 1, nombre: 'Golpe', efecto: 'danio', potencia: 5, cooldown: 2, nivelRequerido: 1 };
+    const preparar = () => {
+        const sim = combatEngine.prepararCombatiente(personaje(1, 'superheroe', { habilidades: [habilidad] }));
+        sim.umbralUltimate = Number.MAX_SAFE_INTEGER;
+        return sim;
+    };
+    const rival = combatEngine.prepararCombatiente(personaje(2, 'villano'));
+    rival.vida = Number.MAX_SAFE_INTEGER;
+    // Con un rng que siempre elige la última opción, la pelea automática usa la habilidad en cuanto puede
+    const siempreUltima = () => 0.99;
+    const automatico = preparar();
+    const interactivo = preparar();
+    const usadaAutomatico = [];
+    const usadaInteractivo = [];
+    for (let turno = 0; turno < 8; turno++) {
+        usadaAutomatico.push(combatEngine.ejecutarTurno(automatico, rival, siempreUltima).tipoAtaque);
+        const accion = combatEngine.habilidadDisponible(interactivo, habilidad.id) ? 'habilidad' : 'especial';
+        usadaInteractivo.push(combatEngine.ejecutarTurno(interactivo, rival, siempreUltima, accion, habilidad.id).tipoAtaque);
+    }
+    assert.deepEqual(usadaInteractivo, usadaAutomatico);
+    assert.deepEqual(usadaAutomatico.slice(0, 4), ['habilidad', 'especial', 'especial', 'habilidad']);
+});
@@ -0,0 +1,36 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import fightController from '../controllers/fightController.js';
+
+// Solo se prueban las validaciones, que responden antes de consultar la base de datos
+const app = express();
+app.use(express.json());
+app.use('/api', fightController);
+
+let servidor;
+let base;
+
+before(async () => {
+    servidor = app.listen(0);
+    await new Promise(resolve => servidor.once('listening', resolve));
+    base = `http://127.0.0.1:${servidor.address().port}`;
+});
+
+after(() => new Promise(resolve => servidor.close(resolve)));
+
+const publicar = (ruta, body) => fetch(base + ruta, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+});
+
+test('las peleas 1 vs 1 y por equipos validan la semilla con la misma regla', async () => {
+    for (const seed of ['abc', -1, 4294967296, 1.5]) {
+        const individual = await publicar('/api/fights', { id1: 1, id2: 2, seed });
+        const equipos = await publicar('/api/fights/teams', { equipoHeroes: 'A', equipoVillanos: 'B', seed });
+        assert.equal(individual.status, 400, `1 vs 1 con seed ${seed}`);
+        assert.equal(equipos.status, 400, `equipos con seed ${seed}`);
+        assert.deepEqual((await equipos.json()).error.map(e => e.msg), (await individual.json()).error.map(e => e.msg));
+    }
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import matchmakingService from '../services/matchmakingService.js';
+import { INTERVALO_AMPLIACION_MS } from '../models/Emparejamiento.js';
+
+const AHORA = Date.UTC(2026, 0, 1);
+
+const ticket = (id, tipo, rating, jugador, esperaMs = 0) => ({
+    id,
+    personajeId: id,
+    nombre: `P${id}`,
+    tipo,
+    nivel: 1,
+    rating,
+    criterio: 'rating',
+    jugador,
+    estado: 'esperando',
+    creadoEn: new Date(AHORA - esperaMs)
+});
+
+test('empareja con el rival del tipo contrario más parecido', () => {
+    const heroe = ticket(1, 'superheroe', 1000, 'ana');
+    const candidatos = [ticket(2, 'superheroe', 1000, 'luis'), ticket(3, 'villano', 1040, 'luis'), ticket(4, 'villano', 1010, 'eva')];
+    assert.equal(matchmakingService.buscarRival(heroe, candidatos, AHORA).id, 4);
+});
+
+test('nunca empareja dos personajes del mismo jugador', () => {
+    const heroe = ticket(1, 'superheroe', 1000, 'ana');
+    assert.equal(matchmakingService.buscarRival(heroe, [ticket(2, 'villano', 1000, 'ana')], AHORA), null);
+});
+
+test('el rango aceptado crece con la espera', () => {
+    const heroe = ticket(1, 'superheroe', 1000, 'ana');
+    const lejano = ticket(2, 'villano', 1100, 'luis');
+    assert.equal(matchmakingService.buscarRival(heroe, [lejano], AHORA), null);
+    const esperando = ticket(1, 'superheroe', 1000, 'ana', INTERVALO_AMPLIACION_MS);
+    assert.equal(matchmakingService.buscarRival(esperando, [lejano], AHORA).id, 2);
+});
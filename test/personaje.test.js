@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import combatEngine from '../services/combatEngine.js';
+import personajeMapper from '../repositories/personajeMapper.js';
+import { VIDA_MINIMA, ESCUDO_MAXIMO } from '../models/Personaje.js';
+import { LIMITES_PORCENTAJE_TOTAL } from '../models/Item.js';
+
+// Personaje de nivel 1 con un item por ranura, cada uno con las bonificaciones indicadas
+function equipado(id, tipo, bonificaciones) {
+    const inventario = ['arma', 'armadura', 'reliquia'].map((ranura, i) => ({ id: i + 1, nombre: `Item ${i + 1}`, ranura, bonificaciones }));
+    return personajeMapper.toDomain({
+        id, nombre: `P${id}`, ciudad: 'Gotham', tipo, nivel: 1,
+        inventario,
+        equipados: { arma: 1, armadura: 2, reliquia: 3 }
+    });
+}
+
+const sinItems = (id, tipo) => personajeMapper.toDomain({ id, nombre: `P${id}`, ciudad: 'Gotham', tipo, nivel: 1 });
+
+test('los items suman sus bonificaciones: primero los porcentajes y después los puntos planos', () => {
+    const p = equipado(1, 'superheroe', [
+        { estadistica: 'vida', tipo: 'porcentaje', valor: 10 },
+        { estadistica: 'vida', tipo: 'plano', valor: 5 }
+    ]);
+    // 100 de vida base, +30% y +15
+    assert.equal(p.getVidaMaxima(), 145);
+});
+
+test('la suma de porcentajes de una estadística no pasa del límite total', () => {
+    const p = equipado(1, 'superheroe', [{ estadistica: 'ataque', tipo: 'porcentaje', valor: 200 }]);
+    const base = sinItems(2, 'superheroe').getAtaqueEspecial();
+    assert.equal(p.getAtaqueEspecial(), Math.round(base * (1 + LIMITES_PORCENTAJE_TOTAL.max / 100)));
+});
+
+test('con items que restan toda la vida el personaje empieza la pelea con la vida mínima', () => {
+    const debil = equipado(1, 'superheroe', [
+        { estadistica: 'vida', tipo: 'porcentaje', valor: -90 },
+        { estadistica: 'vida', tipo: 'plano', valor: -50 }
+    ]);
+    assert.equal(debil.getVidaMaxima(), VIDA_MINIMA);
+    const { ganador, perdedor, historia } = combatEngine.simularDuelo(
+        combatEngine.prepararCombatiente(debil),
+        combatEngine.prepararCombatiente(sinItems(2, 'villano')),
+        combatEngine.crearRng(1)
+    );
+    // Hay al menos un turno y el ganador es quien queda en pie
+    assert.ok(historia.length > 0);
+    assert.ok(ganador.vida > 0);
+    assert.equal(perdedor.vida, 0);
+});
+
+test('el escudo acumulado por items no pasa del máximo y los ataques normales siempre hacen daño', () => {
+    const blindado = combatEngine.prepararCombatiente(equipado(1, 'superheroe', [
+        { estadistica: 'escudo', tipo: 'plano', valor: 100 }
+    ]));
+    assert.equal(blindado.getEscudo(), ESCUDO_MAXIMO);
+    const vidaAntes = blindado.vida;
+    blindado.recibirDanio(10);
+    assert.ok(blindado.vida < vidaAntes);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import progressionService from '../services/progressionService.js';
+import personajeMapper from '../repositories/personajeMapper.js';
+import { REGLAS_POR_DEFECTO } from '../models/Reglas.js';
+
+const { experienciaGanador, experienciaPerdedor, experienciaPorNivel, nivelMaximo, escudoPorNivel } = REGLAS_POR_DEFECTO.progresion;
+
+const personaje = datos => personajeMapper.toDomain({ id: 1, nombre: 'P1', ciudad: 'Gotham', tipo: 'superheroe', ...datos });
+
+test('ganar y perder dan la experiencia de las reglas y el registro guarda el nivel de antes y el de después', () => {
+    const ganador = personaje({});
+    const registro = progressionService.otorgarExperiencia(ganador, true, 7);
+    assert.equal(registro.fightId, 7);
+    assert.equal(registro.experienciaGanada, experienciaGanador);
+    assert.equal(registro.experiencia, experienciaGanador);
+    assert.equal(registro.nivelAntes, 1);
+    assert.equal(registro.nivelDespues, 1);
+
+    const perdedor = personaje({});
+    assert.equal(progressionService.otorgarExperiencia(perdedor, false, 7).experienciaGanada, experienciaPerdedor);
+});
+
+test('al subir de nivel la experiencia sobrante pasa al nivel siguiente y el personaje se cura y gana escudo', () => {
+    const p = personaje({ experiencia: experienciaPorNivel - 10 });
+    p.vida = 1;
+    const registro = progressionService.otorgarExperiencia(p, true, 1);
+    assert.equal(registro.nivelAntes, 1);
+    assert.equal(registro.nivelDespues, 2);
+    assert.equal(p.experiencia, experienciaGanador - 10);
+    assert.equal(p.vida, p.getVidaMaxima());
+    assert.equal(p.escudo, escudoPorNivel * p.getArquetipo().escudoPorNivel);
+    assert.equal(p.umbralUltimate, 165);
+});
+
+test('mucha experiencia de golpe sube varios niveles', () => {
+    const p = personaje({});
+    p.ganarExperiencia(experienciaPorNivel * 2 + 5);
+    assert.equal(p.nivel, 3);
+    assert.equal(p.experiencia, 5);
+});
+
+test('en el nivel máximo no se sube más y la experiencia se queda llena', () => {
+    const casi = personaje({ nivel: nivelMaximo - 1 });
+    casi.ganarExperiencia(experienciaPorNivel * 5);
+    assert.equal(casi.nivel, nivelMaximo);
+    assert.equal(casi.experiencia, experienciaPorNivel);
+
+    const maximo = personaje({ nivel: nivelMaximo, experiencia: experienciaPorNivel });
+    const registro = progressionService.otorgarExperiencia(maximo, true, 1);
+    assert.equal(registro.nivelDespues, nivelMaximo);
+    assert.equal(maximo.experiencia, experienciaPorNivel);
+});
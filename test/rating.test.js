@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RATING_INICIAL, FACTOR_K, calcularElo } from '../models/Rating.js';
+
+test('entre dos ratings iguales el ganador gana la mitad del factor K', () => {
+    assert.deepEqual(calcularElo(RATING_INICIAL, RATING_INICIAL), {
+        ganador: RATING_INICIAL + FACTOR_K / 2,
+        perdedor: RATING_INICIAL - FACTOR_K / 2
+    });
+});
+
+test('ganar al favorito da más puntos que ganar a quien tiene menos rating', () => {
+    const sorpresa = calcularElo(1300, 1700);
+    const esperado = calcularElo(1700, 1300);
+    assert.ok(sorpresa.ganador - 1300 > esperado.ganador - 1700);
+    assert.ok(sorpresa.ganador - 1300 <= FACTOR_K);
+});
+
+test('los puntos que gana el ganador son los que pierde el perdedor', () => {
+    for (const [ganador, perdedor] of [[1500, 1500], [1620, 1480], [1400, 1800]]) {
+        const nuevos = calcularElo(ganador, perdedor);
+        assert.equal(nuevos.ganador + nuevos.perdedor, ganador + perdedor);
+    }
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import rulesService from '../services/rulesService.js';
+import { REGLAS_POR_DEFECTO } from '../models/Reglas.js';
+
+const conCambios = cambios => rulesService.combinarReglas(REGLAS_POR_DEFECTO, cambios);
+
+test('las reglas por defecto son válidas', () => {
+    assert.deepEqual(rulesService.validarReglas(REGLAS_POR_DEFECTO), []);
+});
+
+test('combinarReglas aplica cambios parciales sin tocar las reglas originales', () => {
+    const reglas = conCambios({ ataques: { especial: { base: 25 } }, desconocida: { x: 1 } });
+    assert.equal(reglas.ataques.especial.base, 25);
+    assert.equal(reglas.ataques.especial.porNivel, REGLAS_POR_DEFECTO.ataques.especial.porNivel);
+    assert.equal(REGLAS_POR_DEFECTO.ataques.especial.base, 30);
+    assert.equal(reglas.desconocida, undefined);
+});
+
+test('las probabilidades de los ataques deben sumar 1', () => {
+    const errores = rulesService.validarReglas(conCambios({ probabilidades: { critico: 0.5 } }));
+    assert.ok(errores.includes('Las probabilidades de crítico, especial y básico deben sumar 1'));
+});
+
+test('rechaza valores negativos o que no son números', () => {
+    const errores = rulesService.validarReglas(conCambios({ progresion: { vidaBase: -1, vidaPorNivel: 'mucho' } }));
+    assert.ok(errores.includes('progresion.vidaBase debe ser un número mayor o igual a 0'));
+    assert.ok(errores.includes('progresion.vidaPorNivel debe ser un número mayor o igual a 0'));
+});
+
+test('rechaza ataques con base 0', () => {
+    for (const tipo of ['basico', 'especial', 'ultimate']) {
+        const errores = rulesService.validarReglas(conCambios({ ataques: { [tipo]: { base: 0 } } }));
+        assert.deepEqual(errores, [`ataques.${tipo}.base debe ser mayor a 0`]);
+    }
+});
+
+test('rechaza un multiplicador de crítico que dejaría el golpe por debajo de su ataque', () => {
+    const errores = rulesService.validarReglas(conCambios({ ataques: { multiplicadorCritico: 0.4 } }));
+    assert.deepEqual(errores, ['ataques.multiplicadorCritico debe ser mayor o igual a 1']);
+});
+
+test('la probabilidad de crítico básico no puede superar 1', () => {
+    const errores = rulesService.validarReglas(conCambios({ ataques: { probabilidadCriticoBasico: 1.5 } }));
+    assert.deepEqual(errores, ['ataques.probabilidadCriticoBasico debe estar entre 0 y 1']);
+});
+
+test('el nivel máximo debe ser un entero positivo y la experiencia por nivel mayor a 0', () => {
+    const errores = rulesService.validarReglas(conCambios({ progresion: { nivelMaximo: 2.5, experienciaPorNivel: 0 } }));
+    assert.ok(errores.includes('progresion.nivelMaximo debe ser un entero mayor a 0'));
+    assert.ok(errores.includes('progresion.experienciaPorNivel debe ser mayor a 0'));
+});
+
+test('un ataque que no es un objeto es un error de validación y no una excepción', () => {
+    for (const valor of [null, 5, 'fuerte', [1, 2]]) {
+        const errores = rulesService.validarReglas(conCambios({ ataques: { basico: valor } }));
+        assert.deepEqual(errores, ['ataques.basico debe ser un objeto'], `basico: ${JSON.stringify(valor)}`);
+    }
+});
+
+test('un número que llega como objeto se rechaza', () => {
+    const errores = rulesService.validarReglas(conCambios({ ataques: { multiplicadorCritico: {} } }));
+    assert.deepEqual(errores, ['ataques.multiplicadorCritico debe ser un número mayor o igual a 0']);
+});
+
+test('rechaza un escudo por nivel con el que algún arquetipo llegaría al 100% en el nivel máximo', () => {
+    // Con nivel máximo 10 y el tank (x1,5), 7,5 por nivel da 101,25 de escudo
+    const errores = rulesService.validarReglas(conCambios({ progresion: { escudoPorNivel: 7.5 } }));
+    assert.deepEqual(errores, ['progresion.escudoPorNivel no puede llevar el escudo al 100% en el nivel máximo']);
+    assert.deepEqual(rulesService.validarReglas(conCambios({ progresion: { escudoPorNivel: 7 } })), []);
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import simulationService from '../services/simulationService.js';
+import combatEngine from '../services/combatEngine.js';
+import personajeMapper from '../repositories/personajeMapper.js';
+
+const personaje = (id, tipo) => personajeMapper.toDomain({ id, nombre: `P${id}`, ciudad: 'Gotham', tipo, nivel: 1 });
+
+test('simula 10000 peleas y con la misma semilla da el mismo resultado', async () => {
+    const simular = () => simulationService.simularEnfrentamiento(personaje(1, 'superheroe'), personaje(2, 'villano'), 10000, combatEngine.crearRng(11));
+    const resultado = await simular();
+    const { personaje1, personaje2, empate } = resultado.probabilidadVictoria;
+    assert.equal(resultado.runs, 10000);
+    assert.ok(Math.abs(personaje1.probabilidad + personaje2.probabilidad + empate - 1) < 1e-9);
+    assert.deepEqual(await simular(), resultado);
+});
+
+test('una simulación larga deja atender otras tareas mientras se ejecuta', async () => {
+    let atendida = false;
+    setImmediate(() => { atendida = true; });
+    const simulacion = simulationService.simularEquipos(
+        [personaje(1, 'superheroe'), personaje(2, 'superheroe')],
+        [personaje(3, 'villano'), personaje(4, 'villano')],
+        1000,
+        combatEngine.crearRng(3)
+    );
+    assert.equal(atendida, false);
+    const resultado = await simulacion;
+    assert.equal(atendida, true);
+    assert.equal(resultado.runs, 1000);
+});
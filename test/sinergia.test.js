@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sinergiasActivas, sinergiasDelFormato } from '../models/Sinergia.js';
+
+const AHORA = new Date(Date.UTC(2026, 0, 31));
+
+const integrante = (id, datos = {}) => ({ id, nombre: `P${id}`, tipo: 'superheroe', nivel: 1, ciudad: 'Gotham', ...datos });
+
+// Equipo cuyos integrantes entraron hace `dias` días
+function equipoCon(integrantes, dias = 0) {
+    const entrada = new Date(AHORA.getTime() - dias * 24 * 60 * 60 * 1000);
+    return { historial: integrantes.map(p => ({ personajeId: p.id, entrada, salida: null })) };
+}
+
+const activas = (integrantes, dias) => sinergiasActivas(equipoCon(integrantes, dias), integrantes, AHORA).map(s => s.id);
+
+test('Vecinos se activa solo si todos los integrantes son de la misma ciudad', () => {
+    assert.deepEqual(activas([integrante(1), integrante(2, { ciudad: ' gotham ' })]), ['mismaCiudad']);
+    assert.deepEqual(activas([integrante(1), integrante(2), integrante(3, { ciudad: 'Metropolis' })]), []);
+});
+
+test('Vecinos no se activa entre integrantes sin ciudad', () => {
+    assert.deepEqual(activas([integrante(1, { ciudad: '' }), integrante(2, { ciudad: undefined })]), []);
+});
+
+test('Equipo equilibrado necesita al menos 3 arquetipos distintos', () => {
+    const variados = ['tank', 'striker', 'support'].map((arquetipo, i) => integrante(i + 1, { arquetipo, ciudad: `C${i}` }));
+    assert.deepEqual(activas(variados), ['arquetiposVariados']);
+    assert.deepEqual(activas(variados.slice(0, 2)), []);
+});
+
+test('Veteranos exige 30 días de antigüedad a todos los integrantes', () => {
+    const integrantes = [integrante(1, { ciudad: 'A' }), integrante(2, { ciudad: 'B' })];
+    assert.deepEqual(activas(integrantes, 30), ['veteranos']);
+    assert.deepEqual(activas(integrantes, 29), []);
+});
+
+test('ninguna sinergia se activa con un solo integrante', () => {
+    assert.deepEqual(activas([integrante(1)], 100), []);
+});
+
+test('Vecinos no está disponible en los formatos que exigen ciudades distintas', () => {
+    assert.deepEqual(sinergiasDelFormato('1v1'), []);
+    assert.deepEqual(sinergiasDelFormato('2v2'), ['mismaCiudad', 'arquetiposVariados', 'veteranos']);
+    assert.deepEqual(sinergiasDelFormato('3v3'), ['arquetiposVariados', 'veteranos']);
+    assert.deepEqual(sinergiasDelFormato('5v5'), ['arquetiposVariados', 'veteranos']);
+});